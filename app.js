@@ -5,12 +5,11 @@ let renderer;
 
 /* ---------- History helpers ---------- */
 function commitState(label) {
-  sim.snapshot();
-  if (label) sim.state.logs.push(`[commit] ${label}`);
+  sim.commit(label);
   updateStatsAndLog();
 }
 function setBaseline(label) {
-  sim.history = [ sim.state.serialize() ];
+  sim.loadState(sim.state);
   if (label) sim.state.logs.push(`[baseline] ${label}`);
   updateStatsAndLog();
 }
@@ -19,20 +18,25 @@ function setBaseline(label) {
 function init() {
   const canvas = document.getElementById('canvas');
   renderer = new OSViz.Renderer(canvas, sim);
+  renderer.onAction = handleCanvasAction;
   bindUI();
-  loadSampleCycle();
-  setBaseline('Default scenario loaded');
-  refreshAll();
+  refreshLibrary();
+  if (isPermalink(location.hash)) openPermalink(location.hash, true);
+  else if (restoreSession(localStorage, sim)) {
+    statusState(`Restored session at step ${sim.state.step}`);
+    refreshAll();
+  } else loadScenario(SAMPLE_SCENARIOS[0]);
 }
 
 function bindUI() {
   el('btn-add-proc').addEventListener('click', () => {
     const name = el('proc-name').value.trim() || `P${sim.state.processes.length + 1}`;
-    if (sim.state.addProcess(name)) {
-      log(`Added process ${name}`);
+    const priority = Number(el('proc-priority').value) || 0;
+    if (sim.state.addProcess(name, priority)) {
+      log(`Added process ${name} (priority ${priority})`);
       commitState(`Add process ${name}`);
       refreshAll();
-    }
+    } else statusState(`"${name}" is already used or is not a name (letters, digits, _ . or -)`);
   });
 
   el('btn-add-res').addEventListener('click', () => {
@@ -42,7 +46,7 @@ function bindUI() {
       log(`Added resource ${name} (${inst})`);
       commitState(`Add resource ${name}`);
       refreshAll();
-    }
+    } else statusState(`"${name}" is already used or is not a name (letters, digits, _ . or -)`);
   });
 
   el('btn-clear-all').addEventListener('click', () => {
@@ -53,36 +57,174 @@ function bindUI() {
     refreshAll();
   });
 
-  el('btn-sample-1').addEventListener('click', () => { loadSampleCycle(); setBaseline('Scenario: 2-Proc Cycle'); refreshAll(); });
-  el('btn-sample-2').addEventListener('click', () => { loadSampleNoDeadlock(); setBaseline('Scenario: No Deadlock'); refreshAll(); });
-  el('btn-sample-3').addEventListener('click', () => { loadSampleThreeProcCycle(); setBaseline('Scenario: 3-Proc Cycle'); refreshAll(); });
-  el('btn-sample-4').addEventListener('click', () => { loadSampleContention(); setBaseline('Scenario: Contention'); refreshAll(); });
-  el('btn-quick-demo').addEventListener('click', () => { loadSampleContention(); setBaseline('Scenario: Contention Quick Demo'); refreshAll(); play(); });
+  el('gen-bias').innerHTML = Object.entries(GENERATOR_BIASES).map(([k, v]) => `<option value="${k}">${v}</option>`).join('');
+  fillGeneratorForm(GENERATOR_DEFAULTS);
+  el('btn-generate').addEventListener('click', generateFromForm);
+  el('btn-generate-random').addEventListener('click', () => {
+    el('gen-seed').value = String(Math.floor(Math.random() * 1e6));
+    generateFromForm();
+  });
+
+  el('scenario-buttons').innerHTML = SAMPLE_SCENARIOS
+    .map(sc => `<button data-scenario="${sc.id}">Load: ${sc.name}</button>`).join('');
+  el('scenario-buttons').addEventListener('click', (e) => {
+    const id = e.target.dataset && e.target.dataset.scenario;
+    if (id) loadSample(id);
+  });
+  el('btn-quick-demo').addEventListener('click', () => { loadSample('contention'); play(); });
 
   el('chk-avoidance').addEventListener('change', (e) => {
     sim.setAvoidance(e.target.checked);
-    statusState(`Mode: ${e.target.checked ? 'Avoidance' : 'Detection'}`);
+    statusState(`Mode: ${modeLabel()}`);
     commitState(`Toggle avoidance ${e.target.checked}`);
     refreshAll();
   });
 
+  el('avoidance-strategy').addEventListener('change', (e) => {
+    sim.setAvoidanceStrategy(e.target.value);
+    statusState(`Mode: ${modeLabel()}`);
+    commitState(`Avoidance strategy ${e.target.value}`);
+    refreshAll();
+  });
+
+  el('recovery-policy').innerHTML = Object.entries(OSViz.RAGState.victimPolicies)
+    .map(([key, pol]) => `<option value="${key}">${pol.label}</option>`).join('');
+  el('recovery-policy').addEventListener('change', (e) => {
+    sim.setRecovery({ policy: e.target.value });
+    commitState(`Victim policy ${e.target.value}`);
+  });
+  el('recovery-action').addEventListener('change', (e) => {
+    sim.setRecovery({ action: e.target.value });
+    commitState(`Recovery action ${e.target.value}`);
+  });
+  el('chk-auto-recover').addEventListener('change', (e) => {
+    sim.setRecovery({ enabled: e.target.checked });
+    commitState(`Toggle auto-recovery ${e.target.checked}`);
+  });
+  el('btn-recover').addEventListener('click', () => {
+    if (sim.playing) pause();
+    if (!sim.recoverStep()) { statusState('No deadlock to recover from'); return; }
+    statusState('Recovered (one step)');
+    refreshAll();
+  });
+
+  el('btn-set-claim').addEventListener('click', () => {
+    const p = el('claim-proc').value;
+    const r = el('claim-res').value;
+    const max = Math.max(0, Number(el('claim-max').value) || 0);
+    if (!p || !r) { alert('Select a process and a resource'); return; }
+    if (sim.state.setMaxClaim(p, r, max)) {
+      log(`Max claim: ${p} may use up to ${sim.state.maxOf(p, r)} ${r}`);
+      commitState(`Set max claim ${p} ${r}=${max}`);
+      refreshAll();
+    }
+  });
+
+  el('detection-method').addEventListener('change', (e) => {
+    sim.setDetection(e.target.value);
+    commitState(`Detection method ${e.target.value}`);
+    refreshAll();
+  });
+
+  el('prevention-policy').innerHTML = Object.entries(OSViz.RAGState.preventionPolicies)
+    .map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+  el('prevention-policy').addEventListener('change', (e) => {
+    sim.state.prevention = e.target.value;
+    commitState(`Prevention ${e.target.value}`);
+    refreshAll();
+  });
+
+  el('dist-mode').innerHTML = Object.entries(OSViz.RAGState.distributedModes)
+    .map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+  el('dist-mode').addEventListener('change', (e) => {
+    sim.state.distributed.mode = e.target.value;
+    commitState(`Distributed detection ${e.target.value}`);
+    refreshAll();
+  });
+  for (const key of ['latency', 'interval']) {
+    el(`dist-${key}`).addEventListener('change', (e) => {
+      const steps = Math.max(1, Math.trunc(Number(e.target.value)) || 1);
+      sim.state.distributed[key] = steps;
+      commitState(`Distributed ${key} ${steps}`);
+      refreshAll();
+    });
+  }
+  el('dist-coordinator').addEventListener('change', (e) => {
+    sim.state.distributed.coordinator = e.target.value;
+    commitState(`Coordinator site ${e.target.value}`);
+    refreshAll();
+  });
+
+  el('scheduler').innerHTML = Object.entries(OSViz.RAGState.schedulers)
+    .map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+  el('scheduler').addEventListener('change', (e) => {
+    sim.setScheduler(e.target.value);
+    commitState(`Scheduler ${e.target.value}`);
+    refreshAll();
+  });
+  el('scheduler-seed').addEventListener('change', (e) => {
+    const seed = Math.trunc(Number(e.target.value)) || 0;
+    sim.setScheduler(sim.state.scheduler, seed);
+    commitState(`Scheduler seed ${seed}`);
+    refreshAll();
+  });
+
+  el('queue-aging').addEventListener('change', (e) => {
+    const aging = Math.max(0, Number(e.target.value) || 0);
+    sim.state.queueing.aging = aging;
+    commitState(`Aging ${aging}`);
+    refreshAll();
+  });
+  el('starvation-steps').addEventListener('change', (e) => {
+    const steps = Math.max(0, Math.trunc(Number(e.target.value)) || 0);
+    sim.state.queueing.starvationSteps = steps;
+    commitState(`Starvation threshold ${steps}`);
+    refreshAll();
+  });
+
+  el('layout-mode').innerHTML = Object.entries(LAYOUTS)
+    .map(([key, l]) => `<option value="${key}">${l.label}</option>`).join('');
+  el('layout-mode').addEventListener('change', (e) => {
+    renderer.setLayoutMode(e.target.value);
+    renderer.layout();
+    renderer.draw();
+  });
+  el('chk-animate-layout').addEventListener('change', (e) => renderer.setAnimate(e.target.checked));
+
   el('chk-show-wfg').addEventListener('change', (e) => {
     renderer.setShowWFG(e.target.checked);
     renderer.draw();
   });
 
+  el('btn-add-part').addEventListener('click', () => {
+    const r = el('event-res').value;
+    if (!r) { alert('Select a resource'); return; }
+    atomicParts[r] = Math.max(1, Number(el('event-count').value) || 1);
+    refreshAtomicParts();
+  });
+  el('btn-clear-parts').addEventListener('click', () => { atomicParts = {}; refreshAtomicParts(); });
+
   el('btn-queue-event').addEventListener('click', () => {
     const p = el('event-proc').value;
     const r = el('event-res').value;
     const count = Math.max(1, Number(el('event-count').value) || 1);
     const type = el('event-type').value;
-    if (!p || !r) { alert('Select a process and a resource'); return; }
-    sim.state.enqueueEvent({ type, process: p, resource: r, count });
-    commitState(`Queue event ${type} ${p} ${count}x ${r}`);
+    const atomic = Object.keys(atomicParts).length > 0;
+    if (atomic && type !== 'request') { alert('Only requests can be atomic; clear the parts to queue a release'); return; }
+    if (!p || (!r && !atomic)) { alert('Select a process and a resource'); return; }
+    const evt = atomic ? { type, process: p, resources: { ...atomicParts } } : { type, process: p, resource: r, count };
+    const what = formatParts(eventParts(evt));
+    if (el('event-at').value !== '') evt.at = Math.max(0, Math.trunc(Number(el('event-at').value)) || 0);
+    sim.state.enqueueEvent(evt);
+    commitState(`Queue event ${type} ${p} ${what}${evt.at !== undefined ? ` at step ${evt.at}` : ''}`);
+    atomicParts = {};
+    refreshAtomicParts();
     refreshEventQueue();
-    statusState(`Queued: ${type} ${p} ${count}x ${r}`);
+    statusState(`Queued: ${type} ${p} ${what}`);
   });
 
+  el('btn-explore').addEventListener('click', explore);
+  el('btn-explore-load').addEventListener('click', loadCounterexample);
   el('btn-clear-events').addEventListener('click', () => {
     if (!sim.state.eventQueue.length) return;
     sim.state.clearEvents();
@@ -98,16 +240,172 @@ function bindUI() {
     statusState('Reset to baseline');
   });
   el('btn-step-forward').addEventListener('click', stepForwardOnce);
+
+  el('timeline').addEventListener('input', (e) => jumpTo(Number(e.target.value)));
+  el('timeline-markers').addEventListener('click', (e) => {
+    const m = e.target.dataset;
+    if (m.branch !== undefined) switchBranch(Number(m.branch));
+    else if (m.index !== undefined) jumpTo(Number(m.index));
+  });
+  el('btn-timeline-goto').addEventListener('click', () => {
+    const step = Number(el('timeline-goto').value);
+    const idx = sim.indexOfStep(step);
+    if (idx === -1) { statusState(`Step ${step} is not on this timeline`); return; }
+    jumpTo(idx);
+  });
+  el('branch-select').addEventListener('change', (e) => switchBranch(Number(e.target.value)));
+  el('btn-branch-delete').addEventListener('click', () => {
+    const idx = sim.branchIndex, name = sim.branch.name;
+    if (sim.branches.length < 2 || !confirm(`Delete branch "${name}"? Its snapshots after the fork are lost.`)) return;
+    switchBranch(idx > 0 ? idx - 1 : 1);
+    sim.removeBranch(idx);
+    statusState(`Deleted branch ${name}`);
+    refreshTimeline();
+  });
   el('btn-step-back').addEventListener('click', stepBackwardOnce);
   el('btn-play').addEventListener('click', play);
   el('btn-pause').addEventListener('click', pause);
 
   el('speed-range').addEventListener('input', e => { sim.setSpeed(e.target.value); });
 
+  el('btn-import').addEventListener('click', () => el('import-file').click());
+  el('import-file').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) importFile(file);
+    e.target.value = '';
+  });
+  document.body.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    document.body.classList.add('dragging-file');
+  });
+  document.body.addEventListener('dragleave', (e) => {
+    if (e.relatedTarget === null) document.body.classList.remove('dragging-file');
+  });
+  document.body.addEventListener('drop', (e) => {
+    e.preventDefault();
+    document.body.classList.remove('dragging-file');
+    const file = e.dataTransfer.files[0];
+    if (file) importFile(file);
+  });
+
   el('btn-export-screenshot').addEventListener('click', exportScreenshot);
   el('btn-export-trace').addEventListener('click', exportTrace);
+  el('btn-copy-link').addEventListener('click', copyPermalink);
+
+  el('btn-lib-save').addEventListener('click', saveToLibrary);
+  el('lib-name').addEventListener('keydown', (e) => { if (e.key === 'Enter') saveToLibrary(); });
+  el('btn-lib-load').addEventListener('click', () => loadFromLibrary(el('lib-list').value));
+  el('lib-list').addEventListener('dblclick', () => loadFromLibrary(el('lib-list').value));
+  el('btn-lib-rename').addEventListener('click', renameInLibrary);
+  el('btn-lib-duplicate').addEventListener('click', duplicateInLibrary);
+  el('btn-lib-delete').addEventListener('click', deleteFromLibrary);
+  el('btn-lib-export').addEventListener('click', exportLibraryBundle);
+  el('btn-lib-import').addEventListener('click', () => el('lib-import-file').click());
+  el('lib-import-file').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) importLibraryBundle(file);
+    e.target.value = '';
+  });
+  window.addEventListener('pagehide', autosaveNow);
+
+  el('btn-narrate').addEventListener('click', playNarration);
+  el('btn-narrate-stop').addEventListener('click', () => { stopNarration(); renderer.draw(); });
+  window.addEventListener('hashchange', () => { if (isPermalink(location.hash)) openPermalink(location.hash); });
+  el('btn-export-svg').addEventListener('click', exportSVG);
+  el('btn-export-animation').addEventListener('click', exportAnimation);
+
+  const strategyOpts = Object.entries(COMPARE_STRATEGIES).map(([k, v]) => `<option value="${k}">${v.label}</option>`).join('');
+  el('compare-left-strategy').innerHTML = strategyOpts;
+  el('compare-right-strategy').innerHTML = strategyOpts;
+  el('compare-left-strategy').value = 'detection';
+  el('compare-right-strategy').value = 'avoid-banker';
+  el('btn-compare').addEventListener('click', openCompare);
+  el('btn-compare-close').addEventListener('click', closeCompare);
+  el('compare-left-strategy').addEventListener('change', startComparison);
+  el('compare-right-strategy').addEventListener('change', startComparison);
+  el('btn-compare-reset').addEventListener('click', () => { pauseCompare(); comparison.jumpTo(0); refreshCompare(); });
+  el('btn-compare-back').addEventListener('click', () => { pauseCompare(); comparison.stepBack(); refreshCompare(); });
+  el('btn-compare-step').addEventListener('click', () => { comparison.step(); refreshCompare(); });
+  el('btn-compare-run').addEventListener('click', () => { pauseCompare(); comparison.runToEnd(); refreshCompare(); });
+  el('btn-compare-play').addEventListener('click', playCompare);
+  el('btn-compare-pause').addEventListener('click', pauseCompare);
+  el('exp-sweep').innerHTML = Object.entries(EXPERIMENT_SWEEPS).map(([k, v]) => `<option value="${k}">${v}</option>`).join('');
+  el('exp-strategies').innerHTML = Object.entries(COMPARE_STRATEGIES).map(([k, v]) =>
+    `<label><input type="checkbox" value="${k}"${k === 'detection' || k === 'avoid-banker' ? ' checked' : ''} /> ${v.label}</label>`).join('');
+  el('btn-experiments').addEventListener('click', () => { pause(); el('experiment-panel').hidden = false; });
+  el('btn-exercises').addEventListener('click', () => { pause(); el('exercise-panel').hidden = false; });
+  el('ex-sample').innerHTML = SAMPLE_EXERCISES.map(set => `<option value="${set.id}">${set.title}</option>`).join('');
+  el('btn-ex-sample').addEventListener('click', () => startExercises(SAMPLE_EXERCISES.find(set => set.id === el('ex-sample').value)));
+  el('btn-ex-load').addEventListener('click', () => el('ex-file').click());
+  el('ex-file').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) loadExerciseFile(file);
+    e.target.value = '';
+  });
+  el('ex-student').addEventListener('change', (e) => { if (exerciseSession) exerciseSession.student = e.target.value.trim(); });
+  el('btn-ex-check').addEventListener('click', checkExerciseAnswer);
+  el('ex-answer').addEventListener('keydown', (e) => { if (e.key === 'Enter') checkExerciseAnswer(); });
+  el('btn-ex-hint').addEventListener('click', () => {
+    if (exerciseSession.hint(exerciseIndex) !== null) showExercise(exerciseIndex);
+  });
+  el('btn-ex-prev').addEventListener('click', () => showExercise(exerciseIndex - 1));
+  el('btn-ex-next').addEventListener('click', () => showExercise(exerciseIndex + 1));
+  el('btn-ex-export-json').addEventListener('click', () => exportExerciseResults('json'));
+  el('btn-ex-export-csv').addEventListener('click', () => exportExerciseResults('csv'));
+  el('btn-ex-exit').addEventListener('click', exitExercises);
+  el('btn-experiment-close').addEventListener('click', closeExperiments);
+  el('exp-source').addEventListener('change', () => {
+    const source = el('exp-source').value;
+    document.querySelectorAll('.exp-generated').forEach(n => { n.hidden = source !== 'generated'; });
+    if (source === 'files') el('exp-files').click();
+  });
+  el('exp-files').addEventListener('change', () => {
+    const n = el('exp-files').files.length;
+    el('exp-status').textContent = n ? `${n} file${n === 1 ? '' : 's'} selected` : 'No files selected';
+  });
+  el('btn-exp-run').addEventListener('click', runExperimentFromForm);
+  el('btn-exp-stop').addEventListener('click', () => { experimentStop = true; });
+  el('btn-exp-csv').addEventListener('click', () => exportExperimentCSV('summary'));
+  el('btn-exp-csv-runs').addEventListener('click', () => exportExperimentCSV('runs'));
+  window.addEventListener('resize', () => { if (experimentResult && !el('experiment-panel').hidden) drawExperimentCharts(); });
+
+  el('compare-diff').addEventListener('click', (e) => {
+    const li = e.target.closest('li');
+    if (!li) return;
+    pauseCompare();
+    comparison.jumpTo(Number(li.dataset.index));
+    refreshCompare();
+  });
+
+  el('dsl-editor').addEventListener('input', () => {
+    dslDirty = true;
+    clearTimeout(dslTimer);
+    dslTimer = setTimeout(checkDSL, 250);
+  });
+  el('dsl-editor').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); applyDSL(); }
+  });
+  el('btn-dsl-apply').addEventListener('click', applyDSL);
+  el('btn-dsl-revert').addEventListener('click', () => { dslDirty = false; refreshDSL(); });
+  el('dsl-errors').addEventListener('click', (e) => {
+    const li = e.target.closest('li');
+    if (li) focusEditorAt(Number(li.dataset.line), Number(li.dataset.col));
+  });
+
+  document.addEventListener('mousedown', (e) => {
+    if (!el('context-menu').contains(e.target)) hideMenu();
+  });
 
   window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') { hideMenu(); closeCompare(); closeExperiments(); }
+    if (e.target.closest && e.target.closest('input, textarea, select')) return;
+    if (!el('experiment-panel').hidden || exerciseSession) return;
+    if (!el('compare-panel').hidden) {
+      if (e.key === ' ') { e.preventDefault(); if (compareHandle) pauseCompare(); else playCompare(); }
+      else if (e.key === 'ArrowRight') { comparison.step(); refreshCompare(); }
+      else if (e.key === 'ArrowLeft') { pauseCompare(); comparison.stepBack(); refreshCompare(); }
+      return;
+    }
     if (e.key === ' ') {
       e.preventDefault();
       if (sim.playing) pause(); else play();
@@ -136,6 +434,18 @@ function stepBackwardOnce() {
   statusState('Stepped backward');
   refreshAll();
 }
+function jumpTo(index) {
+  pause();
+  sim.jumpTo(index);
+  statusState(`Jumped to step ${sim.state.step}`);
+  refreshAll();
+}
+function switchBranch(index) {
+  pause();
+  if (!sim.switchBranch(index)) return;
+  statusState(`Switched to ${sim.branch.name}`);
+  refreshAll();
+}
 
 let playHandle = null;
 function play() {
@@ -177,7 +487,9 @@ function refreshLists() {
   pList.innerHTML = '';
   sim.state.processes.forEach(p => {
     const li=document.createElement('li');
-    li.innerHTML = `<span>${p.name}</span><span class="pill">${p.state}</span>`;
+    const prog = p.script.length ? ` ${Math.min(p.pc, p.script.length)}/${p.script.length}` : '';
+    const starving = sim.state.isStarving(p.name) ? ' starving' : '';
+    li.innerHTML = `<span>${esc(p.name)}</span><span class="pill">${esc(p.state)}${starving}${prog}${esc(siteTag(p.name))}</span>`;
     pList.appendChild(li);
   });
 
@@ -185,12 +497,56 @@ function refreshLists() {
   rList.innerHTML = '';
   sim.state.resources.forEach(r => {
     const li=document.createElement('li');
-    li.innerHTML = `<span>${r.name}</span><span class="pill">${sim.state.availableOf(r.name)}/${r.total}</span>`;
+    const queue = r.discipline !== 'first-fit' ? ` ${r.discipline}` : '';
+    li.innerHTML = `<span>${esc(r.name)}</span><span class="pill">${sim.state.availableOf(r.name)}/${r.total}${queue}${esc(siteTag(r.name))}</span>`;
     rList.appendChild(li);
   });
 
-  el('event-proc').innerHTML = sim.state.processes.map(p => `<option value="${p.name}">${p.name}</option>`).join('');
-  el('event-res').innerHTML = sim.state.resources.map(r => `<option value="${r.name}">${r.name}</option>`).join('');
+  const procOpts = sim.state.processes.map(p => `<option value="${esc(p.name)}">${esc(p.name)}</option>`).join('');
+  const resOpts = sim.state.resources.map(r => `<option value="${esc(r.name)}">${esc(r.name)}</option>`).join('');
+  setOptions('event-proc', procOpts);
+  setOptions('event-res', resOpts);
+  setOptions('claim-proc', procOpts);
+  setOptions('claim-res', resOpts);
+
+  el('chk-avoidance').checked = sim.state.avoidance;
+  el('avoidance-strategy').value = sim.state.avoidanceStrategy;
+  el('detection-method').value = sim.state.detection;
+  el('prevention-policy').value = sim.state.prevention;
+  el('scheduler').value = sim.state.scheduler;
+  el('scheduler-seed').value = sim.state.seed;
+  el('queue-aging').value = sim.state.queueing.aging;
+  el('starvation-steps').value = sim.state.queueing.starvationSteps;
+  el('recovery-policy').value = sim.state.recovery.policy;
+  el('recovery-action').value = sim.state.recovery.action;
+  el('chk-auto-recover').checked = sim.state.recovery.enabled;
+}
+
+// " @A" after a node's pill once the graph spans more than one site
+function siteTag(name) {
+  return sim.state.sites().length > 1 ? ` @${sim.state.siteOf(name)}` : '';
+}
+
+// Replace a select's options while keeping the current choice when it still exists
+function setOptions(id, html) {
+  const sel = el(id), prev = sel.value;
+  sel.innerHTML = html;
+  if ([...sel.options].some(o => o.value === prev)) sel.value = prev;
+}
+
+// Render a process x resource matrix as a fixed-width text table
+function matrixTable(rows, cols, valueOf) {
+  const width = Math.max(4, ...rows.map(r => r.length), ...cols.map(c => c.length)) + 2;
+  const pad = v => String(v).padStart(width);
+  const head = ' '.repeat(width) + cols.map(pad).join('');
+  return [head, ...rows.map(r => pad(r) + cols.map(c => pad(valueOf(r, c))).join(''))].join('\n');
+}
+
+function modeLabel() {
+  const prevention = sim.state.prevention !== 'none' ? ` + prevention: ${OSViz.RAGState.preventionPolicies[sim.state.prevention]}` : '';
+  const d = sim.state.distributed.mode !== 'off' ? ` + distributed: ${OSViz.RAGState.distributedModes[sim.state.distributed.mode]}` : '';
+  if (!sim.state.avoidance) return `Detection${prevention}${d}`;
+  return (sim.state.avoidanceStrategy === 'banker' ? "Avoidance (Banker's)" : 'Avoidance (Cycle check)') + prevention + d;
 }
 
 function refreshEventQueue() {
@@ -198,33 +554,68 @@ function refreshEventQueue() {
   ol.innerHTML = '';
   sim.state.eventQueue.forEach((evt, idx) => {
     const li=document.createElement('li');
-    li.textContent = `${idx+1}. ${evt.type.toUpperCase()} ${evt.process} ${evt.count}x ${evt.resource}`;
+    const what = evt.resources ? `${formatParts(evt.resources)} (all at once)` : `${evt.count}x ${evt.resource}`;
+    li.textContent = `${idx+1}. ${evt.type.toUpperCase()} ${evt.process} ${what}${evt.at !== undefined ? ` @ step ${evt.at}` : ''}`;
     ol.appendChild(li);
   });
 }
 
+// Parts collected for the next atomic request event; resources that no longer exist drop out
+let atomicParts = {};
+function refreshAtomicParts() {
+  for (const r of Object.keys(atomicParts)) if (!sim.state.getResource(r)) delete atomicParts[r];
+  el('event-parts').textContent = Object.keys(atomicParts).length
+    ? `Atomic request: ${formatParts(atomicParts)}. Queue Event requests them all at once.`
+    : 'Add two or more resources to request them all at once.';
+}
+
 function updateStatsAndLog() {
   const s = sim.state.getStats();
   const dead = s.deadlock ? `YES (involved: ${s.deadlock.involved.join(', ')}; cycles: ${s.deadlock.cycles.map(c=>`[${c.join('->')}]`).join(' ')})` : 'No';
+  const { cycle, reduction } = s.detectors;
+  const cycleStr = cycle.deadlocked ? `YES (${cycle.involved.join(', ')}; cycles: ${cycle.cycles.map(c=>`[${c.join('->')}]`).join(' ')})` : 'No';
+  const reductionStr = reduction.deadlocked ? `YES (${reduction.involved.join(', ')})` : 'No';
+  const orderStr = `<${reduction.order.join(', ')}>` + (reduction.blocked.length ? `; blocked behind deadlock: ${reduction.blocked.join(', ')}` : '');
   el('status-step').textContent = String(s.step);
   el('status-deadlock').innerHTML = s.deadlock ? `<span style="color: var(--danger)">YES</span>` : `<span style="color: var(--ok)">No</span>`;
 
-  const procStr = s.processes.map(p => `  - ${p.name}: ${p.state}`).join('\n');
-  const resStr = s.resources.map(r => `  - ${r.name}: total=${r.total} avail=${s.available[r.name]} assigned=${JSON.stringify(s.assigned[r.name]||{})}`).join('\n');
+  const procStr = s.processes.map(p => {
+    const prog = p.scriptLength ? `; script ${Math.min(p.pc, p.scriptLength)}/${p.scriptLength}${p.current ? ` next: ${p.current}` : ''}${p.remaining ? ` (${p.remaining} ticks left)` : ''}` : '';
+    return `  - ${p.name}: ${p.state} (priority ${p.priority}${prog})`;
+  }).join('\n');
+  const resStr = s.resources.map(r => `  - ${r.name}: total=${r.total} avail=${s.available[r.name]} assigned=${JSON.stringify(s.assigned[r.name]||{})} queue=${r.discipline}`).join('\n');
   const qStr = Object.entries(s.queues).map(([r, arr]) => `  - ${r}: [${arr.join(', ')}]`).join('\n');
+  const pNames = s.processes.map(p => p.name), rNames = s.resources.map(r => r.name);
+  const maxStr = matrixTable(pNames, rNames, (p, r) => s.max[p][r]);
+  const needStr = matrixTable(pNames, rNames, (p, r) => s.need[p][r]);
+  const availStr = matrixTable(['Avail'], rNames, (_, r) => s.available[r]);
+  const safeStr = s.safe ? `safe <${s.safeSequence.join(', ')}>` : 'UNSAFE (no safe sequence)';
 
   el('stats-content').textContent =
 `Step: ${s.step}
-Mode: ${sim.state.avoidance ? 'Avoidance' : 'Detection'}
+Mode: ${modeLabel()}
+Scheduler: ${OSViz.RAGState.schedulers[s.scheduler]}${s.scheduler === 'random' ? ` (seed ${s.seed})` : ''}
+Generated: ${s.generator ? describeGenerator(s.generator) : 'no'}
+Queueing: aging ${s.queueing.aging}/step, starvation after ${s.queueing.starvationSteps || 'never'}${s.queueing.starvationSteps ? ' steps' : ''}
 Processes:
 ${procStr}
 Resources:
 ${resStr}
 Queues:
 ${qStr}
+Max:
+${maxStr}
+Need:
+${needStr}
+Available:
+${availStr}
+Banker's state: ${safeStr}
 Pending events: ${s.pendingEvents}
-Deadlock: ${dead}
-History length: ${sim.history.length}
+Deadlock (${s.detection === 'cycle' ? 'wait-for cycle' : 'graph reduction'}): ${dead}
+  - Wait-for cycle: ${cycleStr}
+  - Graph reduction: ${reductionStr}
+  - Reduction finish order: ${orderStr}
+Timeline: snapshot ${sim.cursor + 1} of ${sim.history.length} on ${sim.branch.name} (${sim.branches.length} branch${sim.branches.length === 1 ? '' : 'es'})
 `;
 
   el('log-content').textContent = sim.state.logs.slice(-100).join('\n');
@@ -233,14 +624,242 @@ History length: ${sim.history.length}
 function refreshAll() {
   refreshLists();
   refreshEventQueue();
+  refreshAtomicParts();
+  refreshDSL();
+  refreshTimeline();
+  refreshMetrics();
+  refreshExplain();
+  refreshDistributed();
+  el('gen-current').textContent = sim.state.generator ? `Current scenario: ${describeGenerator(sim.state.generator)}` : '';
   renderer.layout();
   renderer.draw();
   updateStatsAndLog();
+  scheduleAutosave();
+}
+
+// Scrubber position, markers and branch list for the current timeline
+function refreshTimeline() {
+  const range = el('timeline');
+  range.max = String(sim.history.length - 1);
+  range.value = String(sim.cursor);
+  el('timeline-label').textContent = `Snapshot ${sim.cursor + 1}/${sim.history.length} · step ${sim.state.step}`;
+  const span = Math.max(1, sim.history.length - 1);
+  const markers = el('timeline-markers');
+  markers.innerHTML = '';
+  for (const m of sim.markers()) {
+    const dot = document.createElement('span');
+    dot.className = `marker marker-${m.kind}`;
+    dot.style.left = `${(m.index / span) * 100}%`;
+    dot.title = m.label;
+    dot.dataset.index = m.index;
+    if (m.branch !== undefined) dot.dataset.branch = m.branch;
+    markers.appendChild(dot);
+  }
+  el('branch-select').innerHTML = sim.branches.map((b, i) => `<option value="${i}">${esc(b.name)}</option>`).join('');
+  el('branch-select').value = String(sim.branchIndex);
+  el('btn-branch-delete').disabled = sim.branches.length < 2;
+}
+
+// Sparklines for the timeline up to the cursor; rows are rebuilt only when nodes come or go
+function refreshMetrics() {
+  const m = computeMetrics(sim.history.slice(0, sim.cursor + 1));
+  const wrap = el('metrics-content');
+  const key = [...m.resources.map(r => r.name), '|', ...m.processes.map(p => p.name)].join(',');
+  if (wrap.dataset.key !== key) {
+    wrap.dataset.key = key;
+    const row = (name, charts) => `<div class="metric-row"><span class="metric-name">${esc(name)}</span>${charts}</div>`;
+    const chart = '<canvas class="sparkline"></canvas><span class="metric-value"></span>';
+    wrap.innerHTML = m.resources.map(r => row(r.name, chart + chart)).join('') + m.processes.map(p => row(p.name, chart)).join('');
+  }
+  const rows = wrap.children;
+  const last = series => series[series.length - 1];
+  const css = getComputedStyle(document.documentElement), color = name => css.getPropertyValue(name).trim();
+  const draw = (canvas, values, opts) => {
+    const ratio = Math.max(1, window.devicePixelRatio || 1), w = canvas.clientWidth, h = canvas.clientHeight;
+    canvas.width = Math.floor(w * ratio); canvas.height = Math.floor(h * ratio);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    drawSparkline(ctx, w, h, values, opts);
+  };
+  m.resources.forEach((r, i) => {
+    const [util, queue] = rows[i].querySelectorAll('canvas');
+    const [utilText, queueText] = rows[i].querySelectorAll('.metric-value');
+    draw(util, r.utilization, { max: 1, color: color('--edge-assign') });
+    draw(queue, r.queueLength, { color: color('--edge-wait') });
+    utilText.textContent = last(r.utilization) === null ? '–' : `${Math.round(last(r.utilization) * 100)}% used`;
+    queueText.textContent = last(r.queueLength) === null ? '–' : `queue ${last(r.queueLength)}`;
+  });
+  m.processes.forEach((p, i) => {
+    const row = rows[m.resources.length + i];
+    draw(row.querySelector('canvas'), p.blocked, { max: 1, color: color('--warn') });
+    const holding = Object.entries(p.holdingSteps).map(([r, n]) => `${r} ${n}`).join(', ') || 'nothing';
+    row.querySelector('.metric-value').innerHTML = `blocked ${p.blockedSteps} steps (longest ${p.longestWait}); held ${esc(holding)}; skipped ${p.skips}x`
+      + (p.starving ? ' <span class="badge-danger">starving</span>' : '');
+  });
 }
 
 function statusState(msg){ el('status-state').textContent = msg; }
 function log(msg){ sim.state.logs.push(msg); updateStatsAndLog(); }
 
+/* ---------- Canvas editing ---------- */
+function handleCanvasAction(action) {
+  const st = sim.state;
+  if (action.type === 'move') {
+    commitState(`Move ${action.name}`);
+    return;
+  }
+  const { clientX: x, clientY: y } = action;
+  if (action.type === 'connect') {
+    const { process: p, resource: r } = action;
+    showMenu(`${p} → ${r}`, [
+      { label: `Request ${r}…`, run: () => {
+        const n = promptUnits(`Units of ${r} requested by ${p}`, 1);
+        if (n) applyEdit(() => st.request(p, r, n, { enqueueIfBlocked: true }).ok, `Request ${p} ${n}x ${r}`);
+      } },
+      { label: `Assign ${r} to ${p}…`, run: () => {
+        const n = promptUnits(`Units of ${r} assigned to ${p}`, 1);
+        if (n) applyEdit(() => st.assign(p, r, n), `Assign ${n}x ${r} to ${p}`);
+      } }
+    ], x, y);
+  } else if (action.type === 'edge-menu') {
+    const { kind, process: p, resource: r, count } = action.edge;
+    const items = kind === 'assign'
+      ? [
+        { label: `Release 1 ${r}`, run: () => applyEdit(() => st.release(p, r, 1).ok, `Release ${p} 1x ${r}`) },
+        { label: `Release all ${count} ${r}`, run: () => applyEdit(() => st.release(p, r, count).ok, `Release ${p} ${count}x ${r}`) }
+      ]
+      : [{ label: `Remove request`, danger: true, run: () => applyEdit(() => st.cancelRequest(p, r), `Cancel request ${p} ${r}`) }];
+    showMenu(kind === 'assign' ? `${r} → ${p} (assigned ${count})` : `${p} → ${r} (waiting ${count})`, items, x, y);
+  } else if (action.type === 'node-menu') {
+    const name = action.name;
+    const items = [{ label: 'Rename…', run: () => {
+      const next = (prompt(`Rename ${name} to`, name) || '').trim();
+      if (next && next !== name) applyEdit(() => st.rename(name, next), `Rename ${name} -> ${next}`, `"${next}" is already used or is not a name (letters, digits, _ . or -)`);
+    } }];
+    if (action.nodeType === 'R') {
+      items.push({ label: 'Change instances…', run: () => {
+        const n = promptUnits(`Instances of ${name}`, st.getResource(name).total);
+        if (n) applyEdit(() => st.setInstances(name, n), `Resize ${name} to ${n}`);
+      } });
+      if (st.prevention === 'ordering') {
+        const rank = st.resourceRank(name);
+        if (rank > 1) items.push({ label: `Move earlier in order (#${rank - 1})`, run: () => applyEdit(() => st.moveResource(name, -1), `Order ${name} #${rank - 1}`) });
+        if (rank < st.resources.length) items.push({ label: `Move later in order (#${rank + 1})`, run: () => applyEdit(() => st.moveResource(name, 1), `Order ${name} #${rank + 1}`) });
+      }
+      for (const [key, label] of Object.entries(OSViz.RAGState.queueDisciplines)) {
+        if (key !== st.getResource(name).discipline) items.push({ label: `Queue: ${label}`, run: () => applyEdit(() => st.setDiscipline(name, key), `Queue ${name} ${key}`) });
+      }
+    }
+    items.push({ label: `Site (${st.siteOf(name)})…`, run: () => {
+      const site = (prompt(`Site of ${name}`, st.siteOf(name)) || '').trim();
+      if (site && site !== st.siteOf(name)) applyEdit(() => st.setSite(name, site), `Site ${name} ${site}`, `"${site}" is not a site name (letters, digits, _ . or -)`);
+    } });
+    if (action.nodeType === 'P') {
+      items.push({ label: 'Set priority…', run: () => {
+        const v = prompt(`Priority of ${name}`, String(st.getProcess(name).priority));
+        if (v !== null && Number.isFinite(Number(v))) applyEdit(() => { st.getProcess(name).priority = Number(v); return true; }, `Priority ${name}=${v}`);
+      } });
+    }
+    if (st.nodePositions[name]) items.push({ label: 'Reset position', run: () => applyEdit(() => delete st.nodePositions[name], `Reset position ${name}`) });
+    items.push({ label: `Delete ${action.nodeType === 'P' ? 'process' : 'resource'}`, danger: true, run: () => {
+      applyEdit(() => action.nodeType === 'P' ? st.removeProcess(name) : st.removeResource(name), `Delete ${name}`);
+    } });
+    showMenu(`${action.nodeType === 'P' ? 'Process' : 'Resource'} ${name}`, items, x, y);
+  } else if (action.type === 'canvas-menu' && Object.keys(st.nodePositions).length) {
+    showMenu('Layout', [{ label: 'Reset all positions', run: () => applyEdit(() => { st.nodePositions = {}; return true; }, 'Reset layout') }], x, y);
+  }
+}
+
+// Run an edit against the live state; commit it as a history entry when it succeeds
+function applyEdit(fn, label, failMsg) {
+  pause();
+  const result = fn();
+  const ok = result === true || (result && result.ok);
+  if (!ok) {
+    statusState(`Edit rejected: ${(result && result.reason) || failMsg || label}`);
+    return;
+  }
+  commitState(label);
+  statusState(label);
+  refreshAll();
+}
+
+function promptUnits(message, initial) {
+  const v = prompt(message, String(initial));
+  if (v === null) return 0;
+  const n = Math.floor(Number(v));
+  if (!(n >= 1)) { alert('Enter a whole number of at least 1'); return 0; }
+  return n;
+}
+
+function showMenu(title, items, x, y) {
+  const menu = el('context-menu');
+  menu.innerHTML = `<div class="menu-title">${esc(title)}</div>`;
+  items.forEach((item) => {
+    const b = document.createElement('button');
+    b.textContent = item.label;
+    if (item.danger) b.className = 'danger';
+    b.addEventListener('click', () => { hideMenu(); item.run(); });
+    menu.appendChild(b);
+  });
+  menu.hidden = false;
+  menu.style.left = `${Math.min(x, window.innerWidth - menu.offsetWidth - 8)}px`;
+  menu.style.top = `${Math.min(y, window.innerHeight - menu.offsetHeight - 8)}px`;
+}
+
+function hideMenu() { el('context-menu').hidden = true; }
+
+/* ---------- Scenario script ---------- */
+let dslDirty = false;
+let dslTimer = null;
+
+// Mirror the current state into the editor unless the user has unapplied edits
+function refreshDSL() {
+  if (dslDirty) return;
+  el('dsl-editor').value = toDSL(sim.state);
+  showDSLErrors([]);
+}
+
+function checkDSL() {
+  const { errors } = parseDSL(el('dsl-editor').value);
+  showDSLErrors(errors);
+}
+
+function showDSLErrors(errors) {
+  el('dsl-errors').innerHTML = '';
+  errors.forEach((err) => {
+    const li = document.createElement('li');
+    li.dataset.line = err.line;
+    li.dataset.col = err.col;
+    li.textContent = err.message;
+    el('dsl-errors').appendChild(li);
+  });
+  el('dsl-editor').classList.toggle('has-errors', errors.length > 0);
+  el('btn-dsl-apply').disabled = errors.length > 0;
+}
+
+function applyDSL() {
+  const { state, errors } = parseDSL(el('dsl-editor').value);
+  if (!state) { showDSLErrors(errors); statusState('Script has errors'); return; }
+  pause();
+  state.step = sim.state.step;
+  state.logs = sim.state.logs.slice();
+  state.nodePositions = deepClone(sim.state.nodePositions);
+  sim.state = state;
+  dslDirty = false;
+  commitState('Apply scenario script');
+  statusState('Script applied');
+  refreshAll();
+}
+
+function focusEditorAt(line, col) {
+  const ta = el('dsl-editor');
+  const lines = ta.value.split('\n');
+  const pos = lines.slice(0, line - 1).reduce((a, l) => a + l.length + 1, 0) + col - 1;
+  ta.focus();
+  ta.setSelectionRange(pos, pos);
+}
+
 /* ---------- Exports ---------- */
 function exportScreenshot() {
   const canvas=el('canvas');
@@ -253,68 +872,677 @@ function exportScreenshot() {
 
 function exportTrace() {
   const trace=sim.exportTrace();
-  const blob=new Blob([JSON.stringify({ trace, generatedAt:new Date().toISOString() }, null, 2)],{type:'application/json'});
+  const generator=trace[0].generator||null;
+  const metrics=computeMetrics(trace);
+  const blob=new Blob([JSON.stringify({ trace, generator, metrics, generatedAt:new Date().toISOString() }, null, 2)],{type:'application/json'});
+  downloadBlob(blob, `rag_trace_${Date.now()}.json`);
+}
+
+function exportSVG() {
+  const blob=new Blob([renderSVG(renderer, sim.state)],{type:'image/svg+xml'});
+  downloadBlob(blob, `rag_step${sim.state.step}.svg`);
+}
+
+let exportingAnimation = false;
+async function exportAnimation() {
+  if (exportingAnimation) return;
+  exportingAnimation = true;
+  pause();
+  const btn = el('btn-export-animation');
+  btn.disabled = true;
+  const history = sim.exportTrace();
+  const progress = (i, n) => statusState(`Rendering frame ${i}/${n}`);
+  try {
+    if (el('anim-format').value === 'frames') {
+      const zip = await exportFramesZip(renderer, history, progress);
+      downloadBlob(zip, `rag_frames_${Date.now()}.zip`);
+    } else {
+      const video = await exportWebM(renderer, history, 700 / sim.speed, progress);
+      downloadBlob(video, `rag_run_${Date.now()}.webm`);
+    }
+    statusState(`Exported ${history.length} frames`);
+  } catch (err) {
+    statusState('Animation export failed');
+    alert(err.message);
+  } finally {
+    exportingAnimation = false;
+    btn.disabled = false;
+  }
+}
+
+function downloadBlob(blob, filename) {
   const url=URL.createObjectURL(blob);
   const a=el('download-link');
   a.href=url;
-  a.download=`rag_trace_${Date.now()}.json`;
+  a.download=filename;
   a.click();
-  URL.revokeObjectURL(url);
-}
-
-/* ---------- Scenarios ---------- */
-function loadSampleCycle() {
-  sim.hardReset();
-  sim.state.addProcess('P1');
-  sim.state.addProcess('P2');
-  sim.state.addResource('R1',1);
-  sim.state.addResource('R2',1);
-  sim.state.assignments['R1']['P1']=1;
-  sim.state.assignments['R2']['P2']=1;
-  sim.state.enqueueEvent({type:'request',process:'P1',resource:'R2',count:1});
-  sim.state.enqueueEvent({type:'request',process:'P2',resource:'R1',count:1});
-  sim.state.logs.push('Loaded sample: 2-process cycle deadlock scenario');
-}
-function loadSampleNoDeadlock() {
-  sim.hardReset();
-  sim.state.addProcess('P1'); sim.state.addProcess('P2'); sim.state.addProcess('P3');
-  sim.state.addResource('R1',2); sim.state.addResource('R2',1);
-  sim.state.assignments['R1']['P1']=1;
-  sim.state.assignments['R1']['P2']=1;
-  sim.state.enqueueEvent({type:'request',process:'P3',resource:'R1',count:1});
-  sim.state.enqueueEvent({type:'release',process:'P1',resource:'R1',count:1});
-  sim.state.enqueueEvent({type:'request',process:'P2',resource:'R2',count:1});
-  sim.state.enqueueEvent({type:'release',process:'P2',resource:'R2',count:1});
-  sim.state.logs.push('Loaded sample: No deadlock scenario');
-}
-function loadSampleThreeProcCycle() {
-  sim.hardReset();
-  sim.state.addProcess('P1'); sim.state.addProcess('P2'); sim.state.addProcess('P3');
-  sim.state.addResource('R1',1); sim.state.addResource('R2',1); sim.state.addResource('R3',1);
-  sim.state.assignments['R1']['P1']=1;
-  sim.state.assignments['R2']['P2']=1;
-  sim.state.assignments['R3']['P3']=1;
-  sim.state.enqueueEvent({type:'request',process:'P1',resource:'R2',count:1});
-  sim.state.enqueueEvent({type:'request',process:'P2',resource:'R3',count:1});
-  sim.state.enqueueEvent({type:'request',process:'P3',resource:'R1',count:1});
-  sim.state.logs.push('Loaded sample: 3-process cycle deadlock scenario');
-}
-function loadSampleContention() {
-  sim.hardReset();
-  sim.state.addProcess('P1'); sim.state.addProcess('P2'); sim.state.addProcess('P3'); sim.state.addProcess('P4');
-  sim.state.addResource('CPU',2); sim.state.addResource('IO',1);
-  sim.state.assignments['CPU']['P1']=1;
-  sim.state.assignments['CPU']['P2']=1;
-  sim.state.enqueueEvent({type:'request',process:'P3',resource:'CPU',count:1});
-  sim.state.enqueueEvent({type:'request',process:'P4',resource:'IO',count:1});
-  sim.state.enqueueEvent({type:'release',process:'P2',resource:'CPU',count:1});
-  sim.state.enqueueEvent({type:'request',process:'P1',resource:'IO',count:1});
-  sim.state.enqueueEvent({type:'release',process:'P4',resource:'IO',count:1});
-  sim.state.enqueueEvent({type:'request',process:'P2',resource:'IO',count:1});
-  sim.state.logs.push('Loaded sample: Contention scenario');
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* ---------- Compare strategies ---------- */
+let comparison = null;
+let compareRenderers = null;
+let compareHandle = null;
+
+function openCompare() {
+  pause();
+  el('compare-panel').hidden = false;
+  startComparison();
+}
+function closeCompare() {
+  if (el('compare-panel').hidden) return;
+  pauseCompare();
+  el('compare-panel').hidden = true;
+}
+
+// Fresh pair of runs from the main view's current state
+function startComparison() {
+  pauseCompare();
+  comparison = new Comparison(sim.state.serialize(), el('compare-left-strategy').value, el('compare-right-strategy').value,
+    { autoGrant: el('chk-auto-grant').checked });
+  if (!compareRenderers) {
+    compareRenderers = ['left', 'right'].map((side, i) => new OSViz.Renderer(el(`compare-${side}`), comparison.sides[i].sim,
+      { tooltip: el(`compare-${side}-tooltip`), editable: false }));
+  }
+  compareRenderers.forEach((r, i) => {
+    r.sim = comparison.sides[i].sim;
+    r.setLayoutMode(renderer.layoutMode);
+    r.setShowWFG(renderer.showWFG);
+    r.positions = {};
+    r.layout(false);
+  });
+  refreshCompare();
+}
+
+function playCompare() {
+  if (compareHandle) return;
+  el('btn-compare-play').disabled = true;
+  el('btn-compare-pause').disabled = false;
+  const next = () => {
+    if (comparison.done) { pauseCompare(); return; }
+    comparison.step();
+    refreshCompare();
+    compareHandle = setTimeout(next, 700 / sim.speed);
+  };
+  compareHandle = setTimeout(next, 0);
+}
+function pauseCompare() {
+  clearTimeout(compareHandle);
+  compareHandle = null;
+  el('btn-compare-play').disabled = false;
+  el('btn-compare-pause').disabled = true;
+}
+
+function compareMetricsText(m) {
+  return [
+    `Ended: ${m.completedAt === null ? 'still running' : `step ${m.completedAt}`}`,
+    `Deadlock: ${m.deadlockAt === null ? 'no' : `yes, at step ${m.deadlockAt}`}`,
+    `Blocked process-steps: ${m.blockedProcessSteps}`,
+    `Grants: ${m.grants}  Delayed: ${m.delayed}  Denied: ${m.denied}`,
+    `Finished: ${m.finished}  Aborted: ${m.terminated}`
+  ].join('\n');
+}
+
+function describeChanges(c) {
+  const parts = [...c.grants, ...c.queued, ...c.denied.map(d => `denied ${d}`)];
+  return parts.length ? parts.join('; ') : 'nothing';
+}
+
+function refreshCompare() {
+  compareRenderers.forEach(r => { r.layout(); r.draw(); });
+  comparison.sides.forEach((side, i) => {
+    el(`compare-${i ? 'right' : 'left'}-metrics`).textContent = compareMetricsText(comparison.metrics(side));
+  });
+  const { firstDivergence, rows } = comparison.diff();
+  const [left, right] = comparison.sides;
+  el('compare-status').textContent = `Step ${left.sim.state.step}${comparison.done ? ' (both runs finished)' : ''} · `
+    + (firstDivergence === null ? 'no divergence yet' : `runs first diverge at step ${firstDivergence}`);
+  const ol = el('compare-diff');
+  ol.innerHTML = '';
+  rows.forEach(row => {
+    const li = document.createElement('li');
+    li.className = row.diverged ? 'diverged' : '';
+    li.dataset.index = row.index;
+    li.textContent = `Step ${row.step}: ${left.label}: ${describeChanges(row.left)} | ${right.label}: ${describeChanges(row.right)}`;
+    ol.appendChild(li);
+  });
+}
+
+/* ---------- Experiments ---------- */
+let experimentResult = null;
+let experimentRunning = false;
+let experimentStop = false;
+
+function closeExperiments() {
+  if (el('experiment-panel').hidden) return;
+  experimentStop = true;
+  el('experiment-panel').hidden = true;
+}
+
+// Scenario snapshots for the "current" and "files" sources; files may be scenarios, traces
+// (their last snapshot, as in the CLI) or scenario scripts
+async function experimentScenarios(source) {
+  if (source === 'current') return [{ name: 'Current', state: sim.state.serialize() }];
+  const files = [...el('exp-files').files];
+  if (!files.length) throw new ScenarioError(['Choose one or more scenario files first']);
+  const out = [];
+  for (const file of files) {
+    const text = await file.text();
+    let state;
+    if (/\.json$/i.test(file.name) || /^\s*[[{]/.test(text)) {
+      const imp = parseImport(text);
+      state = imp.kind === 'trace' ? imp.history[imp.history.length - 1] : imp.state.serialize();
+    } else {
+      const parsed = parseDSL(text);
+      if (!parsed.state) throw new ScenarioError(parsed.errors.map(e => `${file.name}: ${e.message}`));
+      state = parsed.state.serialize();
+    }
+    out.push({ name: file.name, state });
+  }
+  return out;
+}
+
+async function runExperimentFromForm() {
+  if (experimentRunning) return;
+  const source = el('exp-source').value;
+  const strategies = [...el('exp-strategies').querySelectorAll('input:checked')].map(c => c.value);
+  const spec = {
+    source: source === 'generated' ? 'generated' : 'scenarios',
+    runs: Math.max(1, Number(el('exp-runs').value) || 1),
+    firstSeed: Math.trunc(Number(el('exp-seed').value)) || 0,
+    maxSteps: Math.max(1, Number(el('exp-max-steps').value) || 500),
+    autoGrant: el('chk-auto-grant').checked,
+    strategies
+  };
+  try {
+    if (!strategies.length) throw new ScenarioError(['Pick at least one strategy']);
+    if (spec.source === 'generated') {
+      const values = el('exp-values').value.split(/[\s,]+/).filter(Boolean).map(Number);
+      if (!values.length || values.some(v => !Number.isFinite(v))) throw new ScenarioError(['Values must be a list of numbers, e.g. 2, 3, 4']);
+      spec.generator = generatorFormParams();
+      spec.sweep = { param: el('exp-sweep').value, values };
+    } else {
+      spec.scenarios = await experimentScenarios(source);
+    }
+    experimentRunning = true;
+    experimentStop = false;
+    el('btn-exp-run').disabled = true;
+    el('btn-exp-stop').disabled = false;
+    experimentResult = await runExperiment(spec, {
+      onProgress: (done, total) => { el('exp-status').textContent = `Run ${done}/${total}`; },
+      shouldStop: () => experimentStop
+    });
+    el('exp-status').textContent = `${experimentResult.runs.length} runs${experimentResult.stopped ? ' (stopped early)' : ''}`;
+    el('btn-exp-csv').disabled = false;
+    el('btn-exp-csv-runs').disabled = false;
+    drawExperimentCharts();
+    renderExperimentTable();
+  } catch (err) {
+    if (!err.errors) throw err;
+    el('exp-status').textContent = 'Experiment failed';
+    alert(`Could not run the experiment:\n${err.errors.map(m => `- ${m}`).join('\n')}`);
+  } finally {
+    experimentRunning = false;
+    el('btn-exp-run').disabled = false;
+    el('btn-exp-stop').disabled = true;
+  }
+}
+
+function drawExperimentCharts() {
+  const wrap = el('exp-charts');
+  if (!wrap.children.length) wrap.innerHTML = EXPERIMENT_CHARTS.map(() => '<canvas></canvas>').join('');
+  const ratio = Math.max(1, window.devicePixelRatio || 1);
+  EXPERIMENT_CHARTS.forEach((chart, i) => {
+    const canvas = wrap.children[i];
+    const w = canvas.clientWidth, h = canvas.clientHeight;
+    canvas.width = Math.floor(w * ratio);
+    canvas.height = Math.floor(h * ratio);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    drawExperimentChart(ctx, w, h, experimentResult, chart);
+  });
+}
+
+function renderExperimentTable() {
+  const fmt = (v, percent) => (v === null ? '–' : percent ? `${(v * 100).toFixed(1)}%` : v.toFixed(2));
+  const head = ['Strategy', experimentResult.xLabel, 'Runs', 'Deadlock rate', 'Steps to completion', 'Avg queue', 'Utilization', 'Timed out'];
+  const rows = experimentResult.summary.map(s => [COMPARE_STRATEGIES[s.strategy].label, s.x, s.runs, fmt(s.deadlockRate, true),
+    fmt(s.meanSteps), fmt(s.meanQueue), fmt(s.utilization, true), s.timedOut]);
+  el('exp-table').innerHTML = `<table><thead><tr>${head.map(c => `<th>${esc(c)}</th>`).join('')}</tr></thead>`
+    + `<tbody>${rows.map(r => `<tr>${r.map(c => `<td>${esc(c)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+function exportExperimentCSV(level) {
+  if (!experimentResult) return;
+  const blob=new Blob([experimentCSV(experimentResult, level)],{type:'text/csv'});
+  downloadBlob(blob, `rag_experiment_${level}_${Date.now()}.csv`);
+}
+
+/* ---------- Scenarios & Import ---------- */
+function loadScenario(doc) {
+  pause();
+  dslDirty = false;
+  sim.loadState(scenarioToState(doc));
+  if (doc.generator) fillGeneratorForm(doc.generator);
+  setBaseline(`Scenario: ${doc.name || 'untitled'}`);
+  refreshAll();
+}
+
+function loadSample(id) {
+  const doc = SAMPLE_SCENARIOS.find(sc => sc.id === id);
+  if (doc) loadScenario(doc);
+}
+
+function importFile(file) {
+  file.text().then((text) => {
+    const result = parseImport(text);
+    pause();
+    dslDirty = false;
+    if (result.kind === 'trace') {
+      sim.loadHistory(result.history);
+      if (result.history[0].generator) fillGeneratorForm(result.history[0].generator);
+      statusState(`Imported trace (${sim.history.length} snapshots)`);
+      refreshAll();
+    } else {
+      sim.loadState(result.state);
+      setBaseline(`Imported ${file.name}`);
+      statusState(`Imported scenario ${file.name}`);
+      refreshAll();
+    }
+  }).catch((err) => {
+    const details = err.errors ? err.errors.map(m => `- ${m}`).join('\n') : err.message;
+    statusState('Import failed');
+    alert(`Could not import ${file.name}:\n${details}`);
+  });
+}
+
+/* ---------- Permalinks ---------- */
+// Put the current state into the address bar and copy the link; replaceState keeps the
+// hashchange handler from reloading what is already shown
+async function copyPermalink() {
+  const hash = await encodePermalink(sim.state);
+  history.replaceState(null, '', hash);
+  const url = location.href;
+  try {
+    await navigator.clipboard.writeText(url);
+    statusState(`Link copied (${url.length} characters)`);
+  } catch (err) {
+    prompt('Copy this link', url);
+  }
+}
+
+// Open the state in a permalink hash as a fresh baseline. A link that cannot be read is
+// reported; on first load the default sample is shown instead.
+function openPermalink(hash, initial = false) {
+  decodePermalink(hash).then((state) => {
+    pause();
+    dslDirty = false;
+    sim.loadState(state);
+    setBaseline(`Opened link at step ${state.step}`);
+    statusState('Opened shared link');
+    refreshAll();
+  }).catch((err) => {
+    const details = err.errors ? err.errors.map(m => `- ${m}`).join('\n') : err.message;
+    statusState('Could not open link');
+    if (initial) loadScenario(SAMPLE_SCENARIOS[0]);
+    alert(`Could not open the shared link:\n${details}`);
+  });
+}
+
+/* ---------- Explanation ---------- */
+let explanation = null;
+let narrationHandle = null;
+
+// Rebuild the explanation for the current state; any narration in progress belongs to the old one
+function refreshExplain() {
+  stopNarration();
+  explanation = explainState(sim.state);
+  const conds = el('explain-conditions');
+  conds.innerHTML = '';
+  explanation.conditions.forEach((c) => {
+    const li = document.createElement('li');
+    li.className = c.holds ? 'holds' : 'broken';
+    li.textContent = `${c.holds ? '✓' : '✗'} ${c.label}`;
+    li.title = c.text;
+    li.addEventListener('click', () => showSentence(explanation.sentences.findIndex(s => s.condition === c.key)));
+    conds.appendChild(li);
+  });
+  const list = el('explain-narration');
+  list.innerHTML = '';
+  explanation.sentences.forEach((s, i) => {
+    const li = document.createElement('li');
+    li.textContent = s.text;
+    li.addEventListener('click', () => showSentence(i));
+    list.appendChild(li);
+  });
+}
+
+// Highlight one sentence's nodes and edges (-1 clears)
+function showSentence(index) {
+  const items = el('explain-narration').children;
+  for (let i = 0; i < items.length; i++) items[i].classList.toggle('active', i === index);
+  if (index >= 0) items[index].scrollIntoView({ block: 'nearest' });
+  renderer.setHighlight(index >= 0 ? explanation.sentences[index].highlight : null);
+  renderer.draw();
+}
+
+function playNarration() {
+  stopNarration();
+  el('btn-narrate').disabled = true;
+  el('btn-narrate-stop').disabled = false;
+  let i = 0;
+  const next = () => {
+    if (i >= explanation.sentences.length) { stopNarration(); renderer.draw(); return; }
+    showSentence(i++);
+    narrationHandle = setTimeout(next, 2500 / sim.speed);
+  };
+  next();
+}
+
+function stopNarration() {
+  clearTimeout(narrationHandle);
+  narrationHandle = null;
+  el('btn-narrate').disabled = false;
+  el('btn-narrate-stop').disabled = true;
+  for (const li of el('explain-narration').children) li.classList.remove('active');
+  renderer.setHighlight(null);
+}
+
+/* ---------- Distributed detection ---------- */
+// Options, messages in flight and the detections so far; clicking a detection jumps to its step
+function refreshDistributed() {
+  const d = sim.state.distributed, summary = distributedSummary(sim.state);
+  el('dist-mode').value = d.mode;
+  el('dist-latency').value = d.latency;
+  el('dist-interval').value = d.interval;
+  setOptions('dist-coordinator', summary.sites.map(s => `<option value="${esc(s.site)}">${esc(s.site)}</option>`).join(''));
+  el('dist-coordinator').value = coordinatorSite(sim.state);
+  el('dist-coordinator').disabled = d.mode !== 'coordinator';
+  const probes = summary.messages.filter(m => m.kind === 'probe').length;
+  el('dist-status').textContent = d.mode === 'off'
+    ? `${summary.sites.length} site${summary.sites.length === 1 ? '' : 's'}; detection uses the global graph.`
+    : `${summary.sites.length} sites · ${summary.inFlight} message${summary.inFlight === 1 ? '' : 's'} in flight (${probes} probe${probes === 1 ? '' : 's'}) · ${summary.detections.length} detection${summary.detections.length === 1 ? '' : 's'}, ${summary.phantoms} phantom`;
+  const list = el('dist-detections');
+  list.innerHTML = '';
+  summary.detections.forEach((det) => {
+    const li = document.createElement('li');
+    li.textContent = `Step ${det.step}: ${det.phantom ? 'PHANTOM ' : ''}${[...det.cycle, det.cycle[0]].join(' → ')} (${det.method})`;
+    if (det.phantom) li.className = 'phantom';
+    li.title = 'Jump to this step';
+    li.addEventListener('click', () => {
+      const idx = sim.indexOfStep(det.step);
+      if (idx === -1) statusState(`Step ${det.step} is not on this timeline`);
+      else jumpTo(idx);
+    });
+    list.appendChild(li);
+  });
+}
+
+/* ---------- Library & autosave ---------- */
+const library = new ScenarioLibrary(localStorage);
+let autosaveTimer = null;
+
+// Options are built as nodes: names come from imported bundles and must not be read as markup
+function refreshLibrary() {
+  const items = library.list();
+  const list = el('lib-list'), prev = list.value;
+  list.innerHTML = '';
+  for (const e of items) list.appendChild(new Option(`${e.name} · step ${e.step} · ${e.processes}P/${e.resources}R`, e.name));
+  if (items.some(e => e.name === prev)) list.value = prev;
+  ['btn-lib-load', 'btn-lib-rename', 'btn-lib-duplicate', 'btn-lib-delete', 'btn-lib-export'].forEach(id => { el(id).disabled = !items.length; });
+}
+
+// Run a library operation, reporting a refusal in the status bar
+function libraryResult(res, done) {
+  if (!res.ok) { statusState(res.reason); return; }
+  refreshLibrary();
+  if (res.name) el('lib-list').value = res.name;
+  statusState(done);
+}
+
+function saveToLibrary() {
+  const name = el('lib-name').value.trim();
+  let res = library.save(name, sim.state);
+  if (!res.ok && library.has(name) && confirm(`Replace the saved scenario "${name}"?`)) res = library.save(name, sim.state, { overwrite: true });
+  libraryResult(res, `Saved "${name}" at step ${sim.state.step}`);
+}
+
+function loadFromLibrary(name) {
+  const state = name && library.load(name);
+  if (!state) return;
+  pause();
+  dslDirty = false;
+  sim.loadState(state);
+  setBaseline(`Library: ${name}`);
+  statusState(`Loaded "${name}"`);
+  refreshAll();
+}
+
+function renameInLibrary() {
+  const name = el('lib-list').value; if (!name) return;
+  const next = prompt(`Rename "${name}" to`, name);
+  if (next !== null && next.trim() !== name) libraryResult(library.rename(name, next), `Renamed "${name}"`);
+}
+
+function duplicateInLibrary() {
+  const name = el('lib-list').value; if (!name) return;
+  libraryResult(library.duplicate(name), `Duplicated "${name}"`);
+}
+
+function deleteFromLibrary() {
+  const name = el('lib-list').value; if (!name) return;
+  if (confirm(`Delete the saved scenario "${name}"?`)) libraryResult(library.remove(name), `Deleted "${name}"`);
+}
+
+function exportLibraryBundle() {
+  const blob=new Blob([JSON.stringify(library.exportBundle(), null, 2)],{type:'application/json'});
+  downloadBlob(blob, `rag_library_${Date.now()}.json`);
+}
+
+function importLibraryBundle(file) {
+  file.text().then((text) => {
+    let doc;
+    try { doc = JSON.parse(text); }
+    catch (err) { throw new ScenarioError([`File is not valid JSON: ${err.message}`]); }
+    const added = library.importBundle(doc);
+    refreshLibrary();
+    statusState(`Imported ${added.length} scenario${added.length === 1 ? '' : 's'} into the library`);
+  }).catch((err) => {
+    const details = err.errors ? err.errors.map(m => `- ${m}`).join('\n') : err.message;
+    statusState('Bundle import failed');
+    alert(`Could not import ${file.name}:\n${details}`);
+  });
+}
+
+// Save at most twice a second, so playing at full speed does not write on every frame. Nothing is
+// saved while an exercise set is open: the saved session stays the user's own timeline.
+function scheduleAutosave() {
+  if (!autosaveTimer && !exerciseSession) autosaveTimer = setTimeout(autosaveNow, 500);
+}
+function autosaveNow() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = null;
+  if (exerciseSession) return;
+  const kept = saveSession(localStorage, sim);
+  el('autosave-status').textContent = !kept ? 'Autosave failed: browser storage is full.'
+    : `Session autosaved at step ${sim.state.step}${kept < sim.history.length ? ` (last ${kept} snapshots only, to leave room for the library)` : ''}.`;
+}
+
+/* ---------- Interleaving explorer ---------- */
+let exploration = null;
+
+function explore() {
+  pause();
+  const maxStates = Math.max(1, Math.trunc(Number(el('explore-max-states').value)) || 20000);
+  exploration = exploreInterleavings(sim.state, { perProcess: el('chk-explore-order').checked, maxStates });
+  const r = exploration;
+  const searched = `${r.explored} distinct state${r.explored === 1 ? '' : 's'}, ${r.pruned} duplicate${r.pruned === 1 ? '' : 's'} pruned`;
+  const scripted = sim.state.processes.filter(p => p.script.length && isLive(p)).length;
+  el('explore-result').textContent = r.deadlock
+    ? `Some order deadlocks: after ${r.order.length} step${r.order.length === 1 ? '' : 's'} the wait-for graph has the cycle ${r.cycles.map(c => [...c, c[0]].join(' → ')).join('; ')} (${searched}).`
+    : r.complete
+      ? `No order of the ${sim.state.eventQueue.length} pending event${sim.state.eventQueue.length === 1 ? '' : 's'}${scripted ? ` and ${scripted} script${scripted === 1 ? '' : 's'}` : ''} reaches a wait-for cycle (${searched}).`
+      : `Stopped after ${maxStates} states without finding a cycle; raise Max states to search further (${searched}).`;
+  const ol = el('explore-order');
+  ol.innerHTML = '';
+  for (const line of r.deadlock ? describeOrder(r.order) : []) {
+    const li = document.createElement('li');
+    li.textContent = line;
+    ol.appendChild(li);
+  }
+  el('btn-explore-load').disabled = !r.deadlock;
+  statusState(r.deadlock ? 'Explorer found a deadlocking order' : 'Explorer finished');
+}
+
+// Replace the timeline with the counterexample, positioned at its start so Step Forward walks it
+function loadCounterexample() {
+  if (!exploration || !exploration.trace) return;
+  pause();
+  dslDirty = false;
+  sim.loadHistory(exploration.trace);
+  sim.jumpTo(0);
+  statusState(`Loaded counterexample (${exploration.order.length} steps)`);
+  refreshAll();
+}
+
+/* ---------- Exercises ---------- */
+let exerciseSession = null;
+let exerciseIndex = 0;
+let exerciseFeedback = [];
+// The timeline the student had before starting, put back on exit
+let exerciseReturn = null;
+
+// Start a set (throws ScenarioError when it is invalid); the rest of the app is hidden until exit
+function startExercises(doc) {
+  pause();
+  const session = new ExerciseSession(doc, { student: el('ex-student').value.trim() });
+  if (!exerciseSession) autosaveNow();
+  exerciseSession = session;
+  exerciseFeedback = exerciseSession.exercises.map(() => '');
+  if (!exerciseReturn) exerciseReturn = { history: sim.exportTrace(), cursor: sim.cursor };
+  document.body.classList.add('exercise-mode');
+  renderer.setHideVerdict(true);
+  el('ex-title').textContent = exerciseSession.title;
+  el('ex-body').hidden = false;
+  showExercise(0);
+}
+
+function loadExerciseFile(file) {
+  file.text().then((text) => {
+    let doc;
+    try { doc = JSON.parse(text); }
+    catch (err) { throw new ScenarioError([`File is not valid JSON: ${err.message}`]); }
+    startExercises(doc);
+  }).catch((err) => {
+    const details = err.errors ? err.errors.map(m => `- ${m}`).join('\n') : err.message;
+    statusState('Exercise file not loaded');
+    alert(`Could not load ${file.name}:\n${details}`);
+  });
+}
+
+function showExercise(index) {
+  const s = exerciseSession;
+  exerciseIndex = Math.max(0, Math.min(s.exercises.length - 1, index));
+  const ex = s.exercises[exerciseIndex], progress = s.progress[exerciseIndex];
+  const state = s.stateOf(exerciseIndex);
+  sim.loadState(state);
+  document.body.classList.toggle('exercise-text', ex.display === 'text');
+
+  el('ex-progress').textContent = `Exercise ${exerciseIndex + 1} of ${s.exercises.length}`;
+  el('ex-score').textContent = `Score ${s.score()} / ${s.maxScore()}`;
+  el('ex-heading').textContent = `${ex.title} (${ex.points} point${ex.points === 1 ? '' : 's'})`;
+  el('ex-question').textContent = ex.question;
+  // The state as text when the graph is hidden, and the claim matrices Banker's questions need
+  const text = [];
+  if (ex.display === 'text') text.push(toDSL(state));
+  if (ex.type === 'safe-sequence') {
+    const stats = state.getStats(), pNames = stats.processes.map(p => p.name), rNames = stats.resources.map(r => r.name);
+    text.push(`Max:\n${matrixTable(pNames, rNames, (p, r) => stats.max[p][r])}`,
+      `Allocation:\n${matrixTable(pNames, rNames, (p, r) => (stats.assigned[r] || {})[p] || 0)}`,
+      `Available: ${rNames.map(r => `${r}=${stats.available[r]}`).join(', ')}`);
+  }
+  el('ex-state').hidden = !text.length;
+  el('ex-state').textContent = text.join('\n\n');
+
+  const answer = el('ex-answer');
+  answer.placeholder = EXERCISE_TYPES[ex.type].placeholder;
+  answer.value = '';
+  answer.disabled = el('btn-ex-check').disabled = progress.done;
+  el('btn-ex-hint').disabled = progress.done || progress.hintsUsed >= ex.hints.length;
+  el('btn-ex-hint').textContent = ex.hints.length ? `Hint (${progress.hintsUsed}/${ex.hints.length}, −${Math.round(s.hintPenalty * 100)}% each)` : 'No hints';
+  el('ex-hints').innerHTML = '';
+  ex.hints.slice(0, progress.hintsUsed).forEach((h) => {
+    const li = document.createElement('li');
+    li.textContent = h;
+    el('ex-hints').appendChild(li);
+  });
+  const feedback = el('ex-feedback');
+  feedback.textContent = exerciseFeedback[exerciseIndex] || (progress.answers.length ? `Your answers: ${progress.answers.join(' | ')}` : '');
+  feedback.className = progress.done ? (progress.correct ? 'hint correct' : 'hint wrong') : 'hint';
+  el('btn-ex-prev').disabled = exerciseIndex === 0;
+  el('btn-ex-next').disabled = exerciseIndex === s.exercises.length - 1;
+  refreshAll();
+}
+
+function checkExerciseAnswer() {
+  const r = exerciseSession.answer(exerciseIndex, el('ex-answer').value);
+  exerciseFeedback[exerciseIndex] = r.ok ? r.feedback : r.reason;
+  showExercise(exerciseIndex);
+  if (!r.ok) el('ex-answer').focus();
+}
+
+function exportExerciseResults(kind) {
+  const results = exerciseSession.results();
+  const who = (results.student || 'student').replace(/[^\w-]+/g, '_');
+  const blob = kind === 'csv'
+    ? new Blob([resultsToCSV(results)], { type: 'text/csv' })
+    : new Blob([JSON.stringify(results, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, `rag_results_${who}_${Date.now()}.${kind}`);
+}
+
+function exitExercises() {
+  el('exercise-panel').hidden = true;
+  if (!exerciseSession) return;
+  exerciseSession = null;
+  document.body.classList.remove('exercise-mode', 'exercise-text');
+  renderer.setHideVerdict(false);
+  el('ex-body').hidden = true;
+  sim.loadHistory(exerciseReturn.history);
+  sim.jumpTo(exerciseReturn.cursor);
+  exerciseReturn = null;
+  statusState('Left the exercises');
+  refreshAll();
+}
+
+/* ---------- Random scenarios ---------- */
+const GENERATOR_FIELDS = { seed: 'gen-seed', processes: 'gen-processes', resources: 'gen-resources', minInstances: 'gen-min-instances',
+  maxInstances: 'gen-max-instances', density: 'gen-density', holdAndWait: 'gen-hold-and-wait', bias: 'gen-bias' };
+
+function fillGeneratorForm(params) {
+  for (const [key, id] of Object.entries(GENERATOR_FIELDS)) el(id).value = String(params[key]);
+}
+
+function generatorFormParams() {
+  const params = {};
+  for (const [key, id] of Object.entries(GENERATOR_FIELDS)) params[key] = key === 'bias' ? el(id).value : Number(el(id).value);
+  return params;
+}
+
+function generateFromForm() {
+  try {
+    const doc = generateScenario(generatorFormParams());
+    loadScenario(doc);
+    statusState(`Generated ${doc.name}`);
+  } catch (err) {
+    if (!err.errors) throw err;
+    statusState('Generation failed');
+    alert(`Could not generate a scenario:\n${err.errors.map(m => `- ${m}`).join('\n')}`);
+  }
 }
 
 /* ---------- Helpers ---------- */
 function el(id){ return document.getElementById(id); }
+// Text for an innerHTML template: names and labels may come from imported files or links
+function esc(v) { return String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
 
 window.addEventListener('load', init);
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/* Command-line runner: load a scenario, run it headless and report the outcome, or search every
+   order of its events and script steps with --explore.
+   Exit code 0: no deadlock occurred, 1: a deadlock occurred, 2: usage or scenario error. */
+
+const fs = require('fs');
+const path = require('path');
+const { Simulator, RAGState, ScenarioError, scenarioToState, SAMPLE_SCENARIOS, loadText, run,
+  GENERATOR_BIASES, generateScenario, describeGenerator, exploreInterleavings, describeOrder } = require('./headless.js');
+
+const USAGE = `Usage: node cli.js <scenario.json | script.rag> [options]
+       node cli.js --sample <id> [options]
+       node cli.js --generate <seed> [generator options] [options]
+
+Runs until nothing more can happen (quiescence), or for exactly --steps steps. With --explore,
+searches every order of the queued events and process scripts for one that reaches a wait-for
+cycle instead.
+
+Options:
+  --steps N          run exactly N steps
+  --max-steps N      stop after N steps when running to quiescence (default 10000)
+  --scheduler NAME   ${Object.keys(RAGState.schedulers).join(' | ')}
+  --seed N           seed for the random scheduler
+  --no-auto-grant    do not retry queued requests on idle steps
+  --json             print the result as JSON
+  --explore          search every order of the queued events and script steps (each process's
+                     events and script stay in order)
+  --any-order        with --explore, let a process's events run in any order too
+  --max-states N     with --explore, stop after N distinct states (default 20000)
+  --sample ID        use a bundled scenario (${SAMPLE_SCENARIOS.map(s => s.id).join(', ')})
+  --generate SEED    use a random scenario generated from SEED
+  -h, --help         show this help
+
+Generator options (defaults as in the app):
+  --processes N      number of processes
+  --resources N      number of resources
+  --instances A[-B]  instances per resource, a fixed count or a range
+  --density X        chance (0-1) that a process requests a given resource
+  --hold-and-wait X  chance (0-1) that a process starts out holding units
+  --bias NAME        ${Object.keys(GENERATOR_BIASES).join(' | ')}
+
+Exit status: 0 no deadlock occurred, 1 a deadlock occurred, 2 usage or scenario error.
+With --explore: 0 no order deadlocks, 1 some order does, 2 the search was cut short (or an error).`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const opts = { autoGrant: true, json: false, generator: {}, explore: false, perProcess: true };
+  const num = (flag, v) => {
+    const n = Number(v);
+    if (v === undefined || !Number.isInteger(n) || n < 0) throw new UsageError(`${flag} needs a whole number`);
+    return n;
+  };
+  const fraction = (flag, v) => {
+    const n = Number(v);
+    if (v === undefined || !(n >= 0 && n <= 1)) throw new UsageError(`${flag} needs a number between 0 and 1`);
+    return n;
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '-h' || a === '--help') opts.help = true;
+    else if (a === '--steps') opts.steps = num(a, argv[++i]);
+    else if (a === '--max-steps') opts.maxSteps = num(a, argv[++i]);
+    else if (a === '--seed') opts.seed = num(a, argv[++i]);
+    else if (a === '--scheduler') {
+      opts.scheduler = argv[++i];
+      if (!RAGState.schedulers[opts.scheduler]) throw new UsageError(`--scheduler must be one of ${Object.keys(RAGState.schedulers).join(', ')}`);
+    } else if (a === '--no-auto-grant') opts.autoGrant = false;
+    else if (a === '--json') opts.json = true;
+    else if (a === '--explore') opts.explore = true;
+    else if (a === '--any-order') opts.perProcess = false;
+    else if (a === '--max-states') opts.maxStates = num(a, argv[++i]);
+    else if (a === '--sample') opts.sample = argv[++i];
+    else if (a === '--generate') opts.generator.seed = num(a, argv[++i]);
+    else if (a === '--processes') opts.generator.processes = num(a, argv[++i]);
+    else if (a === '--resources') opts.generator.resources = num(a, argv[++i]);
+    else if (a === '--instances') {
+      const m = /^(\d+)(?:-(\d+))?$/.exec(argv[++i] || '');
+      if (!m) throw new UsageError('--instances needs a count or a range like 1-3');
+      opts.generator.minInstances = Number(m[1]);
+      opts.generator.maxInstances = Number(m[2] || m[1]);
+    } else if (a === '--density') opts.generator.density = fraction(a, argv[++i]);
+    else if (a === '--hold-and-wait') opts.generator.holdAndWait = fraction(a, argv[++i]);
+    else if (a === '--bias') opts.generator.bias = argv[++i];
+    else if (a.startsWith('-')) throw new UsageError(`Unknown option ${a}`);
+    else if (opts.file) throw new UsageError(`Unexpected argument ${a}`);
+    else opts.file = a;
+  }
+  const sources = [opts.file, opts.sample, opts.generator.seed].filter(v => v !== undefined).length;
+  if (!opts.help && sources !== 1) throw new UsageError('Give exactly one of a scenario file, --sample or --generate');
+  if (opts.generator.seed === undefined && Object.keys(opts.generator).length) throw new UsageError('Generator options need --generate');
+  if (!opts.explore && (!opts.perProcess || opts.maxStates !== undefined)) throw new UsageError('--any-order and --max-states need --explore');
+  return opts;
+}
+
+function loadInitialState(opts) {
+  if (opts.generator.seed !== undefined) return scenarioToState(generateScenario(opts.generator));
+  if (opts.sample) {
+    const doc = SAMPLE_SCENARIOS.find(s => s.id === opts.sample);
+    if (!doc) throw new UsageError(`Unknown sample "${opts.sample}"`);
+    return scenarioToState(doc);
+  }
+  let text;
+  try { text = fs.readFileSync(opts.file, 'utf8'); }
+  catch (err) { throw new UsageError(`Cannot read ${opts.file}: ${err.message}`); }
+  return loadText(text, path.basename(opts.file));
+}
+
+function formatText(state, result) {
+  const s = state.getStats();
+  const out = s.generator ? [`Generated: ${describeGenerator(s.generator)}`, ''] : [];
+  out.push('Log:', ...state.logs.map(l => `  ${l}`), '', `Final state (step ${s.step}):`);
+  for (const p of s.processes) {
+    const held = s.resources.filter(r => (s.assigned[r.name] || {})[p.name]).map(r => `${r.name}:${s.assigned[r.name][p.name]}`);
+    const prog = p.scriptLength ? `, script ${Math.min(p.pc, p.scriptLength)}/${p.scriptLength}` : '';
+    out.push(`  ${p.name}: ${p.state}${prog}, holds ${held.join(', ') || 'nothing'}`);
+  }
+  for (const r of s.resources) out.push(`  ${r.name}: ${s.available[r.name]}/${r.total} available, ${r.discipline !== 'first-fit' ? `${r.discipline} ` : ''}queue [${s.queues[r.name].join(', ')}]`);
+  out.push('', `Steps run: ${result.steps}${result.quiescent ? ' (quiescent)' : ''}`);
+  if (result.deadlocked) out.push(`Verdict: DEADLOCK (involved: ${result.involved.join(', ')}; cycles: ${result.cycles.map(c => `[${c.join('->')}]`).join(' ') || 'none'})`);
+  else if (result.firstDeadlock !== null) out.push(`Verdict: deadlock at step ${result.firstDeadlock}, since recovered`);
+  else out.push('Verdict: no deadlock');
+  return out.join('\n');
+}
+
+function formatExploration(result) {
+  const out = [`Explored ${result.explored} distinct states (${result.pruned} duplicates pruned)`];
+  if (result.deadlock) {
+    out.push('Counterexample (shortest):', ...describeOrder(result.order).map((l, i) => `  ${i + 1}. ${l}`));
+    out.push(`Verdict: DEADLOCK reachable (cycles: ${result.cycles.map(c => `[${c.join('->')}]`).join(' ')})`);
+  } else if (result.complete) out.push('Verdict: no order reaches a wait-for cycle');
+  else out.push('Verdict: unknown, the state limit was reached before the search finished');
+  return out.join('\n');
+}
+
+function main(argv) {
+  let opts;
+  try { opts = parseArgs(argv); }
+  catch (err) { console.error(`${err.message}\n\n${USAGE}`); return 2; }
+  if (opts.help) { console.log(USAGE); return 0; }
+
+  const sim = new Simulator();
+  try { sim.loadState(loadInitialState(opts)); }
+  catch (err) {
+    if (!(err instanceof ScenarioError) && !(err instanceof UsageError)) throw err;
+    console.error(err instanceof ScenarioError ? `Invalid scenario:\n  ${err.errors.join('\n  ')}` : err.message);
+    return 2;
+  }
+  if (opts.scheduler || opts.seed !== undefined) sim.setScheduler(opts.scheduler || sim.state.scheduler, opts.seed);
+
+  if (opts.explore) {
+    const result = exploreInterleavings(sim.state, opts);
+    console.log(opts.json ? JSON.stringify(result, null, 2) : formatExploration(result));
+    return result.deadlock ? 1 : result.complete ? 0 : 2;
+  }
+
+  const result = run(sim, opts);
+  if (opts.json) {
+    console.log(JSON.stringify({ ...result, stats: sim.state.getStats(), log: sim.state.logs }, null, 2));
+  } else {
+    console.log(formatText(sim.state, result));
+  }
+  return result.firstDeadlock === null ? 0 : 1;
+}
+
+process.exitCode = main(process.argv.slice(2));
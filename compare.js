@@ -0,0 +1,143 @@
+/* Side-by-side runs: one scenario under two strategies, stepped in lock-step, with a diff */
+
+// Strategies a run can be compared under; apply() adjusts a fresh copy of the scenario state
+const COMPARE_STRATEGIES = {
+  'as-is': { label: 'As configured', apply: () => {} },
+  detection: {
+    label: 'Detection only',
+    apply: st => { st.avoidance = false; st.recovery.enabled = false; st.prevention = 'none'; }
+  },
+  'avoid-cycle': {
+    label: 'Avoidance: cycle check',
+    apply: st => { st.avoidance = true; st.avoidanceStrategy = 'cycle'; st.recovery.enabled = false; st.prevention = 'none'; }
+  },
+  'avoid-banker': {
+    label: "Avoidance: Banker's",
+    apply: st => { st.avoidance = true; st.avoidanceStrategy = 'banker'; st.recovery.enabled = false; st.prevention = 'none'; }
+  },
+  'recover-terminate': {
+    label: 'Detection + abort victim',
+    apply: st => { st.avoidance = false; st.prevention = 'none'; Object.assign(st.recovery, { enabled: true, action: 'terminate' }); }
+  },
+  'recover-preempt': {
+    label: 'Detection + preempt victim',
+    apply: st => { st.avoidance = false; st.prevention = 'none'; Object.assign(st.recovery, { enabled: true, action: 'preempt' }); }
+  },
+  'prevent-ordering': {
+    label: 'Prevention: resource ordering',
+    apply: st => { st.avoidance = false; st.recovery.enabled = false; st.prevention = 'ordering'; }
+  },
+  'prevent-hold-and-wait': {
+    label: 'Prevention: no hold-and-wait',
+    apply: st => { st.avoidance = false; st.recovery.enabled = false; st.prevention = 'no-hold-and-wait'; }
+  },
+  'prevent-preempt': {
+    label: 'Prevention: preempt on block',
+    apply: st => { st.avoidance = false; st.recovery.enabled = false; st.prevention = 'preempt'; }
+  }
+};
+
+// What one step did, read off two consecutive snapshots: units granted, requests that started
+// waiting, and requests refused by avoidance or prevention (from the log)
+function stepChanges(prev, snap) {
+  const grants = [], queued = [];
+  for (const r of snap.resources) {
+    const before = prev.assignments[r.name] || {}, after = snap.assignments[r.name] || {};
+    for (const [p, n] of Object.entries(after)) {
+      if (n > (before[p] || 0)) grants.push(`${p} <- ${n - (before[p] || 0)} ${r.name}`);
+    }
+    const waiting = (prev.waitingRequests[r.name] || []).map(q => `${q.process}:${q.count}`);
+    for (const q of snap.waitingRequests[r.name] || []) {
+      const i = waiting.indexOf(`${q.process}:${q.count}`);
+      if (i !== -1) waiting.splice(i, 1);
+      else queued.push(`${q.process} waits for ${q.count} ${r.name}`);
+    }
+  }
+  const denied = snap.logs.slice(prev.logs.length)
+    .filter(l => l.startsWith('Avoided: ') || l.startsWith('Rejected: '))
+    .map(l => l.slice(l.indexOf(': ') + 2));
+  return { grants, queued, denied };
+}
+
+// Quiescence and deadlock per recorded snapshot; cached because snapshots never change
+const snapshotFacts = new WeakMap();
+function factsOf(snap, options) {
+  const key = options.autoGrant ? 'grant' : 'hold';
+  let facts = snapshotFacts.get(snap);
+  if (!facts) snapshotFacts.set(snap, facts = {});
+  if (!facts[key]) {
+    const st = RAGState.from(snap);
+    facts[key] = { quiescent: st.isQuiescent(options), deadlock: RAGState.findDeadlock(st).hasDeadlock };
+  }
+  return facts[key];
+}
+
+const sameList = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+
+class Comparison {
+  constructor(snapshot, leftKey, rightKey, options = { autoGrant: true }) {
+    this.options = options;
+    this.sides = [leftKey, rightKey].map(key => {
+      const strategy = COMPARE_STRATEGIES[key];
+      const st = RAGState.from(snapshot);
+      strategy.apply(st);
+      st.logs.push(`Comparison run: ${strategy.label}`);
+      const sim = new Simulator();
+      sim.loadState(st);
+      return { key, label: strategy.label, sim };
+    });
+  }
+
+  get cursor() { return this.sides[0].sim.cursor; }
+  get done() { return this.sides.every(s => s.sim.state.isQuiescent(this.options)); }
+
+  // Both runs advance together so snapshot i is step i on each side
+  step() {
+    if (this.cursor < this.sides[0].sim.history.length - 1) this.sides.forEach(s => s.sim.jumpTo(this.cursor + 1));
+    else this.sides.forEach(s => s.sim.stepForward(this.options));
+  }
+  stepBack() { this.sides.forEach(s => s.sim.stepBackward()); }
+  jumpTo(index) { this.sides.forEach(s => s.sim.jumpTo(index)); }
+
+  // Step until both runs are quiescent (or maxSteps)
+  runToEnd(maxSteps = 500) {
+    for (let i = 0; i < maxSteps && !this.done; i++) this.step();
+  }
+
+  // Summary of one side up to the cursor
+  metrics(side) {
+    const hist = side.sim.history.slice(0, this.cursor + 1);
+    const m = { completedAt: null, deadlockAt: null, blockedProcessSteps: 0, grants: 0, delayed: 0, denied: 0 };
+    hist.forEach((snap, i) => {
+      const facts = factsOf(snap, this.options);
+      if (m.completedAt === null && facts.quiescent) m.completedAt = snap.step;
+      if (m.deadlockAt === null && facts.deadlock) m.deadlockAt = snap.step;
+      if (i === 0) return;
+      m.blockedProcessSteps += snap.processes.filter(p => p.state === 'blocked').length;
+      const c = stepChanges(hist[i - 1], snap);
+      m.grants += c.grants.length; m.delayed += c.queued.length; m.denied += c.denied.length;
+    });
+    m.finished = hist[hist.length - 1].processes.filter(p => p.state === 'finished').length;
+    m.terminated = hist[hist.length - 1].processes.filter(p => p.state === 'terminated').length;
+    return m;
+  }
+
+  // Steps up to the cursor where the two runs granted or queued differently, or where either
+  // side had a grant refused. `firstDivergence` is the first step whose grants or queues differ.
+  diff() {
+    const [a, b] = this.sides.map(s => s.sim.history);
+    const rows = [];
+    let firstDivergence = null;
+    for (let i = 1; i <= this.cursor; i++) {
+      const left = stepChanges(a[i - 1], a[i]), right = stepChanges(b[i - 1], b[i]);
+      const diverged = !sameList(left.grants, right.grants) || !sameList(left.queued, right.queued);
+      if (diverged && firstDivergence === null) firstDivergence = a[i].step;
+      if (diverged || left.denied.length || right.denied.length) rows.push({ index: i, step: a[i].step, diverged, left, right });
+    }
+    return { firstDivergence, rows };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { COMPARE_STRATEGIES, Comparison, stepChanges };
+}
@@ -0,0 +1,176 @@
+/* Distributed deadlock detection. Processes and resources live at named sites; a site only knows
+   the wait-for edges of its own resources, and detection works through simulated messages that
+   take steps to arrive (one step within a site, `latency` steps between sites). Two algorithms:
+
+   - probes: Chandy-Misra-Haas edge chasing. A process blocked for `interval` steps sends
+     probe(i, j, k) along its wait-for edges; a blocked receiver forwards it once per
+     computation, and a probe that comes back to its initiator reports a deadlock.
+   - coordinator: every `interval` steps each site sends its local wait-for graph to the
+     coordinator site, which looks for cycles in the union of the latest reports.
+
+   Messages carry what the sender saw when it sent them, so a reported cycle may already be
+   gone by the time it is found: a phantom deadlock. Each detection is checked against the real
+   global graph at that step and flagged when it is a phantom. The detector state lives in
+   state.distributed.net, so it is part of every snapshot and replays when stepping back. */
+
+// Detector state of a state, created on first use
+function network(state) {
+  const d = state.distributed;
+  if (!d.net) d.net = { messages: [], nextId: 1, rounds: {}, forwarded: {}, reports: {}, reported: [], detections: [] };
+  return d.net;
+}
+
+// Wait-for edges a site knows, [P, Q] pairs: P waits for a resource at the site that Q holds.
+// Edges whose P lives elsewhere are the site's incoming inter-site edges.
+function localWFG(state, site) {
+  const edges = [];
+  for (const r of state.resources) {
+    if (state.siteOf(r.name) !== site) continue;
+    const holders = Object.keys(state.assignments[r.name] || {});
+    for (const req of state.waitingRequests[r.name] || []) {
+      if (state.availableOf(r.name) >= req.count) continue;
+      for (const h of holders) if (!edges.some(([p, q]) => p === req.process && q === h)) edges.push([req.process, h]);
+    }
+  }
+  return edges;
+}
+
+function coordinatorSite(state) {
+  const sites = state.sites();
+  return sites.includes(state.distributed.coordinator) ? state.distributed.coordinator : sites[0];
+}
+
+// Steps a message takes from one site to another
+function messageDelay(state, from, to) { return from === to ? 1 : Math.max(1, state.distributed.latency); }
+
+function send(state, msg) {
+  const net = network(state);
+  net.messages.push({ id: net.nextId++, sent: state.step, arrives: state.step + messageDelay(state, msg.fromSite, msg.toSite), ...msg });
+}
+
+// Step a process has been blocked since (its oldest queued request), or null when it is not waiting
+function blockedSince(state, name) {
+  const since = state.resources.flatMap(r => (state.waitingRequests[r.name] || []).filter(q => q.process === name).map(q => q.since || 0));
+  return since.length ? Math.min(...since) : null;
+}
+
+// True when every edge of the cycle is in the global wait-for graph right now
+function cycleExists(state, cycle) {
+  const wfg = RAGState.buildWFG(state);
+  return cycle.every((p, i) => (wfg[p] || []).includes(cycle[(i + 1) % cycle.length]));
+}
+
+// A cycle written from its alphabetically first process, so rotations compare equal
+function cycleKey(cycle) {
+  const i = cycle.indexOf([...cycle].sort()[0]);
+  return [...cycle.slice(i), ...cycle.slice(0, i)].join('->');
+}
+
+function reportDeadlock(state, method, cycle) {
+  const phantom = !cycleExists(state, cycle);
+  const path = [...cycle, cycle[0]].join(' -> ');
+  const by = method === 'probes' ? `a probe returning to ${cycle[0]}` : `the coordinator at site ${coordinatorSite(state)}`;
+  network(state).detections.push({ step: state.step, method, cycle, phantom });
+  state.logs.push(phantom
+    ? `Distributed: PHANTOM deadlock ${path} reported by ${by}; the global graph has no such cycle at step ${state.step}`
+    : `Distributed: deadlock ${path} detected by ${by}`);
+}
+
+function sendProbe(state, initiator, round, path, to) {
+  const from = path[path.length - 1];
+  send(state, { kind: 'probe', initiator, round, path, from, to, fromSite: state.siteOf(from), toSite: state.siteOf(to) });
+}
+
+// Start one probe computation per blocking episode of each process blocked for `interval` steps
+function initiateProbes(state) {
+  const net = network(state), wfg = RAGState.buildWFG(state);
+  for (const p of state.processes) {
+    const since = blockedSince(state, p.name);
+    if (since === null) { delete net.rounds[p.name]; continue; }
+    if (net.rounds[p.name] === since || state.step - since < state.distributed.interval) continue;
+    net.rounds[p.name] = since;
+    const targets = wfg[p.name] || [];
+    if (!targets.length) continue;
+    state.logs.push(`Distributed: ${p.name} has been blocked since step ${since}; it sends probes to ${targets.join(', ')}`);
+    for (const q of targets) sendProbe(state, p.name, since, [p.name], q);
+  }
+}
+
+// probe(i, j, k) arriving at k: back at i means a cycle; otherwise a blocked k forwards it once
+// to every process it waits for, using its wait-for edges as they are now
+function receiveProbe(state, m) {
+  const net = network(state), k = m.to;
+  state.logs.push(`Probe: (${m.initiator}, ${m.from}, ${k}) arrives at site ${m.toSite}`);
+  if (!state.getProcess(k) || !state.isWaiting(k)) return;
+  if (k === m.initiator) { reportDeadlock(state, 'probes', m.path); return; }
+  const key = `${m.initiator}@${m.round}`;
+  const done = net.forwarded[key] || (net.forwarded[key] = []);
+  if (done.includes(k) || m.path.includes(k)) return;
+  done.push(k);
+  for (const q of RAGState.buildWFG(state)[k] || []) sendProbe(state, m.initiator, m.round, [...m.path, k], q);
+}
+
+function sendReports(state) {
+  const coord = coordinatorSite(state);
+  for (const site of state.sites()) send(state, { kind: 'report', site, edges: localWFG(state, site), taken: state.step, fromSite: site, toSite: coord });
+}
+
+// The coordinator keeps the latest report of each site and checks their union for cycles. A
+// cycle is reported once, until it disappears from the union.
+function receiveReport(state, m) {
+  const net = network(state);
+  net.reports[m.site] = { taken: m.taken, edges: m.edges };
+  state.logs.push(`Report: site ${m.site}'s wait-for graph from step ${m.taken} (${m.edges.length} edge${m.edges.length === 1 ? '' : 's'}) reaches the coordinator`);
+  const adj = {};
+  for (const r of Object.values(net.reports)) for (const [p, q] of r.edges) {
+    (adj[p] = adj[p] || []).push(q);
+    adj[q] = adj[q] || [];
+  }
+  const cycles = RAGState.detectCyclesInAdj(adj).cycles;
+  for (const c of cycles) if (!net.reported.includes(cycleKey(c))) reportDeadlock(state, 'coordinator', c);
+  net.reported = cycles.map(cycleKey);
+}
+
+// Step hook: deliver the messages due now, then start probes or send reports
+function stepDistributed(state) {
+  if (state.distributed.mode === 'off') return;
+  const net = network(state);
+  const due = net.messages.filter(m => m.arrives <= state.step);
+  net.messages = net.messages.filter(m => m.arrives > state.step);
+  for (const m of due) (m.kind === 'probe' ? receiveProbe : receiveReport)(state, m);
+  if (state.distributed.mode === 'probes') initiateProbes(state);
+  else if (state.step % Math.max(1, state.distributed.interval) === 0) sendReports(state);
+}
+
+// The detector has work left while messages are in flight, while a blocked process has yet to
+// start its probes, or while the coordinator's latest reports differ from the sites' graphs
+function detectorBusy(state) {
+  if (state.distributed.mode === 'off') return false;
+  const net = network(state);
+  if (net.messages.length) return true;
+  if (state.distributed.mode === 'probes') {
+    const wfg = RAGState.buildWFG(state);
+    return state.processes.some(p => (wfg[p.name] || []).length && net.rounds[p.name] !== blockedSince(state, p.name));
+  }
+  const edges = site => JSON.stringify([...(site.edges || [])].map(String).sort());
+  return state.sites().some(site => edges(net.reports[site] || {}) !== edges({ edges: localWFG(state, site) }));
+}
+
+RAGState.registerStepHook(stepDistributed, detectorBusy);
+
+// What the distributed panel shows: messages in flight and every detection so far
+function distributedSummary(state) {
+  const net = state.distributed.net || { messages: [], detections: [], reports: {} };
+  return {
+    mode: state.distributed.mode,
+    sites: state.sites().map(site => ({ site, coordinator: state.distributed.mode === 'coordinator' && site === coordinatorSite(state), local: localWFG(state, site) })),
+    inFlight: net.messages.length,
+    messages: net.messages,
+    detections: net.detections,
+    phantoms: net.detections.filter(d => d.phantom).length
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { localWFG, coordinatorSite, cycleExists, stepDistributed, detectorBusy, distributedSummary };
+}
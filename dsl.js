@@ -0,0 +1,339 @@
+/* Line-oriented scenario language: parser into RAGState and serializer back to text
+
+   resource R1 x2            declare a resource with 2 instances (x is optional)
+   resource R1 x2 queue fifo queue discipline: first-fit (default), fifo, priority or srf
+   resource R1 x2 site A     place a resource at a site (distributed detection)
+   process P1 [priority 3] [site A]   declare a process
+   P1 max R1 2               declare a maximum claim (Banker's algorithm)
+   P1 holds R1 1             initial assignment
+   P1 waits R1 1             request already blocked in R1's queue
+   P1 request R2 1           queue a request event
+   P1 request R2 1 at 5      queue a request event that waits until step 5
+   P1 request R1 1 + R2 1    atomic request: granted all together or queued as a whole
+   P1 waits R1 1 + R2 1      atomic request already blocked in both queues
+   P2 release R1             queue a release event (units default to 1)
+   P3 terminated             mark a process as aborted (finished: script completed)
+   P1 runs request R1 1; compute 3; request R2 1; release all
+                             give P1 a script (further "runs" lines append to it)
+   P1 pc 2 [1]               script position: next instruction, ticks left in it
+   avoidance off|cycle|banker
+   detection reduction|cycle
+   prevention none|ordering|no-hold-and-wait|preempt   (ordering follows resource declaration order)
+   distributed off|probes|coordinator [latency 3] [interval 4] [coordinator A]
+   scheduler round-robin|random|priority [seed 42]
+   aging 0.5                 priority boost per step waited (0 = off)
+   starvation 10             flag requests waiting more than 10 steps (0 = off)
+   # comment
+*/
+
+class DSLError extends Error {
+  constructor(message, line, col) {
+    super(`Line ${line}, col ${col}: ${message}`);
+    this.name = 'DSLError';
+    this.line = line;
+    this.col = col;
+    this.reason = message;
+  }
+}
+
+// Split a line into tokens that remember their 1-based column
+function tokenizeLine(text) {
+  const tokens = [], re = /\S+/g;
+  let m;
+  while ((m = re.exec(text))) tokens.push({ text: m[0], col: m.index + 1 });
+  return tokens;
+}
+
+const DSL_VERBS = ['max', 'holds', 'waits', 'request', 'release', 'terminated', 'finished', 'runs', 'pc'];
+
+// Parse DSL text. Returns {state, errors}; state is null when any line has an error.
+function parseDSL(text) {
+  const errors = [], st = new RAGState();
+  const lines = String(text).split(/\r?\n/);
+  const procLine = {}, resLine = {};
+  const deferred = [], pcLine = [];
+
+  const fail = (msg, lineNo, tok) => errors.push(new DSLError(msg, lineNo, tok ? tok.col : 1));
+  const countAt = (tok, lineNo, min = 1) => {
+    if (!tok) return 1;
+    const n = Number(tok.text.replace(/^x/i, ''));
+    if (!Number.isInteger(n) || n < min) { fail(`expected a whole number >= ${min}, got "${tok.text}"`, lineNo, tok); return null; }
+    return n;
+  };
+  const extra = (toks, from, lineNo) => { if (toks.length > from) fail(`unexpected "${toks[from].text}"`, lineNo, toks[from]); };
+  // "R1 2 + R2 1 [at 5]" from token `from` on: {parts, due}, or null after reporting an error
+  const partsAt = (toks, from, lineNo, withAt) => {
+    const parts = {};
+    let i = from, due;
+    for (;;) {
+      const resTok = toks[i];
+      if (!resTok) { fail('expected a resource after "+"', lineNo, toks[i - 1]); return null; }
+      if (!resLine[resTok.text]) { fail(`unknown resource "${resTok.text}"`, lineNo, resTok); return null; }
+      if (parts[resTok.text]) { fail(`${resTok.text} appears twice in one request`, lineNo, resTok); return null; }
+      const next = toks[i + 1];
+      const n = next && next.text !== '+' && next.text.toLowerCase() !== 'at' ? countAt(next, lineNo) : 1;
+      if (n === null) return null;
+      parts[resTok.text] = n;
+      i += next && next.text !== '+' && next.text.toLowerCase() !== 'at' ? 2 : 1;
+      if (!toks[i] || toks[i].text !== '+') break;
+      i += 1;
+    }
+    if (withAt && toks[i] && toks[i].text.toLowerCase() === 'at') {
+      if (!toks[i + 1]) { fail('at needs a step number', lineNo, toks[i]); return null; }
+      due = countAt(toks[i + 1], lineNo, 0);
+      if (due === null) return null;
+      i += 2;
+    }
+    extra(toks, i, lineNo);
+    return { parts, due };
+  };
+
+  // Declarations first, so statements may refer to names declared further down
+  lines.forEach((raw, i) => {
+    const lineNo = i + 1, toks = tokenizeLine(raw.replace(/#.*/, ''));
+    if (!toks.length) return;
+    const [head, name, ...rest] = toks;
+    const kw = head.text.toLowerCase();
+    if (kw === 'resource') {
+      if (!name) return fail('resource needs a name', lineNo, { col: raw.length + 1 });
+      if (!isNodeName(name.text)) return fail(`"${name.text}" is not a name (use letters, digits, _ . or -)`, lineNo, name);
+      if (resLine[name.text] || procLine[name.text]) return fail(`"${name.text}" is already declared`, lineNo, name);
+      const counted = rest[0] && !['queue', 'site'].includes(rest[0].text.toLowerCase());
+      const n = counted ? countAt(rest[0], lineNo) : 1;
+      let discipline = 'first-fit', site = '';
+      for (let i = counted ? 1 : 0; i < rest.length; i += 2) {
+        const key = rest[i].text.toLowerCase(), val = rest[i + 1];
+        if (key === 'queue') {
+          discipline = val && val.text.toLowerCase();
+          if (!RAGState.queueDisciplines[discipline]) return fail(`queue must be ${Object.keys(RAGState.queueDisciplines).join(', ')}`, lineNo, val || rest[i]);
+        } else if (key === 'site') {
+          if (!val || !isNodeName(val.text)) return fail('site needs a name of letters, digits, _ . or -', lineNo, val || rest[i]);
+          site = val.text;
+        } else return fail(`expected "queue" or "site", got "${rest[i].text}"`, lineNo, rest[i]);
+      }
+      if (n !== null) { st.addResource(name.text, n); Object.assign(st.getResource(name.text), { discipline, site }); resLine[name.text] = lineNo; }
+    } else if (kw === 'process') {
+      if (!name) return fail('process needs a name', lineNo, { col: raw.length + 1 });
+      if (!isNodeName(name.text)) return fail(`"${name.text}" is not a name (use letters, digits, _ . or -)`, lineNo, name);
+      if (resLine[name.text] || procLine[name.text]) return fail(`"${name.text}" is already declared`, lineNo, name);
+      let priority = 0, site = '';
+      for (let i = 0; i < rest.length; i += 2) {
+        const key = rest[i].text.toLowerCase(), val = rest[i + 1];
+        if (key === 'priority') {
+          priority = Number(val && val.text);
+          if (!val || !Number.isFinite(priority)) return fail('priority needs a number', lineNo, val || rest[i]);
+        } else if (key === 'site') {
+          if (!val || !isNodeName(val.text)) return fail('site needs a name of letters, digits, _ . or -', lineNo, val || rest[i]);
+          site = val.text;
+        } else return fail(`expected "priority" or "site", got "${rest[i].text}"`, lineNo, rest[i]);
+      }
+      st.addProcess(name.text, priority); st.getProcess(name.text).site = site; procLine[name.text] = lineNo;
+    } else if (kw === 'avoidance') {
+      const v = name && name.text.toLowerCase();
+      if (!['off', 'cycle', 'banker'].includes(v)) return fail('avoidance must be off, cycle or banker', lineNo, name || head);
+      st.avoidance = v !== 'off';
+      if (v !== 'off') st.avoidanceStrategy = v;
+      extra(toks, 2, lineNo);
+    } else if (kw === 'prevention') {
+      const v = name && name.text.toLowerCase();
+      if (!RAGState.preventionPolicies[v]) return fail(`prevention must be ${Object.keys(RAGState.preventionPolicies).join(', ')}`, lineNo, name || head);
+      st.prevention = v;
+      extra(toks, 2, lineNo);
+    } else if (kw === 'distributed') {
+      const v = name && name.text.toLowerCase();
+      if (!RAGState.distributedModes[v]) return fail(`distributed must be ${Object.keys(RAGState.distributedModes).join(', ')}`, lineNo, name || head);
+      st.distributed.mode = v;
+      for (let i = 0; i < rest.length; i += 2) {
+        const key = rest[i].text.toLowerCase(), val = rest[i + 1];
+        if (key === 'latency' || key === 'interval') {
+          const n = countAt(val, lineNo);
+          if (!val) return fail(`${key} needs a number of steps`, lineNo, rest[i]);
+          if (n !== null) st.distributed[key] = n;
+        } else if (key === 'coordinator') {
+          if (!val || !isNodeName(val.text)) return fail('coordinator needs a site name', lineNo, val || rest[i]);
+          st.distributed.coordinator = val.text;
+        } else return fail(`expected "latency", "interval" or "coordinator", got "${rest[i].text}"`, lineNo, rest[i]);
+      }
+    } else if (kw === 'detection') {
+      const v = name && name.text.toLowerCase();
+      if (!['reduction', 'cycle'].includes(v)) return fail('detection must be reduction or cycle', lineNo, name || head);
+      st.detection = v;
+      extra(toks, 2, lineNo);
+    } else if (kw === 'scheduler') {
+      const v = name && name.text.toLowerCase();
+      if (!RAGState.schedulers[v]) return fail(`scheduler must be ${Object.keys(RAGState.schedulers).join(', ')}`, lineNo, name || head);
+      st.scheduler = v;
+      if (rest.length) {
+        if (rest[0].text.toLowerCase() !== 'seed') return fail(`expected "seed", got "${rest[0].text}"`, lineNo, rest[0]);
+        const seed = Number(rest[1] && rest[1].text);
+        if (!rest[1] || !Number.isInteger(seed)) return fail('seed needs a whole number', lineNo, rest[1] || rest[0]);
+        st.setSeed(seed);
+        extra(toks, 4, lineNo);
+      }
+    } else if (kw === 'aging') {
+      const v = Number(name && name.text);
+      if (!name || !Number.isFinite(v) || v < 0) return fail('aging needs a number >= 0', lineNo, name || head);
+      st.queueing.aging = v;
+      extra(toks, 2, lineNo);
+    } else if (kw === 'starvation') {
+      const v = countAt(name, lineNo, 0);
+      if (!name) return fail('starvation needs a number of steps', lineNo, head);
+      if (v !== null) st.queueing.starvationSteps = v;
+      extra(toks, 2, lineNo);
+    } else {
+      deferred.push({ lineNo, toks, raw });
+    }
+  });
+
+  for (const { lineNo, toks, raw } of deferred) {
+    const [procTok, verbTok, resTok, countTok] = toks;
+    const verb = verbTok && verbTok.text.toLowerCase();
+    if (!verbTok) { fail(`unknown statement "${procTok.text}"`, lineNo, procTok); continue; }
+    if (!DSL_VERBS.includes(verb)) { fail(`unknown verb "${verbTok.text}" (expected ${DSL_VERBS.join(', ')})`, lineNo, verbTok); continue; }
+    if (!procLine[procTok.text]) { fail(`unknown process "${procTok.text}"`, lineNo, procTok); continue; }
+    const p = st.getProcess(procTok.text);
+    if (verb === 'terminated' || verb === 'finished') { extra(toks, 2, lineNo); p.state = verb; continue; }
+    if (verb === 'runs') {
+      const body = raw.replace(/#.*/, '').slice(verbTok.col - 1 + verbTok.text.length);
+      const script = parseScript(body, verbTok.col + verbTok.text.length, lineNo, resLine, fail);
+      if (script) p.script.push(...script);
+      continue;
+    }
+    if (verb === 'pc') {
+      const pc = countAt(resTok, lineNo, 0), left = countTok ? countAt(countTok, lineNo, 0) : 0;
+      extra(toks, 4, lineNo);
+      if (pc !== null && left !== null) { p.pc = pc; p.remaining = left; pcLine.push({ p, lineNo, tok: resTok }); }
+      continue;
+    }
+    if (!resTok) { fail(`${verb} needs a resource`, lineNo, { col: raw.replace(/\s+$/, '').length + 2 }); continue; }
+    if ((verb === 'request' || verb === 'waits') && toks.some(t => t.text === '+')) {
+      const atomic = partsAt(toks, 2, lineNo, verb === 'request');
+      if (!atomic) continue;
+      if (verb === 'waits') {
+        st.enqueueGroup(p.name, atomic.parts);
+        p.state = 'blocked';
+      } else {
+        const evt = { type: 'request', process: p.name, resources: atomic.parts };
+        if (atomic.due !== undefined) evt.at = atomic.due;
+        st.enqueueEvent(evt);
+      }
+      continue;
+    }
+    if (!resLine[resTok.text]) { fail(`unknown resource "${resTok.text}"`, lineNo, resTok); continue; }
+    const r = st.getResource(resTok.text);
+    const n = countAt(countTok, lineNo, verb === 'max' ? 0 : 1);
+    let due;
+    if ((verb === 'request' || verb === 'release') && toks[4] && toks[4].text.toLowerCase() === 'at') {
+      due = countAt(toks[5], lineNo, 0);
+      if (!toks[5]) { fail('at needs a step number', lineNo, toks[4]); continue; }
+      extra(toks, 6, lineNo);
+      if (due === null) continue;
+    } else extra(toks, 4, lineNo);
+    if (n === null) continue;
+    if (verb === 'max') {
+      if (n > r.total) { fail(`max ${n} exceeds the ${r.total} instances of ${r.name}`, lineNo, countTok); continue; }
+      st.setMaxClaim(p.name, r.name, n);
+    } else if (verb === 'holds') {
+      if (st.availableOf(r.name) < n) { fail(`cannot hold ${n} ${r.name}: only ${st.availableOf(r.name)} of ${r.total} left`, lineNo, countTok || resTok); continue; }
+      st.assignments[r.name][p.name] = st.heldBy(p.name, r.name) + n;
+    } else if (verb === 'waits') {
+      st.waitingRequests[r.name].push({ process: p.name, count: n });
+      p.state = 'blocked';
+    } else {
+      const evt = { type: verb, process: p.name, resource: r.name, count: n };
+      if (due !== undefined) evt.at = due;
+      st.enqueueEvent(evt);
+    }
+  }
+  for (const { p, lineNo, tok } of pcLine)
+    if (p.pc > p.script.length) fail(`pc ${p.pc} is past the end of ${p.name}'s ${p.script.length}-instruction script`, lineNo, tok);
+
+  errors.sort((a, b) => a.line - b.line || a.col - b.col);
+  return { state: errors.length ? null : st, errors };
+}
+
+// Parse the instructions of a "runs" line, separated by semicolons. `col` is the column where
+// body starts; returns null after reporting an error.
+function parseScript(body, col, lineNo, resLine, fail) {
+  const script = [];
+  let offset = 0, ok = true;
+  for (const part of body.split(';')) {
+    const toks = tokenizeLine(part).map(t => ({ text: t.text, col: t.col + col - 1 + offset }));
+    offset += part.length + 1;
+    if (!toks.length) continue;
+    const [opTok, a, b] = toks;
+    const op = opTok.text.toLowerCase();
+    const num = (tok, what) => {
+      const n = Number(tok && tok.text);
+      if (!tok || !Number.isInteger(n) || n < 1) { fail(`${what} needs a whole number >= 1`, lineNo, tok || opTok); return null; }
+      return n;
+    };
+    if (op === 'compute' || op === 'delay') {
+      const ticks = num(a, op);
+      if (ticks === null) { ok = false; continue; }
+      if (toks.length > 2) { fail(`unexpected "${toks[2].text}"`, lineNo, toks[2]); ok = false; continue; }
+      script.push({ op, ticks });
+    } else if (op === 'release' && a && a.text.toLowerCase() === 'all') {
+      if (toks.length > 2) { fail(`unexpected "${toks[2].text}"`, lineNo, toks[2]); ok = false; continue; }
+      script.push({ op: 'release-all' });
+    } else if (op === 'request' || op === 'release') {
+      if (!a) { fail(`${op} needs a resource`, lineNo, opTok); ok = false; continue; }
+      if (!resLine[a.text]) { fail(`unknown resource "${a.text}"`, lineNo, a); ok = false; continue; }
+      const count = b ? num(b, op) : undefined;
+      if (count === null) { ok = false; continue; }
+      if (toks.length > 3) { fail(`unexpected "${toks[3].text}"`, lineNo, toks[3]); ok = false; continue; }
+      script.push(op === 'request' ? { op, resource: a.text, count: count || 1 } : Object.assign({ op, resource: a.text }, count ? { count } : {}));
+    } else {
+      fail(`unknown instruction "${opTok.text}" (expected request, release, compute or delay)`, lineNo, opTok);
+      ok = false;
+    }
+  }
+  return ok ? script : null;
+}
+
+// {R1: 2, R2: 1} as "R1 2 + R2 1"
+function dslParts(parts) { return Object.entries(parts).map(([r, n]) => `${r} ${n}`).join(' + '); }
+
+// Serialize a RAGState into DSL text that parses back to the same state
+function toDSL(state) {
+  const out = [];
+  if (state.avoidance) out.push(`avoidance ${state.avoidanceStrategy}`);
+  if (state.detection !== 'reduction') out.push(`detection ${state.detection}`);
+  if (state.prevention !== 'none') out.push(`prevention ${state.prevention}`);
+  const d = state.distributed, dd = new RAGState().distributed;
+  if (d.mode !== 'off' || d.latency !== dd.latency || d.interval !== dd.interval || d.coordinator)
+    out.push(`distributed ${d.mode}${d.latency !== dd.latency ? ` latency ${d.latency}` : ''}${d.interval !== dd.interval ? ` interval ${d.interval}` : ''}${d.coordinator ? ` coordinator ${d.coordinator}` : ''}`);
+  if (state.scheduler !== 'round-robin' || state.seed !== 1) out.push(`scheduler ${state.scheduler}${state.seed !== 1 ? ` seed ${state.seed}` : ''}`);
+  if (state.queueing.aging) out.push(`aging ${state.queueing.aging}`);
+  if (state.queueing.starvationSteps !== 10) out.push(`starvation ${state.queueing.starvationSteps}`);
+  if (out.length) out.push('');
+  for (const r of state.resources) out.push(`resource ${r.name} x${r.total}${r.discipline !== 'first-fit' ? ` queue ${r.discipline}` : ''}${r.site ? ` site ${r.site}` : ''}`);
+  for (const p of state.processes) out.push(`process ${p.name}${p.priority ? ` priority ${p.priority}` : ''}${p.site ? ` site ${p.site}` : ''}`);
+  const body = [];
+  for (const p of state.processes) {
+    for (const [r, n] of Object.entries(p.maxClaims)) body.push(`${p.name} max ${r} ${n}`);
+    for (const r of state.resources) {
+      const held = state.heldBy(p.name, r.name);
+      if (held > 0) body.push(`${p.name} holds ${r.name} ${held}`);
+    }
+    if (p.script.length) body.push(`${p.name} runs ${p.script.map(formatInstruction).join('; ')}`);
+    if (p.pc || p.remaining) body.push(`${p.name} pc ${p.pc}${p.remaining ? ` ${p.remaining}` : ''}`);
+    if (!isLive(p)) body.push(`${p.name} ${p.state}`);
+  }
+  const groups = new Set();
+  for (const r of state.resources)
+    for (const req of state.waitingRequests[r.name] || []) {
+      if (!req.group) body.push(`${req.process} waits ${r.name} ${req.count}`);
+      else if (!groups.has(req.group)) { groups.add(req.group); body.push(`${req.process} waits ${dslParts(state.requestParts(req, r.name))}`); }
+    }
+  if (body.length) out.push('', ...body);
+  if (state.eventQueue.length) {
+    out.push('', '# events');
+    for (const e of state.eventQueue) out.push(`${e.process} ${e.type} ${dslParts(eventParts(e))}${e.at !== undefined ? ` at ${e.at}` : ''}`);
+  }
+  return out.join('\n') + '\n';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DSLError, DSL_VERBS, parseDSL, toDSL };
+}
@@ -0,0 +1,250 @@
+/* Exercises: an instructor-written set of questions about scenario states, answered by students
+   and graded against the engine's own computations (deadlock detection, Banker's safety,
+   trial releases), with hints that cost points and results to export.
+
+   A set file:
+     { "format": "rag-exercises", "version": 1, "title": "Lab 3", "hintPenalty": 0.25,
+       "exercises": [{ "id": "q1", "type": "deadlocked", "script": "resource R1 x1 …",
+                       "display": "graph", "points": 2, "attempts": 1, "hints": ["…"] }] }
+   Each exercise gives its state as a scenario document ("scenario") or scenario-language text
+   ("script"), optionally advanced "steps" steps before it is shown. */
+
+const EXERCISE_FORMAT = 'rag-exercises';
+const EXERCISE_VERSION = 1;
+const RESULTS_FORMAT = 'rag-exercise-results';
+
+// "P1, P2 P3" or "P1 -> P2" -> ['P1', 'P2', 'P3']
+const nameList = text => String(text).split(/->|→|[\s,;]+/).filter(Boolean);
+const yesNo = text => (/^\s*(y|yes|true)\s*$/i.test(text) ? true : /^\s*(n|no|false)\s*$/i.test(text) ? false : null);
+const noneAnswer = text => /^\s*(none|no one|nobody|unsafe|-)\s*$/i.test(text);
+
+// Whether the deadlock is gone once the process releases every unit it holds of the resource
+function trialRelease(state, process, resource) {
+  const next = RAGState.from(state.serialize());
+  next.release(process, resource, next.heldBy(process, resource));
+  return !RAGState.findDeadlock(next).hasDeadlock;
+}
+
+// Every single release (all units one process holds of one resource) that ends the deadlock
+function breakingReleases(state) {
+  const out = [];
+  for (const r of state.resources) {
+    for (const [process, count] of Object.entries(state.assignments[r.name] || {})) {
+      if (count > 0 && trialRelease(state, process, r.name)) out.push({ process, resource: r.name });
+    }
+  }
+  return out;
+}
+
+// True when finishing processes in this order never needs more than Work holds
+function isSafeSequence(state, sequence) {
+  const live = state.processes.filter(isLive).map(p => p.name);
+  if (sequence.length !== live.length || !live.every(p => sequence.includes(p))) return false;
+  const work = Object.fromEntries(state.resources.map(r => [r.name, state.availableOf(r.name)]));
+  for (const p of sequence) {
+    if (!state.resources.every(r => state.needOf(p, r.name) <= work[r.name])) return false;
+    state.resources.forEach(r => { work[r.name] += state.heldBy(p, r.name); });
+  }
+  return true;
+}
+
+const sameSet = (a, b) => a.length === b.length && a.every(x => b.includes(x));
+
+// Question types. parse(text, state) -> {ok, value, reason}; correct(state, value) grades it;
+// expected(state) is the engine's answer, shown once the exercise is over; format(value) prints one.
+// check(state) returns a problem with the state for this question, or null.
+const EXERCISE_TYPES = {
+  deadlocked: {
+    label: 'Is it deadlocked?',
+    prompt: 'Is this state deadlocked? Answer yes or no.',
+    placeholder: 'yes / no',
+    parse: text => { const v = yesNo(text); return v === null ? { ok: false, reason: 'Answer yes or no' } : { ok: true, value: v }; },
+    correct: (state, value) => value === RAGState.findDeadlock(state).hasDeadlock,
+    expected: state => RAGState.findDeadlock(state).hasDeadlock,
+    format: v => (v ? 'yes' : 'no'),
+    check: () => null
+  },
+  involved: {
+    label: 'Which processes are deadlocked?',
+    prompt: 'Which processes are deadlocked? List them, or answer none.',
+    placeholder: 'P1, P2 or none',
+    parse: (text, state) => {
+      if (noneAnswer(text)) return { ok: true, value: [] };
+      const names = [...new Set(nameList(text))];
+      const unknown = names.filter(n => !state.getProcess(n));
+      return unknown.length ? { ok: false, reason: `No process named ${unknown.join(', ')}` } : { ok: true, value: names };
+    },
+    correct: (state, value) => sameSet(value, RAGState.findDeadlock(state).involved),
+    expected: state => RAGState.findDeadlock(state).involved,
+    format: v => (v.length ? v.join(', ') : 'none'),
+    check: () => null
+  },
+  'safe-sequence': {
+    label: 'Safe sequence',
+    prompt: "Give a safe sequence for Banker's algorithm (every process once), or answer unsafe.",
+    placeholder: 'P2, P1, P3 or unsafe',
+    parse: (text, state) => {
+      if (noneAnswer(text)) return { ok: true, value: null };
+      const names = nameList(text);
+      const unknown = names.filter(n => !state.getProcess(n));
+      return unknown.length ? { ok: false, reason: `No process named ${unknown.join(', ')}` } : { ok: true, value: names };
+    },
+    correct: (state, value) => (value === null ? !RAGState.bankersSafety(state).safe : isSafeSequence(state, value)),
+    expected: state => { const s = RAGState.bankersSafety(state); return s.safe ? s.sequence : null; },
+    format: v => (v ? v.join(', ') : 'unsafe'),
+    check: () => null
+  },
+  'breaking-release': {
+    label: 'Break the deadlock',
+    prompt: 'Which single release breaks the deadlock? Answer with a process and a resource, e.g. P1 R2.',
+    placeholder: 'P1 R2',
+    parse: (text, state) => {
+      const m = /^\s*(\S+)\s+(?:releases?\s+)?(\S+)\s*$/i.exec(text);
+      if (!m) return { ok: false, reason: 'Answer with a process and a resource, e.g. P1 R2' };
+      if (!state.getProcess(m[1])) return { ok: false, reason: `No process named ${m[1]}` };
+      if (!state.getResource(m[2])) return { ok: false, reason: `No resource named ${m[2]}` };
+      return { ok: true, value: { process: m[1], resource: m[2] } };
+    },
+    correct: (state, value) => state.heldBy(value.process, value.resource) > 0 && trialRelease(state, value.process, value.resource),
+    expected: state => breakingReleases(state),
+    format: v => (Array.isArray(v) ? v.map(x => `${x.process} ${x.resource}`).join(' or ') : `${v.process} ${v.resource}`),
+    check: state => (!RAGState.findDeadlock(state).hasDeadlock ? 'the state is not deadlocked'
+      : !breakingReleases(state).length ? 'no single release breaks the deadlock' : null)
+  }
+};
+
+// The state an exercise asks about: its scenario or script, advanced `steps` steps
+function exerciseState(ex) {
+  let state;
+  if (typeof ex.script === 'string') {
+    const parsed = parseDSL(ex.script);
+    if (!parsed.state) throw new ScenarioError(parsed.errors.map(e => e.message));
+    state = parsed.state;
+  } else state = scenarioToState(ex.scenario);
+  for (let i = 0; i < (ex.steps || 0); i++) state.stepForward();
+  return state;
+}
+
+function validateExerciseSet(doc) {
+  if (!doc || typeof doc !== 'object' || doc.format !== EXERCISE_FORMAT) return [`Not an exercise set (format must be "${EXERCISE_FORMAT}")`];
+  if (doc.version !== EXERCISE_VERSION) return [`Unsupported exercise set version ${doc.version}; this page reads version ${EXERCISE_VERSION}`];
+  if (!Array.isArray(doc.exercises) || !doc.exercises.length) return ['exercises must be a non-empty array'];
+  const errors = [];
+  if (doc.hintPenalty !== undefined && !(doc.hintPenalty >= 0 && doc.hintPenalty <= 1)) errors.push('hintPenalty must be a number between 0 and 1');
+  const ids = new Set();
+  doc.exercises.forEach((ex, i) => {
+    const at = `exercises[${i}]`;
+    if (!ex || typeof ex !== 'object') { errors.push(`${at} must be an object`); return; }
+    if (!EXERCISE_TYPES[ex.type]) errors.push(`${at}.type must be one of ${Object.keys(EXERCISE_TYPES).join(', ')}`);
+    if (ex.id !== undefined) {
+      if (typeof ex.id !== 'string' || !ex.id) errors.push(`${at}.id must be a non-empty string`);
+      else if (ids.has(ex.id)) errors.push(`${at}.id "${ex.id}" is used twice`);
+      ids.add(ex.id);
+    }
+    for (const key of ['title', 'question']) if (ex[key] !== undefined && typeof ex[key] !== 'string') errors.push(`${at}.${key} must be a string`);
+    if (ex.display !== undefined && !['graph', 'text'].includes(ex.display)) errors.push(`${at}.display must be graph or text`);
+    if (ex.points !== undefined && !(typeof ex.points === 'number' && ex.points >= 0)) errors.push(`${at}.points must be a number of at least 0`);
+    for (const key of ['attempts', 'steps']) {
+      if (ex[key] !== undefined && !(Number.isInteger(ex[key]) && ex[key] >= (key === 'attempts' ? 1 : 0))) errors.push(`${at}.${key} must be a whole number${key === 'attempts' ? ' of at least 1' : ''}`);
+    }
+    if (ex.hints !== undefined && !(Array.isArray(ex.hints) && ex.hints.every(h => typeof h === 'string'))) errors.push(`${at}.hints must be an array of strings`);
+    if ((ex.script === undefined) === (ex.scenario === undefined)) { errors.push(`${at} needs either scenario or script`); return; }
+    if (ex.script !== undefined && typeof ex.script !== 'string') { errors.push(`${at}.script must be scenario-language text`); return; }
+    if (ex.scenario !== undefined) {
+      const problems = validateScenario(ex.scenario);
+      if (problems.length) { errors.push(...problems.map(p => `${at}.scenario: ${p}`)); return; }
+    }
+    let state;
+    try { state = exerciseState(ex); }
+    catch (err) {
+      if (!(err instanceof ScenarioError)) throw err;
+      errors.push(...err.errors.map(e => `${at}.script: ${e}`));
+      return;
+    }
+    const problem = EXERCISE_TYPES[ex.type] && EXERCISE_TYPES[ex.type].check(state);
+    if (problem) errors.push(`${at} asks "${EXERCISE_TYPES[ex.type].label}" but ${problem}`);
+  });
+  return errors.slice(0, 20);
+}
+
+// One student working through a set. Answers are graded as they come in; a correct answer scores
+// the exercise's points less hintPenalty of them per hint taken, and an exercise is over once it
+// is answered correctly or its attempts run out.
+class ExerciseSession {
+  // Throws ScenarioError, listing every problem, when the set is invalid
+  constructor(doc, { student = '' } = {}) {
+    const errors = validateExerciseSet(doc);
+    if (errors.length) throw new ScenarioError(errors);
+    this.title = doc.title || 'Exercises';
+    this.student = student;
+    this.hintPenalty = doc.hintPenalty === undefined ? 0.25 : doc.hintPenalty;
+    this.exercises = doc.exercises.map((ex, i) => ({
+      id: ex.id || `q${i + 1}`,
+      title: ex.title || EXERCISE_TYPES[ex.type].label,
+      type: ex.type,
+      question: ex.question || EXERCISE_TYPES[ex.type].prompt,
+      display: ex.display || 'graph',
+      points: ex.points === undefined ? 1 : ex.points,
+      attempts: ex.attempts || 1,
+      hints: ex.hints || [],
+      snapshot: exerciseState(ex).serialize()
+    }));
+    this.progress = this.exercises.map(() => ({ answers: [], hintsUsed: 0, correct: false, done: false, score: 0 }));
+  }
+
+  stateOf(index) { return RAGState.from(this.exercises[index].snapshot); }
+
+  // Reveal the next hint; null when there are none left or the exercise is over
+  hint(index) {
+    const ex = this.exercises[index], p = this.progress[index];
+    if (p.done || p.hintsUsed >= ex.hints.length) return null;
+    return ex.hints[p.hintsUsed++];
+  }
+
+  // Grade an answer. {ok: false, reason} when it cannot be read (no attempt is used), otherwise
+  // {ok: true, correct, done, score, feedback}
+  answer(index, text) {
+    const ex = this.exercises[index], p = this.progress[index];
+    if (p.done) return { ok: false, reason: 'This exercise is over' };
+    if (!String(text).trim()) return { ok: false, reason: 'Enter an answer first' };
+    const type = EXERCISE_TYPES[ex.type], state = this.stateOf(index);
+    const parsed = type.parse(String(text), state);
+    if (!parsed.ok) return parsed;
+    const correct = type.correct(state, parsed.value);
+    p.answers.push(type.format(parsed.value));
+    p.correct = correct;
+    p.done = correct || p.answers.length >= ex.attempts;
+    if (correct) p.score = Math.max(0, ex.points * (1 - this.hintPenalty * p.hintsUsed));
+    const left = ex.attempts - p.answers.length;
+    const feedback = correct ? `Correct: ${p.score} of ${ex.points} point${ex.points === 1 ? '' : 's'}.`
+      : p.done ? `Not correct. The engine's answer: ${type.format(type.expected(state))}.`
+        : `Not correct. ${left} attempt${left === 1 ? '' : 's'} left.`;
+    return { ok: true, correct, done: p.done, score: p.score, feedback };
+  }
+
+  score() { return this.progress.reduce((a, p) => a + p.score, 0); }
+  maxScore() { return this.exercises.reduce((a, ex) => a + ex.points, 0); }
+
+  results() {
+    return {
+      format: RESULTS_FORMAT, version: EXERCISE_VERSION, title: this.title, student: this.student,
+      exportedAt: new Date().toISOString(), score: this.score(), maxScore: this.maxScore(),
+      exercises: this.exercises.map((ex, i) => {
+        const p = this.progress[i];
+        return { id: ex.id, type: ex.type, question: ex.question, answers: [...p.answers], correct: p.correct, hintsUsed: p.hintsUsed, score: p.score, points: ex.points };
+      })
+    };
+  }
+}
+
+// One row per exercise, answers joined with " | "
+function resultsToCSV(results) {
+  const rows = [['student', 'id', 'type', 'answers', 'correct', 'hints', 'score', 'points']];
+  for (const e of results.exercises) rows.push([results.student, e.id, e.type, e.answers.join(' | '), e.correct, e.hintsUsed, e.score, e.points]);
+  rows.push([results.student, 'total', '', '', '', '', results.score, results.maxScore]);
+  return rows.map(r => r.map(csvField).join(',')).join('\n') + '\n';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EXERCISE_FORMAT, EXERCISE_VERSION, EXERCISE_TYPES, validateExerciseSet, ExerciseSession, resultsToCSV };
+}
@@ -0,0 +1,193 @@
+/* Batch experiments: many headless runs per strategy, aggregated into statistics, charts and CSV */
+
+// Generator parameters an experiment can sweep over
+const EXPERIMENT_SWEEPS = {
+  processes: 'Processes',
+  resources: 'Resources',
+  maxInstances: 'Max instances',
+  density: 'Request density',
+  holdAndWait: 'Hold-and-wait'
+};
+
+// Summary columns that get a chart; percent ones are fractions shown as 0-100%
+const EXPERIMENT_CHARTS = [
+  { key: 'deadlockRate', title: 'Deadlock rate', percent: true },
+  { key: 'meanSteps', title: 'Steps to completion' },
+  { key: 'meanQueue', title: 'Average queue length' },
+  { key: 'utilization', title: 'Resource utilization', percent: true }
+];
+
+const EXPERIMENT_COLORS = ['#7aa2ff', '#ff6b6b', '#44d37c', '#ffbf47', '#9e8dff', '#67e8f9'];
+
+// Play one state with a Simulator until it is quiescent (or maxSteps) and measure every step:
+// queued requests summed over all resources, and the fraction of all units that are assigned
+function measureRun(state, { maxSteps = 500, autoGrant = true } = {}) {
+  const sim = new Simulator();
+  sim.loadState(state);
+  const options = { autoGrant };
+  const units = state.resources.reduce((a, r) => a + r.total, 0) || 1;
+  let queued = 0, used = 0, samples = 0, firstDeadlock = null, steps = 0;
+  const sample = () => {
+    const st = sim.state;
+    queued += st.resources.reduce((a, r) => a + (st.waitingRequests[r.name] || []).length, 0);
+    used += st.resources.reduce((a, r) => a + r.total - st.availableOf(r.name), 0) / units;
+    samples++;
+    if (firstDeadlock === null && RAGState.findDeadlock(st).hasDeadlock) firstDeadlock = st.step;
+  };
+  sample();
+  while (steps < maxSteps && !sim.state.isQuiescent(options)) {
+    sim.stepForward(options);
+    steps++;
+    sample();
+  }
+  return {
+    steps,
+    quiescent: sim.state.isQuiescent(options),
+    deadlocked: firstDeadlock !== null,
+    firstDeadlock,
+    meanQueue: queued / samples,
+    utilization: used / samples
+  };
+}
+
+// The x values of an experiment and, for each, a function building the state for run i.
+// Generated experiments sweep one generator parameter and use seed firstSeed + i; scenario
+// experiments replay each given snapshot with scheduler seed firstSeed + i.
+function experimentPoints(spec) {
+  const firstSeed = spec.firstSeed || 0;
+  if (spec.source === 'scenarios') {
+    return spec.scenarios.map(sc => ({
+      x: sc.name,
+      make: i => { const st = RAGState.from(sc.state); st.setSeed(firstSeed + i); return st; }
+    }));
+  }
+  return spec.sweep.values.map(v => ({
+    x: v,
+    make: i => scenarioToState(generateScenario({ ...spec.generator, [spec.sweep.param]: v, seed: firstSeed + i }))
+  }));
+}
+
+const mean = xs => xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null;
+
+// One summary row per strategy and x value. Steps to completion only averages runs that
+// finished without a deadlock; timedOut counts runs stopped by maxSteps.
+function summarizeRuns(runs) {
+  const groups = new Map();
+  for (const r of runs) {
+    const key = `${r.strategy}\u0000${r.x}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+  return [...groups.values()].map(rs => {
+    const completed = rs.filter(r => r.quiescent && !r.deadlocked);
+    return {
+      strategy: rs[0].strategy,
+      x: rs[0].x,
+      runs: rs.length,
+      deadlockRate: rs.filter(r => r.deadlocked).length / rs.length,
+      meanSteps: mean(completed.map(r => r.steps)),
+      meanQueue: mean(rs.map(r => r.meanQueue)),
+      utilization: mean(rs.map(r => r.utilization)),
+      timedOut: rs.filter(r => !r.quiescent).length
+    };
+  });
+}
+
+// Run every strategy on `runs` states per x value. Yields to the event loop every few runs so
+// a page stays responsive; onProgress(done, total) reports, shouldStop() ends early (the
+// result then covers the runs made so far). Throws ScenarioError when a scenario cannot be generated.
+async function runExperiment(spec, { onProgress, shouldStop } = {}) {
+  const points = experimentPoints(spec);
+  const total = points.length * spec.runs * spec.strategies.length;
+  const runs = [];
+  let stopped = false;
+  outer:
+  for (const pt of points) {
+    for (let i = 0; i < spec.runs; i++) {
+      const base = pt.make(i).serialize();
+      for (const key of spec.strategies) {
+        if (shouldStop && shouldStop()) { stopped = true; break outer; }
+        const st = RAGState.from(base);
+        COMPARE_STRATEGIES[key].apply(st);
+        runs.push({ strategy: key, x: pt.x, seed: (spec.firstSeed || 0) + i, ...measureRun(st, spec) });
+        if (onProgress) onProgress(runs.length, total);
+        if (runs.length % 10 === 0) await new Promise(res => setTimeout(res, 0));
+      }
+    }
+  }
+  return {
+    xLabel: spec.source === 'scenarios' ? 'Scenario' : EXPERIMENT_SWEEPS[spec.sweep.param],
+    xs: points.map(p => p.x),
+    strategies: spec.strategies,
+    stopped,
+    runs,
+    summary: summarizeRuns(runs)
+  };
+}
+
+function csvField(v) {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// CSV text of the summary (default) or of every run
+function experimentCSV(result, level = 'summary') {
+  const xCol = result.xLabel.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+  const round = v => (v === null ? null : Math.round(v * 10000) / 10000);
+  const rows = level === 'runs'
+    ? [['strategy', xCol, 'seed', 'steps', 'quiescent', 'deadlocked', 'first_deadlock', 'mean_queue_length', 'utilization'],
+      ...result.runs.map(r => [r.strategy, r.x, r.seed, r.steps, r.quiescent, r.deadlocked, r.firstDeadlock, round(r.meanQueue), round(r.utilization)])]
+    : [['strategy', xCol, 'runs', 'deadlock_rate', 'mean_steps_to_completion', 'mean_queue_length', 'utilization', 'timed_out'],
+      ...result.summary.map(s => [s.strategy, s.x, s.runs, round(s.deadlockRate), round(s.meanSteps), round(s.meanQueue), round(s.utilization), s.timedOut])];
+  return rows.map(r => r.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// Line chart of one summary column against the x values, one line per strategy
+function drawExperimentChart(ctx, w, h, result, chart) {
+  const pad = { l: 44, r: 12, t: 26, b: 30 };
+  const pw = w - pad.l - pad.r, ph = h - pad.t - pad.b;
+  const values = result.summary.map(s => s[chart.key]).filter(v => v !== null);
+  const yMax = chart.percent ? 1 : Math.max(1, ...values) * 1.1;
+  const xAt = i => pad.l + (result.xs.length > 1 ? (i / (result.xs.length - 1)) * pw : pw / 2);
+  const yAt = v => pad.t + ph - (v / yMax) * ph;
+  const fmt = v => (chart.percent ? `${Math.round(v * 100)}%` : String(Math.round(v * 10) / 10));
+
+  ctx.clearRect(0, 0, w, h);
+  ctx.font = '12px system-ui, sans-serif';
+  ctx.fillStyle = '#e8ecff'; ctx.textAlign = 'left';
+  ctx.fillText(chart.title, pad.l, 16);
+  ctx.strokeStyle = '#2a346d'; ctx.lineWidth = 1;
+  ctx.fillStyle = '#9aa5d1'; ctx.font = '10px system-ui, sans-serif';
+  for (let k = 0; k <= 4; k++) {
+    const v = (yMax * k) / 4, y = yAt(v);
+    ctx.beginPath(); ctx.moveTo(pad.l, y); ctx.lineTo(pad.l + pw, y); ctx.stroke();
+    ctx.textAlign = 'right'; ctx.fillText(fmt(v), pad.l - 6, y + 3);
+  }
+  ctx.textAlign = 'center';
+  result.xs.forEach((x, i) => ctx.fillText(String(x).slice(0, 12), xAt(i), h - pad.b + 14));
+  ctx.fillText(result.xLabel, pad.l + pw / 2, h - 4);
+
+  result.strategies.forEach((key, si) => {
+    const color = EXPERIMENT_COLORS[si % EXPERIMENT_COLORS.length];
+    const pts = result.xs.map((x, i) => {
+      const row = result.summary.find(s => s.strategy === key && s.x === x);
+      return row && row[chart.key] !== null ? { x: xAt(i), y: yAt(row[chart.key]) } : null;
+    });
+    ctx.strokeStyle = color; ctx.fillStyle = color; ctx.lineWidth = 2;
+    ctx.beginPath();
+    let open = false;
+    for (const p of pts) {
+      if (!p) { open = false; continue; }
+      if (open) ctx.lineTo(p.x, p.y); else ctx.moveTo(p.x, p.y);
+      open = true;
+    }
+    ctx.stroke();
+    for (const p of pts) if (p) { ctx.beginPath(); ctx.arc(p.x, p.y, 3, 0, Math.PI * 2); ctx.fill(); }
+    ctx.textAlign = 'right'; ctx.font = '10px system-ui, sans-serif';
+    ctx.fillText(COMPARE_STRATEGIES[key].label, w - pad.r, 14 + si * 12);
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EXPERIMENT_SWEEPS, EXPERIMENT_CHARTS, measureRun, summarizeRuns, runExperiment, experimentCSV, csvField };
+}
@@ -0,0 +1,172 @@
+/* Explain-this-step narration: which Coffman conditions hold, the wait-for cycle walked edge by
+   edge, and why avoidance holds requests back. Every sentence names the nodes and edges it is
+   about, so a view can highlight them as the narration plays. */
+
+const COFFMAN_CONDITIONS = [
+  { key: 'mutual-exclusion', label: 'Mutual exclusion' },
+  { key: 'hold-and-wait', label: 'Hold and wait' },
+  { key: 'no-preemption', label: 'No preemption' },
+  { key: 'circular-wait', label: 'Circular wait' }
+];
+
+// "A", "A and B", "A, B and C"
+function listNames(names) {
+  return names.length < 2 ? names.join('') : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+const units = (count, res) => `${count} ${res}`;
+const waitEdge = (process, resource) => ({ kind: 'wait', process, resource });
+const assignEdge = (process, resource) => ({ kind: 'assign', process, resource });
+
+// Assignment edges of the state as {process, resource, count}
+function holdings(state) {
+  const out = [];
+  for (const r of state.resources) {
+    for (const [process, count] of Object.entries(state.assignments[r.name] || {})) if (count > 0) out.push({ process, resource: r.name, count });
+  }
+  return out;
+}
+
+function waits(state) {
+  return state.resources.flatMap(r => (state.waitingRequests[r.name] || []).map(q => ({ process: q.process, resource: r.name, count: q.count })));
+}
+
+// The four necessary conditions, each {key, label, holds, text, highlight}
+function coffmanConditions(state) {
+  const held = holdings(state), waiting = waits(state);
+  const out = {};
+
+  out['mutual-exclusion'] = held.length
+    ? { holds: true, text: `Units are used by one process at a time: ${listNames(held.map(h => `${h.process} holds ${units(h.count, h.resource)}`))}.`,
+      highlight: { nodes: [], edges: held.map(h => assignEdge(h.process, h.resource)) } }
+    : { holds: false, text: 'No unit is assigned, so nobody is kept out of anything yet.', highlight: { nodes: [], edges: [] } };
+
+  const hw = state.processes.filter(p => isLive(p) && state.heldTotal(p.name) > 0 && state.isWaiting(p.name)).map(p => p.name);
+  out['hold-and-wait'] = hw.length
+    ? { holds: true, text: hw.map(p => `${p} holds ${listNames(held.filter(h => h.process === p).map(h => units(h.count, h.resource)))} while waiting for ${listNames(waiting.filter(w => w.process === p).map(w => units(w.count, w.resource)))}.`).join(' '),
+      highlight: { nodes: hw, edges: [...held.filter(h => hw.includes(h.process)).map(h => assignEdge(h.process, h.resource)), ...waiting.filter(w => hw.includes(w.process)).map(w => waitEdge(w.process, w.resource))] } }
+    : { holds: false, text: state.prevention === 'no-hold-and-wait' ? 'The no hold-and-wait policy rejects every request made while holding something.' : 'No process is waiting while holding something.', highlight: { nodes: [], edges: [] } };
+
+  out['no-preemption'] = state.prevention === 'preempt'
+    ? { holds: false, text: 'The preempt-on-block policy takes away everything a process holds as soon as it has to wait.', highlight: { nodes: [], edges: [] } }
+    : state.recovery.enabled && state.recovery.action === 'preempt'
+      ? { holds: false, text: 'Automatic recovery preempts: a deadlocked victim has its units taken away.', highlight: { nodes: [], edges: [] } }
+      : { holds: true, text: 'Units only come back when their holder releases them; nothing is taken away.', highlight: { nodes: [], edges: [] } };
+
+  const cyc = RAGState.detectDeadlock(state);
+  out['circular-wait'] = cyc.hasCycle
+    ? { holds: true, text: `The wait-for graph has ${cyc.cycles.length === 1 ? 'a cycle' : `${cyc.cycles.length} cycles`}: ${cyc.cycles.map(c => [...c, c[0]].join(' → ')).join('; ')}.`,
+      highlight: { nodes: cyc.involved, edges: cyc.cycles.flatMap(c => cycleHops(state, c).flatMap(h => h.edges)) } }
+    : { holds: false, text: state.prevention === 'ordering'
+      ? `Resources are only requested in the order ${state.resources.map(r => r.name).join(' < ')}, so no chain of waits can lead back to where it started.`
+      : 'No chain of waiting processes leads back to where it started.', highlight: { nodes: [], edges: [] } };
+
+  return COFFMAN_CONDITIONS.map(c => ({ ...c, ...out[c.key] }));
+}
+
+// One hop per process of a wait-for cycle: what it waits for and who holds that
+function cycleHops(state, cycle) {
+  return cycle.map((p, i) => {
+    const next = cycle[(i + 1) % cycle.length];
+    const w = waits(state).find(x => x.process === p && state.heldBy(next, x.resource) > 0);
+    return { process: p, resource: w.resource, holder: next, edges: [waitEdge(p, w.resource), assignEdge(next, w.resource)] };
+  });
+}
+
+// "P1 waits for R2, held by P2, which waits for R1, held by P1"
+function narrateCycle(state, cycle) {
+  return cycleHops(state, cycle)
+    .map((h, i) => `${i ? 'which waits' : `${h.process} waits`} for ${h.resource}, held by ${h.holder}`)
+    .join(', ');
+}
+
+// A copy of the state with a queued request granted (every part of an atomic one), as the
+// avoidance check tries it
+function trialGrant(state, req, resource, queueIndex) {
+  const next = RAGState.from(state.serialize());
+  const queued = req.group ? state.groupEntries(req.group) : [{ resource, index: queueIndex }];
+  queued.forEach(e => next.waitingRequests[e.resource].splice(e.index, 1));
+  next.grantParts(req.process, state.requestParts(req, resource));
+  return next;
+}
+
+// Why each queued request that would fit is held back by the avoidance strategy
+function explainDenials(state) {
+  if (!state.avoidance) return [];
+  const out = [], explained = new Set();
+  for (const r of state.resources) {
+    (state.waitingRequests[r.name] || []).forEach((q, i) => {
+      if (explained.has(q.group)) return;
+      const parts = state.requestParts(q, r.name);
+      if (!state.fits(parts) || state.checkAvoidance(q.process, r.name, q.count, i).ok) return;
+      if (q.group) explained.add(q.group);
+      const next = trialGrant(state, q, r.name, i);
+      const head = q.group
+        ? `${q.process} waits for ${listNames(Object.entries(parts).map(([res, n]) => units(n, res)))} together although all of it is free`
+        : `${q.process} waits for ${units(q.count, r.name)} although ${state.availableOf(r.name)} ${state.availableOf(r.name) === 1 ? 'is' : 'are'} free`;
+      const highlight = { nodes: [q.process, ...Object.keys(parts)], edges: Object.keys(parts).map(res => waitEdge(q.process, res)) };
+      if (state.avoidanceStrategy === 'banker') {
+        const s = RAGState.bankersSafety(next);
+        const work = Object.entries(s.work).map(([res, n]) => `${res}=${n}`).join(', ');
+        const needs = s.stuck.map(p => `${p} may still need ${listNames(state.resources.filter(x => next.needOf(p, x.name) > s.work[x.name]).map(x => units(next.needOf(p, x.name), x.name)))}`);
+        const done = s.sequence.length ? `only ${listNames(s.sequence)} could be sure to finish, leaving Work ${work}` : `nobody could be sure to finish with Work ${work}`;
+        out.push({ process: q.process, resource: r.name, count: q.count, highlight: { ...highlight, nodes: [...new Set([...highlight.nodes, ...s.stuck])] },
+          text: `${head}: Banker's algorithm denies it. After the grant ${done}; ${listNames(needs)}. That state is unsafe.` });
+      } else {
+        const cyc = RAGState.detectDeadlock(next);
+        out.push({ process: q.process, resource: r.name, count: q.count, highlight: { ...highlight, nodes: [...new Set([...highlight.nodes, ...cyc.involved])] },
+          text: `${head}: granting it would close the wait-for cycle ${cyc.cycles.map(c => [...c, c[0]].join(' → ')).join('; ')}, so cycle avoidance keeps it waiting.` });
+      }
+    });
+  }
+  return out;
+}
+
+// Everything the panel shows for a state: {verdict, conditions, sentences}. Sentences come in
+// narration order (verdict, conditions, each cycle hop by hop, denials), each {text, highlight}.
+function explainState(state) {
+  const conditions = coffmanConditions(state);
+  const dead = RAGState.findDeadlock(state);
+  const cyc = RAGState.detectDeadlock(state);
+  const broken = conditions.filter(c => !c.holds).map(c => c.label.toLowerCase());
+  const held = conditions.filter(c => c.holds).map(c => c.label.toLowerCase());
+  const none = { nodes: [], edges: [] };
+
+  // A policy or recovery that preempts breaks no preemption even while a deadlock is present
+  const deadConditions = broken.length
+    ? `${listNames(held)} hold, but ${listNames(broken)} ${broken.length === 1 ? 'does' : 'do'} not, so the deadlock can still be broken`
+    : 'all four conditions hold';
+  const verdict = dead.hasDeadlock
+    ? { text: `Step ${state.step}: ${listNames(dead.involved)} ${dead.involved.length === 1 ? 'is' : 'are'} deadlocked; ${deadConditions}.`, highlight: { nodes: dead.involved, edges: [] } }
+    : broken.length
+      ? { text: `Step ${state.step}: no deadlock, because ${listNames(broken)} ${broken.length === 1 ? 'does' : 'do'} not hold.`, highlight: none }
+      : { text: `Step ${state.step}: all four conditions hold, but there is no deadlock: the cycle can still be broken by a process outside it.`, highlight: none };
+
+  const sentences = [verdict];
+  for (const c of conditions) sentences.push({ text: `${c.label} ${c.holds ? 'holds' : 'does not hold'}. ${c.text}`, highlight: c.highlight, condition: c.key });
+
+  for (const cycle of cyc.cycles) {
+    const hops = cycleHops(state, cycle);
+    sentences.push({ text: `${narrateCycle(state, cycle)}.`, highlight: { nodes: cycle, edges: hops.flatMap(h => h.edges) } });
+    hops.forEach((h, i) => sentences.push({
+      text: `${i + 1}. ${h.process} waits for ${h.resource}, which ${h.holder} holds.`,
+      highlight: { nodes: [h.process, h.resource, h.holder], edges: h.edges }
+    }));
+    if (cycle.every(p => dead.involved.includes(p))) {
+      sentences.push({ text: `Each of ${listNames(cycle)} needs a unit another one of them holds, so none can continue.`, highlight: { nodes: cycle, edges: [] } });
+    } else {
+      const red = RAGState.detectByReduction(state);
+      const outside = red.order.filter(p => !cycle.includes(p));
+      sentences.push({
+        text: `This cycle is not a deadlock: ${outside.length ? `${listNames(outside)} ${outside.length === 1 ? 'is' : 'are'} outside it and can finish, releasing units the cycle waits for` : 'a unit it waits for can still come free'} (graph reduction finishes ${red.order.join(', ')}).`,
+        highlight: { nodes: outside, edges: [] }
+      });
+    }
+  }
+  for (const d of explainDenials(state)) sentences.push({ text: d.text, highlight: d.highlight });
+  return { verdict: verdict.text, conditions, sentences };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { COFFMAN_CONDITIONS, coffmanConditions, narrateCycle, explainDenials, explainState };
+}
@@ -0,0 +1,151 @@
+/* Interleaving explorer: a breadth-first search over the orders in which the queued events and
+   the processes' scripts can run, to find out whether any of them reaches a wait-for cycle. The
+   queued order and the scheduler's order are only one of them, so a scenario can look safe when
+   run and still deadlock under another order.
+
+   Each event runs as stepForward runs a due event; a script step runs the process's next request
+   or release, or finishes its script. `at` times are ignored, compute and delay take no time,
+   recovery is switched off and states that differ only in timing (step numbers, wait times, logs)
+   count as the same state. Breadth-first order makes the first cycle found one reached by the
+   fewest steps. */
+
+// Event fields that say what it does
+function eventKey(evt) {
+  return evt.resources ? `${evt.type} ${evt.process} ${formatParts(evt.resources)}` : `${evt.type} ${evt.process} ${evt.count} ${evt.resource}`;
+}
+
+// Position of the next script instruction that touches resources, past any compute or delay;
+// past the end when the script has nothing left but finishing
+function nextInstructionAt(p) {
+  let pc = p.pc;
+  while (p.script[pc] && (p.script[pc].op === 'compute' || p.script[pc].op === 'delay')) pc++;
+  return pc;
+}
+
+// What may run next: queued events and one script step per scripted process that is not
+// waiting. With program order kept, that is the first remaining event of each process that is
+// not waiting (a blocked process issues nothing until it is granted); otherwise every event,
+// identical events only once. A script always runs in program order.
+function nextChoices(state, perProcess) {
+  const seen = new Set(), out = [];
+  state.eventQueue.forEach((evt) => {
+    const key = perProcess ? evt.process : eventKey(evt);
+    if (seen.has(key)) return;
+    seen.add(key);
+    if (!perProcess || !state.isWaiting(evt.process)) out.push(evt);
+  });
+  for (const p of state.processes) {
+    if (!p.script.length || !isLive(p) || state.isWaiting(p.name)) continue;
+    out.push({ type: 'run', process: p.name, instruction: p.script[nextInstructionAt(p)] || null });
+  }
+  return out;
+}
+
+// What decides a state's future: holdings, queues in order, finished or aborted processes,
+// script positions and the events left (per process in program order, or as a multiset)
+function stateKey(state, perProcess) {
+  const held = state.resources.map(r => Object.entries(state.assignments[r.name] || {}).filter(([, n]) => n > 0).map(([p, n]) => `${p}:${n}`).sort().join(','));
+  const queues = state.resources.map(r => (state.waitingRequests[r.name] || [])
+    .map(q => `${q.process}:${q.group ? formatParts(state.requestParts(q, r.name)) : q.count}`).join(','));
+  const ended = state.processes.filter(p => !isLive(p)).map(p => `${p.name}:${p.state}`);
+  const scripts = state.processes.filter(p => p.script.length && isLive(p)).map(p => `${p.name}@${nextInstructionAt(p)}`);
+  const left = state.eventQueue.map(eventKey);
+  if (perProcess) {
+    const names = [...new Set(state.eventQueue.map(e => e.process))].sort();
+    left.splice(0, left.length, ...names.map(n => state.eventQueue.filter(e => e.process === n).map(eventKey).join(';')));
+  } else left.sort();
+  return JSON.stringify([held, queues, ended, scripts, left]);
+}
+
+// The copy of a state the search starts from
+function explorationRoot(state) {
+  const root = RAGState.from(state.serialize());
+  root.eventQueue.forEach(e => delete e.at);
+  root.recovery.enabled = false;
+  root.distributed.mode = 'off';
+  return root;
+}
+
+// A state with one choice run now: the first queued event like it, or the process's next
+// script instruction (compute and delay skipped)
+function runChoice(state, choice) {
+  const next = RAGState.from(state.serialize());
+  if (choice.type === 'run') {
+    const p = next.getProcess(choice.process);
+    p.pc = nextInstructionAt(p);
+    p.remaining = 0;
+    next.step += 1;
+    next.runInstruction(p);
+    next.refreshProcessStates();
+  } else {
+    const index = next.eventQueue.findIndex(e => eventKey(e) === eventKey(choice));
+    next.eventQueue.unshift(...next.eventQueue.splice(index, 1));
+    next.stepForward();
+  }
+  return next;
+}
+
+// The snapshots of running `order` from the start. The queue is rearranged into the order's events
+// first, so that while the order runs events, stepping forward in the simulator replays it.
+function counterexampleTrace(root, order) {
+  let state = RAGState.from(root.serialize());
+  const rest = [...state.eventQueue];
+  state.eventQueue = order.filter(c => c.type !== 'run')
+    .map(evt => rest.splice(rest.findIndex(e => eventKey(e) === eventKey(evt)), 1)[0]).concat(rest);
+  state.logs.push(`Explorer: replaying ${order.length} step${order.length === 1 ? '' : 's'} in the order that reaches a wait-for cycle`);
+  const trace = [state.serialize()];
+  for (const choice of order) {
+    state = runChoice(state, choice);
+    trace.push(state.serialize());
+  }
+  return trace;
+}
+
+// Search every order of the queued events and script steps. Options: perProcess keeps each
+// process's events in their queued order; maxStates bounds the distinct states visited. Returns
+// {deadlock, complete, explored, pruned, depth, cycles, order, trace}: order and trace describe a
+// shortest counterexample (null when none was found), complete is false when maxStates cut the
+// search short.
+function exploreInterleavings(state, { perProcess = true, maxStates = 20000 } = {}) {
+  const root = explorationRoot(state);
+  const seen = new Set([stateKey(root, perProcess)]);
+  let frontier = [{ state: root, order: [] }];
+  let pruned = 0, depth = 0;
+  const found = (node) => {
+    const cyc = RAGState.detectDeadlock(node.state);
+    return { deadlock: true, complete: true, explored: seen.size, pruned, depth: node.order.length, cycles: cyc.cycles,
+      order: node.order, trace: counterexampleTrace(root, node.order) };
+  };
+  if (RAGState.detectDeadlock(root).hasCycle) return found(frontier[0]);
+
+  while (frontier.length) {
+    const next = [];
+    for (const node of frontier) {
+      for (const choice of nextChoices(node.state, perProcess)) {
+        const child = { state: runChoice(node.state, choice), order: [...node.order, choice] };
+        const key = stateKey(child.state, perProcess);
+        if (seen.has(key)) { pruned++; continue; }
+        if (seen.size >= maxStates) return { deadlock: false, complete: false, explored: seen.size, pruned, depth, cycles: [], order: null, trace: null };
+        seen.add(key);
+        if (RAGState.detectDeadlock(child.state).hasCycle) return found(child);
+        next.push(child);
+      }
+    }
+    if (next.length) depth++;
+    frontier = next;
+  }
+  return { deadlock: false, complete: true, explored: seen.size, pruned, depth, cycles: [], order: null, trace: null };
+}
+
+// One line per step of a counterexample, in scenario-script form, e.g. "P2 request R1 1" for an
+// event and "P1 runs request R1 1" or "P1 finishes" for a script step
+function describeOrder(order) {
+  return order.map((evt) => {
+    if (evt.type === 'run') return evt.instruction ? `${evt.process} runs ${formatInstruction(evt.instruction)}` : `${evt.process} finishes`;
+    return `${evt.process} ${evt.type} ${evt.resources ? Object.entries(evt.resources).map(([r, n]) => `${r} ${n}`).join(' + ') : `${evt.resource} ${evt.count}`}`;
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { exploreInterleavings, describeOrder };
+}
@@ -0,0 +1,167 @@
+/* Vector and animated exports of the graph */
+
+// Records the subset of the Canvas 2D API that Renderer uses and emits equivalent SVG,
+// so the SVG export is drawn by the very same routines as the canvas.
+class SVGContext {
+  constructor(width, height) {
+    this.width = width; this.height = height;
+    this.parts = [];
+    this.path = '';
+    this.stack = [];
+    this.fillStyle = '#000'; this.strokeStyle = '#000'; this.lineWidth = 1;
+    this.font = '10px sans-serif'; this.textAlign = 'start';
+    this.lineDash = [];
+  }
+  save() { this.stack.push({ fillStyle: this.fillStyle, strokeStyle: this.strokeStyle, lineWidth: this.lineWidth, font: this.font, textAlign: this.textAlign, lineDash: this.lineDash }); }
+  restore() { if (this.stack.length) Object.assign(this, this.stack.pop()); }
+  setLineDash(d) { this.lineDash = d.slice(); }
+  setTransform() {}
+  clearRect() { this.parts = []; }
+  beginPath() { this.path = ''; }
+  closePath() { this.path += 'Z'; }
+  moveTo(x, y) { this.path += `M${svgNum(x)} ${svgNum(y)}`; }
+  lineTo(x, y) { this.path += `L${svgNum(x)} ${svgNum(y)}`; }
+  quadraticCurveTo(cx, cy, x, y) { this.path += `Q${svgNum(cx)} ${svgNum(cy)} ${svgNum(x)} ${svgNum(y)}`; }
+  rect(x, y, w, h) { this.path += `M${svgNum(x)} ${svgNum(y)}h${svgNum(w)}v${svgNum(h)}h${svgNum(-w)}Z`; }
+  roundRect(x, y, w, h, r) {
+    this.path += `M${svgNum(x + r)} ${svgNum(y)}H${svgNum(x + w - r)}A${r} ${r} 0 0 1 ${svgNum(x + w)} ${svgNum(y + r)}V${svgNum(y + h - r)}`
+      + `A${r} ${r} 0 0 1 ${svgNum(x + w - r)} ${svgNum(y + h)}H${svgNum(x + r)}A${r} ${r} 0 0 1 ${svgNum(x)} ${svgNum(y + h - r)}`
+      + `V${svgNum(y + r)}A${r} ${r} 0 0 1 ${svgNum(x + r)} ${svgNum(y)}Z`;
+  }
+  arc(x, y, r, a0, a1) {
+    const pt = a => `${svgNum(x + r * Math.cos(a))} ${svgNum(y + r * Math.sin(a))}`;
+    this.path += `${this.path ? 'L' : 'M'}${pt(a0)}`;
+    if (a1 - a0 >= Math.PI * 2 - 1e-6) {
+      // A full circle needs two half arcs
+      this.path += `A${svgNum(r)} ${svgNum(r)} 0 1 1 ${pt(a0 + Math.PI)}A${svgNum(r)} ${svgNum(r)} 0 1 1 ${pt(a0)}`;
+    } else {
+      this.path += `A${svgNum(r)} ${svgNum(r)} 0 ${a1 - a0 > Math.PI ? 1 : 0} 1 ${pt(a1)}`;
+    }
+  }
+  fill() { this.parts.push(`<path d="${this.path}" fill="${svgEsc(this.fillStyle)}"/>`); }
+  stroke() {
+    const dash = this.lineDash.length ? ` stroke-dasharray="${this.lineDash.join(' ')}"` : '';
+    this.parts.push(`<path d="${this.path}" fill="none" stroke="${svgEsc(this.strokeStyle)}" stroke-width="${this.lineWidth}"${dash}/>`);
+  }
+  fillRect(x, y, w, h) { this.parts.push(`<rect x="${svgNum(x)}" y="${svgNum(y)}" width="${svgNum(w)}" height="${svgNum(h)}" fill="${svgEsc(this.fillStyle)}"/>`); }
+  fillText(text, x, y) {
+    const anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+    this.parts.push(`<text x="${svgNum(x)}" y="${svgNum(y)}" fill="${svgEsc(this.fillStyle)}" text-anchor="${anchor}" style="font: ${svgEsc(this.font)}">${svgEsc(text)}</text>`);
+  }
+  toString() {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">\n${this.parts.join('\n')}\n</svg>\n`;
+  }
+}
+
+function svgNum(v) { return Math.round(v * 100) / 100; }
+function svgEsc(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
+
+const EXPORT_BACKGROUND = '#0b1020';
+
+// SVG markup for a state, drawn with the renderer's layout and styles
+function renderSVG(renderer, state) {
+  const { w, h } = renderer.size();
+  const svg = new SVGContext(w, h);
+  svg.fillStyle = EXPORT_BACKGROUND; svg.fillRect(0, 0, w, h);
+  renderer.renderTo(svg, state, w, h);
+  return svg.toString();
+}
+
+// Paint one history snapshot onto a 2D context with the step number and last log line burned in
+function drawFrame(renderer, ctx, snapshot, w, h) {
+  const state = RAGState.from(snapshot);
+  ctx.fillStyle = EXPORT_BACKGROUND; ctx.fillRect(0, 0, w, h);
+  renderer.renderTo(ctx, state, w, h);
+  const last = state.logs.length ? state.logs[state.logs.length - 1] : '';
+  ctx.save();
+  ctx.fillStyle = 'rgba(12,18,48,.85)'; ctx.fillRect(0, h - 28, w, 28);
+  ctx.fillStyle = '#e8ecff'; ctx.font = 'bold 12px ui-monospace, monospace'; ctx.textAlign = 'left';
+  ctx.fillText(`Step ${state.step}`, 10, h - 10);
+  ctx.fillStyle = '#9aa5d1'; ctx.font = '12px ui-monospace, monospace';
+  ctx.fillText(last.length > 110 ? `${last.slice(0, 107)}...` : last, 90, h - 10);
+  ctx.restore();
+}
+
+function frameCanvas(renderer) {
+  const { w, h } = renderer.size();
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.floor(w * renderer.pixelRatio); canvas.height = Math.floor(h * renderer.pixelRatio);
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(renderer.pixelRatio, 0, 0, renderer.pixelRatio, 0, 0);
+  return { canvas, ctx, w, h };
+}
+
+// Every snapshot as a PNG, packed into one ZIP archive (rag_frame_0000.png, …) so the export is
+// a single download however long the history is
+async function exportFramesZip(renderer, history, onProgress) {
+  const { canvas, ctx, w, h } = frameCanvas(renderer);
+  const files = [];
+  for (let i = 0; i < history.length; i++) {
+    drawFrame(renderer, ctx, history[i], w, h);
+    const blob = await new Promise(res => canvas.toBlob(res, 'image/png'));
+    files.push({ name: `rag_frame_${String(i).padStart(4, '0')}.png`, data: new Uint8Array(await blob.arrayBuffer()) });
+    if (onProgress) onProgress(i + 1, history.length);
+  }
+  return zipStore(files);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// A ZIP archive of {name, data: Uint8Array} entries, stored without compression (PNGs are
+// already compressed)
+function zipStore(files) {
+  const parts = [], central = [];
+  let offset = 0;
+  // Little-endian fields written at the given byte offsets, followed by the name
+  const record = (size, fields, name) => {
+    const bytes = new Uint8Array(size + name.length), view = new DataView(bytes.buffer);
+    for (const [at, width, value] of fields) width === 4 ? view.setUint32(at, value, true) : view.setUint16(at, value, true);
+    bytes.set(name, size);
+    return bytes;
+  };
+  for (const f of files) {
+    const name = new TextEncoder().encode(f.name);
+    const crc = crc32(f.data), len = f.data.length;
+    // version 2.0, UTF-8 name flag, stored, dated 1980-01-01 (the earliest ZIP date)
+    parts.push(record(30, [[0, 4, 0x04034B50], [4, 2, 20], [6, 2, 0x0800], [12, 2, 0x21], [14, 4, crc], [18, 4, len], [22, 4, len], [26, 2, name.length]], name), f.data);
+    central.push(record(46, [[0, 4, 0x02014B50], [4, 2, 20], [6, 2, 20], [8, 2, 0x0800], [14, 2, 0x21], [16, 4, crc], [20, 4, len], [24, 4, len], [28, 2, name.length], [42, 4, offset]], name));
+    offset += 30 + name.length + len;
+  }
+  const size = central.reduce((n, e) => n + e.length, 0);
+  const end = record(22, [[0, 4, 0x06054B50], [8, 2, files.length], [10, 2, files.length], [12, 4, size], [16, 4, offset]], new Uint8Array(0));
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+// Record every snapshot into a WebM video, holding each frame for frameMs
+async function exportWebM(renderer, history, frameMs, onProgress) {
+  if (typeof MediaRecorder === 'undefined') throw new Error('This browser cannot record video (MediaRecorder missing)');
+  const mime = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(t => MediaRecorder.isTypeSupported(t));
+  if (!mime) throw new Error('This browser cannot record WebM video');
+  const { canvas, ctx, w, h } = frameCanvas(renderer);
+  const stream = canvas.captureStream(30);
+  const recorder = new MediaRecorder(stream, { mimeType: mime });
+  const chunks = [];
+  recorder.ondataavailable = e => { if (e.data.size) chunks.push(e.data); };
+  const stopped = new Promise(res => { recorder.onstop = res; });
+  drawFrame(renderer, ctx, history[0], w, h);
+  recorder.start();
+  for (let i = 0; i < history.length; i++) {
+    drawFrame(renderer, ctx, history[i], w, h);
+    if (onProgress) onProgress(i + 1, history.length);
+    await new Promise(res => setTimeout(res, frameMs));
+  }
+  recorder.stop();
+  await stopped;
+  stream.getTracks().forEach(t => t.stop());
+  return new Blob(chunks, { type: 'video/webm' });
+}
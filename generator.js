@@ -0,0 +1,182 @@
+/* Seeded random scenarios: the same seed and parameters always produce the same scenario document */
+
+const GENERATOR_DEFAULTS = {
+  seed: 1,
+  processes: 4,
+  resources: 3,
+  minInstances: 1,
+  maxInstances: 2,
+  density: 0.4,
+  holdAndWait: 0.6,
+  bias: 'none'
+};
+
+const GENERATOR_BIASES = {
+  none: 'No bias',
+  deadlock: 'Deadlocks when played',
+  safe: 'Safe (never deadlocks)'
+};
+
+// Candidates drawn before giving up on a bias
+const GENERATOR_MAX_ATTEMPTS = 500;
+
+// mulberry32, the same generator RAGState.random uses for the random scheduler
+function seededRandom(seed) {
+  let s = seed | 0;
+  return () => {
+    s = (s + 0x6D2B79F5) | 0;
+    let t = Math.imul(s ^ (s >>> 15), 1 | s);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Returns a list of human-readable problems; empty when the parameters are usable
+function validateGeneratorParams(params) {
+  const errors = [];
+  const intIn = (key, lo, hi) => {
+    const v = params[key];
+    if (!Number.isInteger(v) || v < lo || v > hi) errors.push(`${key} must be an integer between ${lo} and ${hi}`);
+  };
+  const fraction = key => {
+    const v = params[key];
+    if (typeof v !== 'number' || !(v >= 0 && v <= 1)) errors.push(`${key} must be a number between 0 and 1`);
+  };
+  if (!Number.isInteger(params.seed)) errors.push('seed must be an integer');
+  intIn('processes', 1, 16);
+  intIn('resources', 1, 16);
+  intIn('minInstances', 1, 9);
+  intIn('maxInstances', 1, 9);
+  if (params.maxInstances < params.minInstances) errors.push('maxInstances must not be below minInstances');
+  fraction('density');
+  fraction('holdAndWait');
+  if (!GENERATOR_BIASES[params.bias]) errors.push(`bias must be one of ${Object.keys(GENERATOR_BIASES).join(', ')}`);
+  return errors;
+}
+
+// Fisher-Yates with the seeded stream; Array.sort with a random comparator is engine-dependent
+function shuffled(list, rng) {
+  const out = list.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// Merge per-process event lists in a random order, keeping each process's own order
+function interleave(lists, rng) {
+  const queues = lists.filter(l => l.length).map(l => l.slice());
+  const out = [];
+  while (queues.length) {
+    const i = Math.floor(rng() * queues.length);
+    out.push(queues[i].shift());
+    if (!queues[i].length) queues.splice(i, 1);
+  }
+  return out;
+}
+
+// One candidate. Hold-and-wait processes start out holding units of one resource and request
+// at least one more; every process requests each resource with probability `density`, never
+// more than it could ever get, and releases everything it claimed once all requests are queued.
+function drawScenario(p, rng) {
+  const int = (lo, hi) => lo + Math.floor(rng() * (hi - lo + 1));
+  const resources = Array.from({ length: p.resources }, (_, i) => ({ name: `R${i + 1}`, instances: int(p.minInstances, p.maxInstances) }));
+  const free = Object.fromEntries(resources.map(r => [r.name, r.instances]));
+  const processes = [], assignments = {}, requests = [], releases = [];
+
+  for (let i = 0; i < p.processes; i++) {
+    const name = `P${i + 1}`;
+    const claims = Object.fromEntries(resources.map(r => [r.name, 0]));
+    if (rng() < p.holdAndWait) {
+      const avail = resources.filter(r => free[r.name] > 0);
+      if (avail.length) {
+        const r = avail[int(0, avail.length - 1)], n = int(1, free[r.name]);
+        free[r.name] -= n;
+        claims[r.name] = n;
+        (assignments[r.name] = assignments[r.name] || {})[name] = n;
+      }
+    }
+    const holding = Object.values(claims).some(n => n > 0);
+    const order = shuffled(resources, rng);
+    const own = [];
+    for (const r of order) {
+      const room = r.instances - claims[r.name];
+      if (room > 0 && rng() < p.density) own.push({ type: 'request', process: name, resource: r.name, count: int(1, room) });
+    }
+    if (holding && !own.length) {
+      const open = order.filter(r => r.instances > claims[r.name]);
+      if (open.length) {
+        const r = open[0];
+        own.push({ type: 'request', process: name, resource: r.name, count: int(1, r.instances - claims[r.name]) });
+      }
+    }
+    own.forEach(e => { claims[e.resource] += e.count; });
+    requests.push(own);
+    releases.push(resources.filter(r => claims[r.name] > 0)
+      .map(r => ({ type: 'release', process: name, resource: r.name, count: claims[r.name] })));
+    processes.push({ name, maxClaims: claims });
+  }
+
+  return {
+    format: SCENARIO_FORMAT, version: SCENARIO_VERSION,
+    processes, resources, assignments,
+    events: [...interleave(requests, rng), ...interleave(releases, rng)]
+  };
+}
+
+// Play a candidate with auto-grant until nothing more happens; the step a deadlock first
+// appears, or null. Events run FIFO, so the outcome does not depend on the scheduler.
+function firstDeadlockStep(doc) {
+  const st = scenarioToState(doc);
+  const limit = doc.events.length * 4 + 10;
+  for (let i = 0; i <= limit; i++) {
+    if (RAGState.findDeadlock(st).hasDeadlock) return st.step;
+    if (st.isQuiescent()) return null;
+    st.stepForward();
+  }
+  return null;
+}
+
+function matchesBias(doc, bias) {
+  if (bias === 'none') return true;
+  const deadlockAt = firstDeadlockStep(doc);
+  if (bias === 'deadlock') return deadlockAt !== null;
+  return deadlockAt === null && RAGState.bankersSafety(scenarioToState(doc)).safe;
+}
+
+// Build a scenario document from a seed and parameters (missing ones take GENERATOR_DEFAULTS).
+// With a bias, candidates are drawn from the same seeded stream until one matches, so the
+// result is still fully determined by the parameters. Throws ScenarioError on bad parameters
+// or when no candidate matches the bias.
+function generateScenario(params = {}) {
+  const p = Object.fromEntries(Object.entries(GENERATOR_DEFAULTS).map(([k, v]) => [k, params[k] === undefined ? v : params[k]]));
+  const errors = validateGeneratorParams(p);
+  if (errors.length) throw new ScenarioError(errors);
+  const rng = seededRandom(p.seed);
+  for (let attempt = 1; attempt <= GENERATOR_MAX_ATTEMPTS; attempt++) {
+    const doc = drawScenario(p, rng);
+    if (!matchesBias(doc, p.bias)) continue;
+    const biasNote = p.bias === 'none' ? '' : `; ${GENERATOR_BIASES[p.bias].toLowerCase()}, attempt ${attempt}`;
+    const { format, version, ...body } = doc;
+    return {
+      format, version,
+      id: `random-${p.seed}`,
+      name: `Random #${p.seed}`,
+      description: `${p.processes} processes, ${p.resources} resources${biasNote}`,
+      generator: p,
+      ...body
+    };
+  }
+  throw new ScenarioError([`No scenario matching "${GENERATOR_BIASES[p.bias]}" in ${GENERATOR_MAX_ATTEMPTS} attempts; try other parameters`]);
+}
+
+// One-line summary of generator parameters, as shown in the UI and the CLI
+function describeGenerator(g) {
+  const inst = g.minInstances === g.maxInstances ? `${g.minInstances}` : `${g.minInstances}-${g.maxInstances}`;
+  return `seed ${g.seed}, ${g.processes} processes, ${g.resources} resources x${inst}, density ${g.density}, hold-and-wait ${g.holdAndWait}, bias ${g.bias}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GENERATOR_DEFAULTS, GENERATOR_BIASES, validateGeneratorParams, generateScenario, describeGenerator };
+}
@@ -0,0 +1,66 @@
+/* Node entry point: the simulation core, scenario files and the scenario language without a DOM,
+   plus a runner that steps a simulation to completion (used by cli.js) */
+
+const core = require('./rag-core.js');
+// scenario.js and dsl.js are written as browser scripts that find the core in globals
+Object.assign(globalThis, core);
+const scenario = require('./scenario.js');
+// generator.js builds its candidates through scenario.js
+Object.assign(globalThis, scenario);
+const dsl = require('./dsl.js');
+const permalink = require('./permalink.js');
+const workspace = require('./workspace.js');
+const { SAMPLE_SCENARIOS } = require('./samples/scenarios.js');
+const compare = require('./compare.js');
+const generator = require('./generator.js');
+// experiments.js reuses the comparison strategies and the generator
+Object.assign(globalThis, compare, generator);
+const experiments = require('./experiments.js');
+const metrics = require('./metrics.js');
+const explain = require('./explain.js');
+// Registers the distributed detector as a step hook
+const distributed = require('./distributed.js');
+const explorer = require('./explorer.js');
+// exercises.js grades through the scenario language and quotes CSV like the experiments do
+Object.assign(globalThis, dsl, experiments);
+const exercises = require('./exercises.js');
+const { SAMPLE_EXERCISES } = require('./samples/exercises.js');
+
+const { RAGState } = core;
+
+// Build a state from file contents: a JSON scenario or trace (resumed from its last snapshot),
+// or scenario-language text. Throws ScenarioError describing every problem.
+function loadText(text, fileName = '') {
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+    const imp = scenario.parseImport(text);
+    return imp.kind === 'trace' ? RAGState.from(imp.history[imp.history.length - 1]) : imp.state;
+  }
+  const { state, errors } = dsl.parseDSL(text);
+  if (!state) throw new scenario.ScenarioError(errors.map(e => e.message));
+  return state;
+}
+
+// Step a simulator for exactly `steps` steps, or until it is quiescent (at most maxSteps).
+// Reports the first step at which a deadlock was present, even if recovery later broke it.
+function run(sim, { steps, maxSteps = 10000, autoGrant = true } = {}) {
+  const options = { autoGrant };
+  const limit = steps === undefined ? maxSteps : steps;
+  let taken = 0;
+  let firstDeadlock = RAGState.findDeadlock(sim.state).hasDeadlock ? sim.state.step : null;
+  while (taken < limit && (steps !== undefined || !sim.state.isQuiescent(options))) {
+    sim.stepForward(options);
+    taken++;
+    if (firstDeadlock === null && RAGState.findDeadlock(sim.state).hasDeadlock) firstDeadlock = sim.state.step;
+  }
+  const final = RAGState.findDeadlock(sim.state);
+  return {
+    steps: taken,
+    quiescent: sim.state.isQuiescent(options),
+    firstDeadlock,
+    deadlocked: final.hasDeadlock,
+    involved: final.involved,
+    cycles: final.cycles
+  };
+}
+
+module.exports = { ...core, ...scenario, ...dsl, ...permalink, ...workspace, ...compare, ...generator, ...experiments, ...metrics, ...explain, ...distributed, ...explorer, ...exercises, SAMPLE_SCENARIOS, SAMPLE_EXERCISES, loadText, run };
@@ -0,0 +1,162 @@
+/* Graph layout algorithms. Each place() returns {nodeName: {x, y}} inside a w x h box. */
+
+// Directed RAG edges: request P->R for queued requests, assignment R->P for holdings
+function ragEdges(state) {
+  const edges = [];
+  for (const r of state.resources) {
+    for (const p of Object.keys(state.assignments[r.name] || {})) edges.push([r.name, p]);
+    for (const req of state.waitingRequests[r.name] || []) edges.push([req.process, r.name]);
+  }
+  return edges;
+}
+
+function nodeNames(state) {
+  return [...state.processes.map(p => p.name), ...state.resources.map(r => r.name)];
+}
+
+// Processes on the left, resources on the right
+function placeColumns(state, w, h, margin) {
+  const pos = {};
+  const leftX = margin + 80;
+  const rightX = Math.max(w - margin - 80, leftX + 260);
+  const pSpacing = Math.max(60, (h - 2 * margin) / Math.max(1, state.processes.length));
+  const rSpacing = Math.max(60, (h - 2 * margin) / Math.max(1, state.resources.length));
+  state.processes.forEach((p, i) => { pos[p.name] = { x: leftX, y: margin + (i + 0.5) * pSpacing }; });
+  state.resources.forEach((r, i) => { pos[r.name] = { x: rightX, y: margin + (i + 0.5) * rSpacing }; });
+  return pos;
+}
+
+// One circle; each wait-for cycle is laid out contiguously as P, R it waits on, next P, ...
+// so a deadlock reads as an arc. Remaining processes are followed by the resources they hold.
+function placeCircular(state, w, h, margin) {
+  const order = [], seen = new Set();
+  const add = n => { if (n && !seen.has(n)) { seen.add(n); order.push(n); } };
+  const linking = (p, q) => state.resources.find(r =>
+    (state.waitingRequests[r.name] || []).some(req => req.process === p) && state.heldBy(q, r.name) > 0);
+  for (const cycle of RAGState.detectDeadlock(state).cycles) {
+    cycle.forEach((p, i) => {
+      add(p);
+      const r = linking(p, cycle[(i + 1) % cycle.length]);
+      if (r) add(r.name);
+    });
+  }
+  for (const p of state.processes) {
+    add(p.name);
+    state.resources.forEach(r => { if (state.heldBy(p.name, r.name) > 0) add(r.name); });
+  }
+  state.resources.forEach(r => add(r.name));
+  const cx = w / 2, cy = h / 2, radius = Math.max(40, Math.min(w, h) / 2 - margin - 20);
+  const pos = {};
+  order.forEach((n, i) => {
+    const a = -Math.PI / 2 + (2 * Math.PI * i) / Math.max(1, order.length);
+    pos[n] = { x: cx + radius * Math.cos(a), y: cy + radius * Math.sin(a) };
+  });
+  return pos;
+}
+
+// Sugiyama-style: break cycles, assign longest-path layers left to right, then reorder each
+// layer by the barycenter of its neighbours to reduce edge crossings
+function placeLayered(state, w, h, margin) {
+  const names = nodeNames(state), edges = ragEdges(state);
+  const out = {}, adj = {};
+  names.forEach(n => { out[n] = []; adj[n] = new Set(); });
+  edges.forEach(([a, b]) => { out[a].push(b); adj[a].add(b); adj[b].add(a); });
+
+  // DFS: edges into the current stack are back edges and are ignored for layering
+  const dag = {}, mark = {};
+  names.forEach(n => { dag[n] = []; });
+  const visit = (u) => {
+    mark[u] = 1;
+    for (const v of out[u]) {
+      if (mark[v] === 1) continue;
+      dag[u].push(v);
+      if (!mark[v]) visit(v);
+    }
+    mark[u] = 2;
+  };
+  names.forEach(n => { if (!mark[n]) visit(n); });
+
+  const layer = {};
+  const depth = (u) => {
+    if (layer[u] !== undefined) return layer[u];
+    layer[u] = 0;
+    const preds = names.filter(p => dag[p].includes(u));
+    layer[u] = preds.length ? Math.max(...preds.map(depth)) + 1 : 0;
+    return layer[u];
+  };
+  names.forEach(depth);
+  // Isolated nodes keep the process/resource split
+  names.forEach(n => { if (!adj[n].size) layer[n] = state.getResource(n) ? 1 : 0; });
+
+  const layers = [];
+  names.forEach(n => { (layers[layer[n]] = layers[layer[n]] || []).push(n); });
+  const filled = layers.filter(Boolean);
+  const index = {};
+  const reindex = () => filled.forEach(l => l.forEach((n, i) => { index[n] = (i + 0.5) / l.length; }));
+  reindex();
+  const bary = n => {
+    const ns = [...adj[n]];
+    return ns.length ? ns.reduce((a, m) => a + index[m], 0) / ns.length : index[n];
+  };
+  for (let sweep = 0; sweep < 6; sweep++) {
+    const seq = sweep % 2 ? filled.slice().reverse() : filled;
+    seq.forEach(l => {
+      const b = Object.fromEntries(l.map(n => [n, bary(n)]));
+      l.sort((x, y) => b[x] - b[y]);
+      l.forEach((n, i) => { index[n] = (i + 0.5) / l.length; });
+    });
+  }
+
+  const pos = {};
+  const colW = (w - 2 * margin) / filled.length;
+  filled.forEach((l, li) => {
+    const rowH = (h - 2 * margin) / l.length;
+    l.forEach((n, i) => { pos[n] = { x: margin + (li + 0.5) * colW, y: margin + (i + 0.5) * rowH }; });
+  });
+  return pos;
+}
+
+// Fruchterman-Reingold from a deterministic circular start, so the same graph lays out the same way
+function placeForce(state, w, h, margin) {
+  const names = nodeNames(state), edges = ragEdges(state);
+  const pos = placeCircular(state, w, h, margin);
+  const n = Math.max(1, names.length);
+  const k = 0.55 * Math.sqrt(((w - 2 * margin) * (h - 2 * margin)) / n);
+  const iterations = 150;
+  for (let it = 0; it < iterations; it++) {
+    const temp = (Math.min(w, h) / 8) * (1 - it / iterations) + 1;
+    const disp = Object.fromEntries(names.map(m => [m, { x: 0, y: 0 }]));
+    for (let i = 0; i < names.length; i++) {
+      for (let j = i + 1; j < names.length; j++) {
+        const a = pos[names[i]], b = pos[names[j]];
+        let dx = a.x - b.x, dy = a.y - b.y;
+        if (dx === 0 && dy === 0) { dx = 0.1 * (i - j); dy = 0.1; }
+        const d = Math.hypot(dx, dy), f = (k * k) / d;
+        disp[names[i]].x += (dx / d) * f; disp[names[i]].y += (dy / d) * f;
+        disp[names[j]].x -= (dx / d) * f; disp[names[j]].y -= (dy / d) * f;
+      }
+    }
+    for (const [a, b] of edges) {
+      const dx = pos[a].x - pos[b].x, dy = pos[a].y - pos[b].y;
+      const d = Math.hypot(dx, dy) || 0.1, f = (d * d) / k;
+      disp[a].x -= (dx / d) * f; disp[a].y -= (dy / d) * f;
+      disp[b].x += (dx / d) * f; disp[b].y += (dy / d) * f;
+    }
+    for (const m of names) {
+      // Mild pull toward the centre keeps disconnected parts on screen
+      disp[m].x += (w / 2 - pos[m].x) * 0.05 * k / 100;
+      disp[m].y += (h / 2 - pos[m].y) * 0.05 * k / 100;
+      const d = Math.hypot(disp[m].x, disp[m].y) || 1, step = Math.min(d, temp);
+      pos[m].x = Math.max(margin, Math.min(w - margin, pos[m].x + (disp[m].x / d) * step));
+      pos[m].y = Math.max(margin, Math.min(h - margin, pos[m].y + (disp[m].y / d) * step));
+    }
+  }
+  return pos;
+}
+
+const LAYOUTS = {
+  columns: { label: 'Two columns', place: placeColumns },
+  circular: { label: 'Circular (cycles grouped)', place: placeCircular },
+  layered: { label: 'Layered (fewer crossings)', place: placeLayered },
+  force: { label: 'Force-directed', place: placeForce }
+};
@@ -0,0 +1,81 @@
+/* Metrics over a whole timeline: per-resource utilization and queue length, per-process blocking,
+   holding and starvation, computed from the recorded snapshots */
+
+// A queued process passed over at least this many times counts as starving
+const STARVATION_SKIPS = 3;
+
+// Names in order of first appearance across the snapshots
+function namesAcross(history, key) {
+  const seen = new Set();
+  for (const snap of history) for (const x of snap[key]) seen.add(x.name);
+  return [...seen];
+}
+
+const held = (snap, r, p) => (snap.assignments[r] || {})[p] || 0;
+const waitsFor = (snap, r, p) => (snap.waitingRequests[r] || []).some(q => q.process === p);
+
+// Series are indexed by snapshot (null where the node does not exist yet or any more). Totals
+// count simulation steps, so edits recorded between steps add nothing: a step counts as blocked
+// or holding when the process was in that state at its end. A process is skipped when it waited
+// on a resource across a step in which that resource went to someone else (from the queue by
+// tryGrantWaiting, or straight to a fresh request).
+function computeMetrics(history) {
+  const resources = namesAcross(history, 'resources').map(name => ({ name, utilization: [], queueLength: [] }));
+  const processes = namesAcross(history, 'processes').map(name => ({
+    name, blocked: [], blockedSteps: 0, longestWait: 0, holdingSteps: {}, skips: 0, starving: false
+  }));
+  const waitRun = {};
+
+  history.forEach((snap, i) => {
+    const prev = i > 0 ? history[i - 1] : null;
+    const dt = prev ? Math.max(0, snap.step - prev.step) : 0;
+    for (const r of resources) {
+      const res = snap.resources.find(x => x.name === r.name);
+      if (!res) { r.utilization.push(null); r.queueLength.push(null); continue; }
+      const used = Object.values(snap.assignments[r.name] || {}).reduce((a, n) => a + n, 0);
+      r.utilization.push(res.total ? used / res.total : 0);
+      r.queueLength.push((snap.waitingRequests[r.name] || []).length);
+    }
+    for (const p of processes) {
+      const proc = snap.processes.find(x => x.name === p.name);
+      if (!proc) { p.blocked.push(null); waitRun[p.name] = 0; continue; }
+      const blocked = proc.state === 'blocked';
+      p.blocked.push(blocked ? 1 : 0);
+      if (!dt) continue;
+      if (blocked) {
+        p.blockedSteps += dt;
+        waitRun[p.name] = (waitRun[p.name] || 0) + dt;
+        p.longestWait = Math.max(p.longestWait, waitRun[p.name]);
+      } else waitRun[p.name] = 0;
+      for (const r of snap.resources) {
+        if (held(snap, r.name, p.name)) p.holdingSteps[r.name] = (p.holdingSteps[r.name] || 0) + dt;
+        if (!waitsFor(prev, r.name, p.name) || !waitsFor(snap, r.name, p.name)) continue;
+        const others = snap.processes.some(o => o.name !== p.name && held(snap, r.name, o.name) > held(prev, r.name, o.name));
+        if (others) p.skips++;
+      }
+    }
+  });
+  for (const p of processes) p.starving = p.skips >= STARVATION_SKIPS;
+  return { snapshots: history.length, steps: history.map(s => s.step), resources, processes };
+}
+
+// Small line chart of one series; nulls leave gaps. max defaults to the largest value (at least 1).
+function drawSparkline(ctx, w, h, values, { max, color = '#7aa2ff' } = {}) {
+  const top = max || Math.max(1, ...values.filter(v => v !== null));
+  const x = i => (values.length > 1 ? (i / (values.length - 1)) * (w - 2) + 1 : w / 2);
+  const y = v => h - 1 - (v / top) * (h - 2);
+  ctx.clearRect(0, 0, w, h);
+  ctx.strokeStyle = color; ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  let open = false;
+  values.forEach((v, i) => {
+    if (v === null) { open = false; return; }
+    if (open) ctx.lineTo(x(i), y(v)); else ctx.moveTo(x(i), y(v));
+    open = true;
+  });
+  ctx.stroke();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { STARVATION_SKIPS, computeMetrics };
+}
@@ -0,0 +1,68 @@
+/* Permalinks: the serialized state, deflated and base64url-encoded into the URL hash as
+   #s=v1.<data>, so a link reopens the state it was made from (including the step). Only the
+   last log lines go in, and the distributed detector's messages and detections are left out, so
+   a link stays short however long the run was; the detector starts afresh when the link opens. */
+
+const PERMALINK_PREFIX = '#s=';
+const PERMALINK_VERSION = 1;
+const PERMALINK_LOG_LINES = 20;
+
+// Run bytes through a CompressionStream or DecompressionStream
+async function pipeBytes(bytes, transform) {
+  const out = new Response(new Blob([bytes]).stream().pipeThrough(transform));
+  return new Uint8Array(await out.arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Null when the text is not base64url
+function fromBase64Url(text) {
+  if (!/^[A-Za-z0-9_-]*$/.test(text) || text.length % 4 === 1) return null;
+  const bin = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+function isPermalink(hash) { return typeof hash === 'string' && hash.startsWith(PERMALINK_PREFIX); }
+
+// The snapshot a link carries: the state without the parts that grow with the run
+function permalinkSnapshot(state) {
+  const snap = state.serialize();
+  snap.logs = (snap.logs || []).slice(-PERMALINK_LOG_LINES);
+  if (snap.distributed) delete snap.distributed.net;
+  return snap;
+}
+
+// URL hash (with the leading #) for a state
+async function encodePermalink(state) {
+  const json = new TextEncoder().encode(JSON.stringify(permalinkSnapshot(state)));
+  const packed = await pipeBytes(json, new CompressionStream('deflate-raw'));
+  return `${PERMALINK_PREFIX}v${PERMALINK_VERSION}.${toBase64Url(packed)}`;
+}
+
+// The state a permalink hash describes. Throws ScenarioError when the link is not a permalink,
+// comes from another format version, or was cut short or otherwise damaged.
+async function decodePermalink(hash) {
+  if (!isPermalink(hash)) throw new ScenarioError(['This link does not contain a scenario']);
+  const m = /^v(\d+)\.(.*)$/s.exec(hash.slice(PERMALINK_PREFIX.length));
+  if (!m) throw new ScenarioError(['This link has no format version: it is damaged or comes from an older version of the app']);
+  const version = Number(m[1]);
+  if (version > PERMALINK_VERSION) throw new ScenarioError([`This link was made by a newer version of the app (format v${version}); this page reads v${PERMALINK_VERSION}`]);
+  if (version !== PERMALINK_VERSION) throw new ScenarioError([`This link uses format v${version}, which is no longer supported; this page reads v${PERMALINK_VERSION}`]);
+  const damaged = new ScenarioError(['This link is incomplete or damaged (was it cut off when copied?)']);
+  const packed = fromBase64Url(m[2]);
+  if (!packed || !packed.length) throw damaged;
+  let snap;
+  try { snap = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(await pipeBytes(packed, new DecompressionStream('deflate-raw')))); }
+  catch (err) { throw damaged; }
+  const errors = validateSnapshot(snap, 'state');
+  if (errors.length) throw new ScenarioError(errors);
+  return RAGState.from(snap);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PERMALINK_PREFIX, PERMALINK_VERSION, PERMALINK_LOG_LINES, isPermalink, encodePermalink, decodePermalink };
+}
@@ -0,0 +1,1123 @@
+/* Simulation core: the RAG model, deadlock detection/avoidance and step history.
+   No DOM access, so it also loads in Node (see headless.js). */
+
+function deepClone(obj) {
+  if (typeof structuredClone === 'function') return structuredClone(obj);
+  return JSON.parse(JSON.stringify(obj));
+}
+
+class Process {
+  constructor(name, priority = 0) {
+    this.name = name; this.state = 'ready'; this.maxClaims = {}; this.priority = Number(priority) || 0;
+    this.script = []; this.pc = 0; this.remaining = 0; // program, next instruction, ticks left in compute/delay
+    this.site = ''; // site in a distributed system ('' = the default site)
+  }
+}
+class Resource {
+  constructor(name, instances = 1) { this.name = name; this.total = Math.max(1, Number(instances) || 1); this.discipline = 'first-fit'; this.site = ''; }
+}
+
+// Terminated (aborted) and finished (script completed) processes take no further part
+function isLive(p) { return p.state !== 'terminated' && p.state !== 'finished'; }
+
+// Process, resource and site names: one token of the scenario language made of letters, digits,
+// '_', '.' and '-', so a name can never be read as markup where the page displays it
+function isNodeName(name) { return typeof name === 'string' && /^[\w.-]+$/.test(name); }
+
+// Script instructions, written the way the scenario language spells them:
+// request R n | release R [n] | release all | compute n | delay n
+function formatInstruction(ins) {
+  if (ins.op === 'request') return `request ${ins.resource} ${ins.count || 1}`;
+  if (ins.op === 'release') return `release ${ins.resource}${ins.count ? ` ${ins.count}` : ''}`;
+  if (ins.op === 'release-all') return 'release all';
+  return `${ins.op} ${ins.ticks}`;
+}
+
+// Resource counts of a request event: {R: n}, or the `resources` vector of an atomic request
+function eventParts(evt) { return evt.resources ? evt.resources : { [evt.resource]: evt.count || 1 }; }
+// "1 CPU + 1 IO"
+function formatParts(parts) { return Object.entries(parts).map(([r, n]) => `${n} ${r}`).join(' + '); }
+
+class RAGState {
+  constructor() {
+    this.processes = [];
+    this.resources = [];
+    this.assignments = {};
+    this.waitingRequests = {};
+    this.eventQueue = [];
+    this.step = 0;
+    this.logs = [];
+    this.avoidance = false;
+    this.avoidanceStrategy = 'cycle';
+    this.recovery = { enabled: false, policy: 'fewest-held', action: 'terminate' };
+    this.detection = 'reduction';
+    this.nodePositions = {};
+    this.scheduler = 'round-robin';
+    this.seed = 1;
+    this.rngState = 1;
+    this.rrNext = 0;
+    this.generator = null;
+    this.queueing = { aging: 0, starvationSteps: 10 }; // aging: boost per step waited; starvationSteps: 0 = off
+    this.prevention = 'none';
+    // Distributed detection (see distributed.js): latency in steps between sites, interval
+    // between probe starts or coordinator reports; the detector's messages live in `net`
+    this.distributed = { mode: 'off', latency: 3, interval: 4, coordinator: '' };
+  }
+  //Assign Processess and resources by name
+  getProcess(name) { return this.processes.find(p => p.name === name); }
+  getResource(name) { return this.resources.find(r => r.name === name); }
+  ensureResourceMaps(resName) {
+    if (!this.assignments[resName]) this.assignments[resName] = {};
+    if (!this.waitingRequests[resName]) this.waitingRequests[resName] = [];
+  }
+
+  // Return number of available instances of resource
+  availableOf(resName) {
+    const r = this.getResource(resName);
+    if (!r) return 0;
+    const assigned = Object.values(this.assignments[resName] || {}).reduce((a,b)=>a+b,0);
+    return r.total - assigned;
+  }
+
+  // Units of a resource currently held by a process
+  heldBy(procName, resName) { return (this.assignments[resName] || {})[procName] || 0; }
+
+  // Declared maximum claim; an undeclared claim is assumed to be the whole resource
+  maxOf(procName, resName) {
+    const p=this.getProcess(procName), r=this.getResource(resName);
+    if (!p || !r) return 0;
+    const m=p.maxClaims[resName];
+    return m===undefined ? r.total : Math.min(m, r.total);
+  }
+  needOf(procName, resName) { return Math.max(0, this.maxOf(procName, resName) - this.heldBy(procName, resName)); }
+  setMaxClaim(procName, resName, max) {
+    const p=this.getProcess(procName), r=this.getResource(resName);
+    if (!p || !r) return false;
+    p.maxClaims[resName]=Math.max(0, Math.min(r.total, Number(max)||0));
+    return true;
+  }
+
+  // Add a new process or resource
+  addProcess(name, priority=0) { if (!isNodeName(name) || this.getProcess(name)) return false; this.processes.push(new Process(name, priority)); return true; }
+  addResource(name, instances) { if (!isNodeName(name) || this.getResource(name)) return false; const res = new Resource(name, instances); this.resources.push(res); this.ensureResourceMaps(name); return true; }
+  removeAll() { this.processes=[]; this.resources=[]; this.assignments={}; this.waitingRequests={}; this.eventQueue=[]; this.step=0; this.logs=[]; this.nodePositions={}; }
+  enqueueEvent(evt) { this.eventQueue.push(evt); }
+
+  // Remove a single process together with its holdings, queued requests and events
+  removeProcess(name) {
+    const p=this.getProcess(name); if (!p) return false;
+    const taken=this.takeHoldings(name);
+    for (const r of this.resources) this.waitingRequests[r.name]=(this.waitingRequests[r.name]||[]).filter(req=>req.process!==name);
+    this.eventQueue=this.eventQueue.filter(e=>e.process!==name);
+    this.processes=this.processes.filter(x=>x!==p);
+    delete this.nodePositions[name];
+    this.logs.push(`Removed process ${name}`);
+    Object.keys(taken).forEach(r=>this.tryGrantWaiting(r));
+    this.refreshProcessStates();
+    return true;
+  }
+
+  // Remove a single resource; processes waiting only on it become ready
+  removeResource(name) {
+    const r=this.getResource(name); if (!r) return false;
+    this.resources=this.resources.filter(x=>x!==r);
+    delete this.assignments[name]; delete this.waitingRequests[name];
+    this.eventQueue=this.eventQueue.filter(e=>eventParts(e)[name]===undefined);
+    for (const p of this.processes) delete p.maxClaims[name];
+    delete this.nodePositions[name];
+    this.logs.push(`Removed resource ${name}`);
+    this.refreshProcessStates();
+    return true;
+  }
+
+  // Rename a process or resource everywhere it is referenced
+  rename(oldName, newName) {
+    if (!isNodeName(newName) || oldName===newName || this.getProcess(newName) || this.getResource(newName)) return false;
+    const p=this.getProcess(oldName), r=this.getResource(oldName);
+    if (!p && !r) return false;
+    const key=p ? 'process' : 'resource';
+    if (p) {
+      p.name=newName;
+      for (const res of this.resources){
+        const held=this.assignments[res.name]||{};
+        if (oldName in held){ held[newName]=held[oldName]; delete held[oldName]; }
+        (this.waitingRequests[res.name]||[]).forEach(req=>{ if (req.process===oldName) req.process=newName; });
+      }
+    } else {
+      r.name=newName;
+      this.assignments[newName]=this.assignments[oldName]||{}; delete this.assignments[oldName];
+      this.waitingRequests[newName]=this.waitingRequests[oldName]||[]; delete this.waitingRequests[oldName];
+      for (const proc of this.processes){
+        if (oldName in proc.maxClaims){ proc.maxClaims[newName]=proc.maxClaims[oldName]; delete proc.maxClaims[oldName]; }
+        proc.script.forEach(ins=>{ if (ins.resource===oldName) ins.resource=newName; });
+      }
+    }
+    this.eventQueue.forEach(e=>{
+      if (e[key]===oldName) e[key]=newName;
+      if (r && e.resources && oldName in e.resources) e.resources=Object.fromEntries(Object.entries(e.resources).map(([k,n])=>[k===oldName?newName:k,n]));
+    });
+    if (this.nodePositions[oldName]){ this.nodePositions[newName]=this.nodePositions[oldName]; delete this.nodePositions[oldName]; }
+    this.logs.push(`Renamed ${key} ${oldName} -> ${newName}`);
+    return true;
+  }
+
+  // Change a resource's instance count; it cannot drop below what is currently assigned
+  setInstances(resName, total) {
+    const r=this.getResource(resName); if (!r) return {ok:false, reason:'Invalid resource'};
+    total=Math.max(1, Number(total)||1);
+    const assigned=r.total-this.availableOf(resName);
+    if (total<assigned) return {ok:false, reason:`${assigned} units of ${resName} are assigned`};
+    r.total=total;
+    for (const p of this.processes) if (p.maxClaims[resName]>total) p.maxClaims[resName]=total;
+    this.logs.push(`Resized ${resName} to ${total} instances (avail ${this.availableOf(resName)})`);
+    this.tryGrantWaiting(resName);
+    this.refreshProcessStates();
+    return {ok:true};
+  }
+
+  // Directly assign free units to a process (a setup edit, not a request)
+  assign(procName, resName, count=1) {
+    const p=this.getProcess(procName), r=this.getResource(resName);
+    if (!p || !r || p.state==='terminated') return {ok:false, reason:'Invalid process or resource'};
+    count=Math.max(1, Number(count)||1);
+    if (this.availableOf(resName)<count) return {ok:false, reason:`only ${this.availableOf(resName)} of ${resName} available`};
+    this.assignments[resName][procName]=this.heldBy(procName, resName)+count;
+    this.logs.push(`Assigned: ${procName} <- ${count} ${resName} (avail ${this.availableOf(resName)})`);
+    return {ok:true};
+  }
+
+  // Withdraw a process's queued requests for a resource; an atomic request is withdrawn as a whole
+  cancelRequest(procName, resName) {
+    const q=this.waitingRequests[resName]||[];
+    const kept=q.filter(req=>req.process!==procName);
+    if (kept.length===q.length) return false;
+    const groups=new Set(q.filter(req=>req.process===procName && req.group).map(req=>req.group));
+    this.waitingRequests[resName]=kept;
+    for (const r of this.resources) this.waitingRequests[r.name]=(this.waitingRequests[r.name]||[]).filter(req=>!groups.has(req.group));
+    this.logs.push(`Cancelled: ${procName} no longer waits for ${resName}`);
+    this.refreshProcessStates();
+    return true;
+  }
+
+  // Queue a request; `since` is the step it started waiting, for aging and starvation
+  enqueueRequest(procName, resName, count, group) {
+    const req={process:procName, count, since:this.step};
+    if (group) req.group=group;
+    this.waitingRequests[resName].push(req);
+    return req;
+  }
+  // Queue an atomic request as one entry per resource, linked by a shared group id
+  enqueueGroup(procName, parts) {
+    const used=this.resources.flatMap(r=>(this.waitingRequests[r.name]||[]).map(q=>Number(String(q.group||'').slice(1))||0));
+    const group=`g${Math.max(0, ...used)+1}`;
+    for (const [r,n] of Object.entries(parts)) this.enqueueRequest(procName, r, n, group);
+    return group;
+  }
+  waitedFor(req) { return this.step-(req.since||0); }
+  // Queue entries of an atomic request: [{resource, index, req}]
+  groupEntries(group) {
+    const out=[];
+    for (const r of this.resources) (this.waitingRequests[r.name]||[]).forEach((req,index)=>{ if (req.group===group) out.push({resource:r.name, index, req}); });
+    return out;
+  }
+  // What a queued request asks for as {resName: count}: every part of an atomic request
+  requestParts(req, resName) {
+    return req.group ? Object.fromEntries(this.groupEntries(req.group).map(e=>[e.resource, e.req.count])) : {[resName]:req.count};
+  }
+  fits(parts) { return Object.entries(parts).every(([r,n])=>this.availableOf(r)>=n); }
+  grantParts(procName, parts) {
+    for (const [r,n] of Object.entries(parts)) this.assignments[r][procName]=this.heldBy(procName, r)+n;
+  }
+
+  // Waiting requests of a resource in the order its discipline serves them. Aging adds
+  // queueing.aging per step waited to a priority, or takes it off a request size.
+  queueOrder(resName) {
+    const r=this.getResource(resName), q=(this.waitingRequests[resName]||[]).slice();
+    const aged=req=>this.queueing.aging*this.waitedFor(req);
+    const prio=req=>{ const p=this.getProcess(req.process); return (p ? p.priority : 0)+aged(req); };
+    if (r && r.discipline==='priority') return q.map((req,i)=>({req,i})).sort((a,b)=>prio(b.req)-prio(a.req) || a.i-b.i).map(x=>x.req);
+    if (r && r.discipline==='srf') return q.map((req,i)=>({req,i})).sort((a,b)=>(a.req.count-aged(a.req))-(b.req.count-aged(b.req)) || a.i-b.i).map(x=>x.req);
+    return q;
+  }
+  // First-fit grants any waiter that fits; the other disciplines only ever serve the front of
+  // their order, so a request that does not fit holds back everyone behind it
+  isStrictQueue(resName) { const r=this.getResource(resName); return !!r && r.discipline!=='first-fit'; }
+  setDiscipline(resName, discipline) {
+    const r=this.getResource(resName);
+    if (!r || !RAGState.queueDisciplines[discipline]) return false;
+    r.discipline=discipline;
+    this.logs.push(`Queue discipline of ${resName}: ${RAGState.queueDisciplines[discipline]}`);
+    this.tryGrantWaiting(resName);
+    this.refreshProcessStates();
+    return true;
+  }
+
+  // Log each queued request the first time it has waited more than queueing.starvationSteps.
+  // Deadlocked processes are left out: they are not starving, nothing can serve them.
+  flagStarvation() {
+    const limit=this.queueing.starvationSteps; if (!limit) return;
+    let dead=null;
+    for (const r of this.resources) for (const req of this.waitingRequests[r.name]||[]) {
+      if (req.starved || this.waitedFor(req)<=limit) continue;
+      if (!dead) dead=new Set(RAGState.findDeadlock(this).involved);
+      if (dead.has(req.process)) continue;
+      req.starved=true;
+      if (req.group && this.groupEntries(req.group).some(e=>e.req!==req && e.req.starved)) continue;
+      this.logs.push(`Starvation: ${req.process} has waited ${this.waitedFor(req)} steps for ${formatParts(this.requestParts(req, r.name))}`);
+    }
+  }
+  isStarving(procName) { return this.resources.some(r=>(this.waitingRequests[r.name]||[]).some(req=>req.process===procName && req.starved)); }
+
+  isWaiting(procName) { return this.resources.some(r=>(this.waitingRequests[r.name]||[]).some(req=>req.process===procName)); }
+
+  // A process is blocked while any of its requests is queued (terminated and finished processes stay so)
+  refreshProcessStates() {
+    for (const p of this.processes){
+      if (!isLive(p)) continue;
+      p.state=this.isWaiting(p.name)?'blocked':'ready';
+    }
+  }
+  clearEvents() { this.eventQueue = []; }
+
+  // Request a resource for a process
+  request(procName, resName, count=1, options={enqueueIfBlocked:true}) {
+    const p=this.getProcess(procName), r=this.getResource(resName);
+    if (!p || !r) return {ok:false,reason:'Invalid process or resource'};
+    if (!isLive(p)){ this.logs.push(`Ignored: ${procName} is ${p.state}`); return {ok:false,reason:`Process ${p.state}`}; }
+    this.ensureResourceMaps(resName);
+    count=Math.max(1, Number(count)||1);
+    const rule=this.checkPrevention(procName, resName);
+    if (!rule.ok){
+      this.logs.push(`Rejected: ${procName} request ${count} ${resName} violates ${rule.rule}: ${rule.reason}`);
+      return {ok:false, rejected:true, rule:rule.rule, reason:rule.reason};
+    }
+    const excess=this.claimExcess(procName, {[resName]:count});
+    if (excess){
+      this.logs.push(`Rejected: ${procName} request ${count} ${resName} ${excess}`);
+      return {ok:false, rejected:true, reason:excess};
+    }
+    const avail=this.availableOf(resName);
+    const canGrant=avail>=count;
+    if (canGrant) {
+      const chk=this.checkAvoidance(procName, resName, count);
+      if (!chk.ok) {
+        this.logs.push(`Avoided: granting ${count} ${resName} to ${procName} ${chk.reason}`);
+        if (chk.fatal || !options.enqueueIfBlocked) return {ok:false, reason:chk.reason};
+        this.enqueueRequest(procName, resName, count);
+        p.state='blocked';
+        this.logs.push(`Blocked: ${procName} waiting for ${count} ${resName} (denied by avoidance)`);
+        this.preemptOnBlock(procName);
+        return {ok:true, granted:false, queued:true, denied:true};
+      }
+      const ahead=this.waitingRequests[resName].length;
+      if (ahead && this.isStrictQueue(resName)) {
+        // Others are already waiting: join the queue and let the discipline decide who goes first
+        if (!options.enqueueIfBlocked) return {ok:false, reason:`${ahead} earlier request(s) are queued for ${resName}`};
+        const req=this.enqueueRequest(procName, resName, count);
+        p.state='blocked';
+        this.logs.push(`Queued: ${procName} waits for ${count} ${resName} with ${ahead} earlier request(s) (${RAGState.queueDisciplines[r.discipline]})`);
+        this.tryGrantWaiting(resName);
+        const granted=!this.waitingRequests[resName].includes(req);
+        if (!granted) this.preemptOnBlock(procName);
+        return {ok:true, granted, queued:!granted};
+      }
+      if (!this.assignments[resName][procName]) this.assignments[resName][procName]=0;
+      this.assignments[resName][procName]+=count;
+      this.logs.push(`Granted: ${procName} <- ${count} ${resName} (avail ${this.availableOf(resName)})`);
+      if (chk.sequence) this.logs.push(`Safe sequence: <${chk.sequence.join(', ')}>`);
+      return {ok:true, granted:true};
+    } else {
+      if (options.enqueueIfBlocked) {
+        this.enqueueRequest(procName, resName, count);
+        p.state='blocked';
+        this.logs.push(`Blocked: ${procName} waiting for ${count} ${resName}`);
+        this.preemptOnBlock(procName);
+        return {ok:true, granted:false, queued:true};
+      }
+      return {ok:false, reason:'Insufficient resources and not enqueued'};
+    }
+  }
+
+  // Request several resources at once (an AND request): either every part is granted together,
+  // or the whole request waits as linked entries in each resource's queue. Nothing is ever
+  // granted in part, so the process cannot end up holding some parts while waiting for others.
+  requestAll(procName, parts, options={enqueueIfBlocked:true}) {
+    const names=Object.keys(parts);
+    if (names.length===1) return this.request(procName, names[0], parts[names[0]], options);
+    const p=this.getProcess(procName);
+    if (!p || !names.length || names.some(r=>!this.getResource(r))) return {ok:false,reason:'Invalid process or resource'};
+    if (!isLive(p)){ this.logs.push(`Ignored: ${procName} is ${p.state}`); return {ok:false,reason:`Process ${p.state}`}; }
+    names.forEach(r=>this.ensureResourceMaps(r));
+    parts=Object.fromEntries(names.map(r=>[r, Math.max(1, Number(parts[r])||1)]));
+    const what=formatParts(parts);
+    for (const r of names) {
+      const rule=this.checkPrevention(procName, r);
+      if (!rule.ok){
+        this.logs.push(`Rejected: ${procName} request ${what} violates ${rule.rule}: ${rule.reason}`);
+        return {ok:false, rejected:true, rule:rule.rule, reason:rule.reason};
+      }
+    }
+    const excess=this.claimExcess(procName, parts);
+    if (excess){
+      this.logs.push(`Rejected: ${procName} request ${what} ${excess}`);
+      return {ok:false, rejected:true, reason:excess};
+    }
+    const ahead=names.some(r=>this.waitingRequests[r].length && this.isStrictQueue(r));
+    let denied=false;
+    if (this.fits(parts) && !ahead) {
+      const chk=this.checkAvoidanceParts(procName, parts);
+      if (chk.ok) {
+        this.grantParts(procName, parts);
+        this.logs.push(`Granted: ${procName} <- ${what} (all at once)`);
+        if (chk.sequence) this.logs.push(`Safe sequence: <${chk.sequence.join(', ')}>`);
+        return {ok:true, granted:true};
+      }
+      this.logs.push(`Avoided: granting ${what} to ${procName} ${chk.reason}`);
+      if (chk.fatal || !options.enqueueIfBlocked) return {ok:false, reason:chk.reason};
+      denied=true;
+    } else if (!options.enqueueIfBlocked) return {ok:false, reason:'Insufficient resources and not enqueued'};
+    const group=this.enqueueGroup(procName, parts);
+    p.state='blocked';
+    this.logs.push(`Blocked: ${procName} waiting for ${what} (all or nothing${denied ? ', denied by avoidance' : ''})`);
+    if (ahead) names.forEach(r=>this.tryGrantWaiting(r));
+    const granted=!this.groupEntries(group).length;
+    if (!granted) this.preemptOnBlock(procName);
+    return {ok:true, granted, queued:!granted, denied};
+  }
+
+  // Site of a process or resource; nodes without one are at the default site
+  siteOf(name) { const n=this.getProcess(name)||this.getResource(name); return (n && n.site) || RAGState.defaultSite; }
+  // Sites in use, in order of first appearance (processes first)
+  sites() { return [...new Set([...this.processes, ...this.resources].map(n=>this.siteOf(n.name)))]; }
+  setSite(name, site) {
+    const n=this.getProcess(name)||this.getResource(name), s=String(site||'').trim();
+    if (!n || (s && !isNodeName(s))) return false;
+    n.site=s===RAGState.defaultSite ? '' : s;
+    this.logs.push(`Site: ${name} is now at site ${this.siteOf(name)}`);
+    return true;
+  }
+
+  // 1-based position of a resource in the global order used by the ordering policy
+  resourceRank(resName) { return this.resources.findIndex(r=>r.name===resName)+1; }
+  // Move a resource earlier (delta<0) or later in the order
+  moveResource(resName, delta) {
+    const i=this.resources.findIndex(r=>r.name===resName), j=i+delta;
+    if (i===-1 || j<0 || j>=this.resources.length) return false;
+    const [r]=this.resources.splice(i,1); this.resources.splice(j,0,r);
+    this.logs.push(`Order: ${resName} is now #${j+1} of ${this.resources.map(x=>x.name).join(' < ')}`);
+    return true;
+  }
+
+  // Check a new request against the prevention policy. Ordering rejects a request for a resource
+  // ordered before one the process holds; no-hold-and-wait rejects any request made while holding.
+  checkPrevention(procName, resName) {
+    if (this.prevention==='ordering') {
+      const rank=this.resourceRank(resName);
+      const higher=this.resources.filter(r=>this.resourceRank(r.name)>rank && this.heldBy(procName, r.name)>0);
+      if (higher.length) return {ok:false, rule:'resource ordering', reason:`${procName} holds ${higher.map(r=>`${r.name} (#${this.resourceRank(r.name)})`).join(', ')}, so it may not request ${resName} (#${rank})`};
+    } else if (this.prevention==='no-hold-and-wait') {
+      const held=this.resources.filter(r=>this.heldBy(procName, r.name)>0);
+      if (held.length) return {ok:false, rule:'no hold-and-wait', reason:`${procName} still holds ${held.map(r=>`${this.heldBy(procName, r.name)} ${r.name}`).join(', ')}; it must release everything before requesting`};
+    }
+    return {ok:true};
+  }
+  // Under the preempt policy a process that blocks gives up everything it holds: other waiters
+  // get the units first, then the process queues for them again behind its new request
+  preemptOnBlock(procName) {
+    if (this.prevention!=='preempt' || !this.heldTotal(procName)) return;
+    this.logs.push(`Prevention: ${procName} blocked while holding resources; preempting them`);
+    const taken=this.takeHoldings(procName);
+    Object.keys(taken).forEach(r=>this.tryGrantWaiting(r));
+    for (const [r,n] of Object.entries(taken)) this.enqueueRequest(procName, r, n);
+    this.logs.push(`Preempted: ${procName} lost ${Object.entries(taken).map(([r,n])=>`${n} ${r}`).join(', ')} (re-queued)`);
+  }
+
+  // Trial-grant a request on a copy of the state and check it against the avoidance strategy.
+  // queueIndex removes the matching waiting entry from the copy when granting from the queue;
+  // a queued atomic request is tried as a whole.
+  checkAvoidance(procName, resName, count, queueIndex=-1) {
+    const req=queueIndex>=0 ? this.waitingRequests[resName][queueIndex] : null;
+    if (req && req.group) return this.checkAvoidanceParts(procName, this.requestParts(req, resName), this.groupEntries(req.group));
+    return this.checkAvoidanceParts(procName, {[resName]:count}, req ? [{resource:resName, index:queueIndex}] : []);
+  }
+  // Under Banker's avoidance, how a request for {resName: count} parts asks for more than the
+  // process may still claim, or null. Such a request can never be granted (request > Need).
+  claimExcess(procName, parts) {
+    if (!this.avoidance || this.avoidanceStrategy!=='banker') return null;
+    const over=Object.keys(parts).find(r=>parts[r]>this.needOf(procName, r));
+    return over ? `exceeds its declared maximum claim${Object.keys(parts).length>1 ? ` on ${over}` : ''} (need ${this.needOf(procName, over)})` : null;
+  }
+  // Trial-grant {resName: count} parts together; `queued` lists the waiting entries they serve
+  checkAvoidanceParts(procName, parts, queued=[]) {
+    if (!this.avoidance) return {ok:true};
+    const excess=this.claimExcess(procName, parts);
+    if (excess) return {ok:false, fatal:true, reason:excess};
+    const next=RAGState.from(this.serialize());
+    for (const e of queued) next.waitingRequests[e.resource].splice(e.index,1);
+    next.grantParts(procName, parts);
+    if (this.avoidanceStrategy==='banker') {
+      const s=RAGState.bankersSafety(next);
+      if (!s.safe) {
+        const work=Object.entries(s.work).map(([r,n])=>`${r}=${n}`).join(', ');
+        return {ok:false, reason:`would leave an unsafe state: ${s.stuck.join(', ')} cannot finish (Work: ${work})`};
+      }
+      return {ok:true, sequence:s.sequence};
+    }
+    const cyc=RAGState.detectDeadlock(next);
+    if (cyc.hasCycle) return {ok:false, reason:`would create cycle: ${cyc.cycles.map(c=>c.join('->')).join(' | ')}`};
+    return {ok:true};
+  }
+
+  // Release a resource from a process
+  release(procName, resName, count=1) {
+    const p=this.getProcess(procName), r=this.getResource(resName);
+    if (!p || !r) return {ok:false,reason:'Invalid process or resource'};
+    this.ensureResourceMaps(resName);
+    count=Math.max(1, Number(count)||1);
+    const held=this.assignments[resName][procName]||0;
+    if (held<=0){ this.logs.push(`No-op: ${procName} holds 0 of ${resName}`); return {ok:true,released:0}; }
+    const rel=Math.min(count, held);
+    this.assignments[resName][procName]=held-rel;
+    if (this.assignments[resName][procName]===0) delete this.assignments[resName][procName];
+    this.logs.push(`Released: ${procName} -> ${rel} ${resName} (avail ${this.availableOf(resName)})`);
+    this.tryGrantWaiting(resName);
+    return {ok:true, released:rel};
+  }
+
+  // Take a queued request out of the queues, every part of an atomic one
+  dropQueued(req, resName) {
+    const entries=req.group ? this.groupEntries(req.group) : [{resource:resName, req}];
+    for (const e of entries) this.waitingRequests[e.resource].splice(this.waitingRequests[e.resource].indexOf(e.req),1);
+  }
+
+  // Try to grant waiting requests for a resource, in the order of its queue discipline. An atomic
+  // request only fits when every part does, and is then granted and dequeued everywhere at once.
+  // A request beyond the process's remaining claim under Banker's is dropped with a log line.
+  tryGrantWaiting(resName) {
+    this.ensureResourceMaps(resName);
+    const strict=this.isStrictQueue(resName);
+    let changed=false;
+    for (const req of this.queueOrder(resName)) {
+      const parts=this.requestParts(req, resName);
+      const excess=this.claimExcess(req.process, parts);
+      if (excess) {
+        // Queued before the claim was lowered or Banker's was switched on: it can never be granted
+        this.dropQueued(req, resName);
+        this.logs.push(`Dropped: ${req.process} request ${formatParts(parts)} ${excess}`);
+        const proc=this.getProcess(req.process); if (proc && isLive(proc) && !this.isWaiting(proc.name)) proc.state='ready';
+        changed=true;
+        continue;
+      }
+      if (!this.fits(parts)){ if (strict) break; continue; }
+      const i=this.waitingRequests[resName].indexOf(req);
+      const chk=this.checkAvoidance(req.process, resName, req.count, i);
+      if (!chk.ok) continue;
+      this.grantParts(req.process, parts);
+      this.dropQueued(req, resName);
+      if (req.group) {
+        this.logs.push(`Unblocked: ${req.process} granted ${formatParts(parts)} from queue (all at once)`);
+      } else {
+        this.logs.push(`Unblocked: ${req.process} granted ${req.count} ${resName} from queue`);
+      }
+      if (chk.sequence) this.logs.push(`Safe sequence: <${chk.sequence.join(', ')}>`);
+      const proc=this.getProcess(req.process); if (proc && !this.isWaiting(proc.name)) proc.state='ready';
+      changed=true;
+    }
+    return changed;
+  }
+
+  // Build the Wait-For Graph (WFG) from the current state. Each part of an atomic request that
+  // does not fit waits on that resource's holders; parts that fit add no edge.
+  static buildWFG(state) {
+    const adj={}; for (const p of state.processes) adj[p.name]=new Set();
+    for (const r of state.resources) {
+      const holders=Object.keys(state.assignments[r.name]||{});
+      const avail=state.availableOf(r.name);
+      for (const req of state.waitingRequests[r.name]||[]) {
+        if (avail>=req.count) continue;
+        for (const h of holders) adj[req.process].add(h);
+      }
+    }
+    const res={}; Object.keys(adj).forEach(k=>res[k]=Array.from(adj[k]));
+    return res;
+  }
+
+  // Detect cycles in the Wait-For Graph (WFG)
+  static detectCyclesInAdj(adj) {
+    const color={}, stack=[], cycles=[];
+    const WHITE=0, GRAY=1, BLACK=2;
+    Object.keys(adj).forEach(k=>color[k]=WHITE);
+    function dfs(u){
+      color[u]=GRAY; stack.push(u);
+      for (const v of adj[u]) {
+        if (color[v]===WHITE) dfs(v);
+        else if (color[v]===GRAY){
+          const idx=stack.lastIndexOf(v);
+          if (idx!==-1) cycles.push(stack.slice(idx));
+        }
+      }
+      stack.pop(); color[u]=BLACK;
+    }
+    for (const u of Object.keys(adj)) if (color[u]===WHITE) dfs(u);
+    const involved=new Set(); cycles.forEach(c=>c.forEach(x=>involved.add(x)));
+    return { hasCycle: cycles.length>0, cycles, involved: Array.from(involved) };
+  }
+
+  // Detect deadlock in the current state
+  static detectDeadlock(state) {
+    const wfg=RAGState.buildWFG(state);
+    const r=RAGState.detectCyclesInAdj(wfg);
+    return { hasCycle: r.hasCycle, cycles: r.cycles, involved: r.involved, wfg };
+  }
+
+  // Graph reduction (Coffman/Shoshani detection algorithm): repeatedly finish any process whose
+  // outstanding requests fit in Work and return its allocation. Processes left holding resources
+  // are deadlocked; those left holding nothing are only blocked behind them.
+  static detectByReduction(state) {
+    const res=state.resources.map(r=>r.name);
+    const work=Object.fromEntries(res.map(r=>[r,state.availableOf(r)]));
+    const requestOf=(p,r)=>(state.waitingRequests[r]||[]).reduce((a,q)=>a+(q.process===p?q.count:0),0);
+    const pending=state.processes.filter(isLive).map(p=>p.name), order=[];
+    let i;
+    while ((i=pending.findIndex(p=>res.every(r=>requestOf(p,r)<=work[r])))!==-1){
+      const p=pending.splice(i,1)[0];
+      res.forEach(r=>work[r]+=state.heldBy(p,r));
+      order.push(p);
+    }
+    const deadlocked=pending.filter(p=>state.heldTotal(p)>0);
+    const blocked=pending.filter(p=>state.heldTotal(p)===0);
+    return { hasDeadlock: deadlocked.length>0, deadlocked, blocked, order };
+  }
+
+  // Deadlock verdict from the selected detector ('reduction' or 'cycle'); cycles are always
+  // reported, restricted to deadlocked processes when reduction is used
+  static findDeadlock(state) {
+    const cyc=RAGState.detectDeadlock(state);
+    if (state.detection==='cycle') return { hasDeadlock: cyc.hasCycle, involved: cyc.involved, cycles: cyc.cycles, method: 'cycle' };
+    const red=RAGState.detectByReduction(state);
+    const dead=new Set(red.deadlocked);
+    return { hasDeadlock: red.hasDeadlock, involved: red.deadlocked, cycles: cyc.cycles.filter(c=>c.every(p=>dead.has(p))), order: red.order, blocked: red.blocked, method: 'reduction' };
+  }
+
+  // Banker's safety algorithm: repeatedly finish any process whose Need fits in Work
+  static bankersSafety(state) {
+    const res=state.resources.map(r=>r.name);
+    const work=Object.fromEntries(res.map(r=>[r,state.availableOf(r)]));
+    const pending=state.processes.filter(isLive).map(p=>p.name), sequence=[];
+    let progress=true;
+    while (pending.length && progress) {
+      progress=false;
+      const i=pending.findIndex(p=>res.every(r=>state.needOf(p,r)<=work[r]));
+      if (i!==-1) {
+        const p=pending.splice(i,1)[0];
+        res.forEach(r=>work[r]+=state.heldBy(p,r));
+        sequence.push(p); progress=true;
+      }
+    }
+    return { safe: pending.length===0, sequence, stuck: pending, work };
+  }
+
+  // Total units held by a process across all resources
+  heldTotal(procName) { return this.resources.reduce((a,r)=>a+this.heldBy(procName, r.name), 0); }
+
+  // Take every unit a process holds; returns {resName: count} of what was taken
+  takeHoldings(procName) {
+    const taken={};
+    for (const r of this.resources){
+      const held=this.heldBy(procName, r.name);
+      if (held>0){ taken[r.name]=held; delete this.assignments[r.name][procName]; }
+    }
+    return taken;
+  }
+
+  // Abort a process: free its holdings, drop its queued requests and mark it terminated
+  terminateProcess(procName) {
+    const p=this.getProcess(procName);
+    if (!p || !isLive(p)) return false;
+    const taken=this.takeHoldings(procName);
+    for (const r of this.resources) this.waitingRequests[r.name]=(this.waitingRequests[r.name]||[]).filter(req=>req.process!==procName);
+    p.state='terminated';
+    const freed=Object.entries(taken).map(([r,n])=>`${n} ${r}`).join(', ')||'nothing';
+    this.logs.push(`Terminated: ${procName} aborted, freed ${freed}`);
+    Object.keys(taken).forEach(r=>this.tryGrantWaiting(r));
+    return true;
+  }
+
+  // Preempt a process: take its holdings and re-queue them so it rolls back and re-acquires later
+  preemptProcess(procName) {
+    const p=this.getProcess(procName);
+    if (!p || !isLive(p)) return false;
+    const taken=this.takeHoldings(procName);
+    for (const [r,n] of Object.entries(taken)) this.enqueueRequest(procName, r, n);
+    if (Object.keys(taken).length) p.state='blocked';
+    const freed=Object.entries(taken).map(([r,n])=>`${n} ${r}`).join(', ')||'nothing';
+    this.logs.push(`Preempted: ${procName} rolled back, lost ${freed} (re-queued)`);
+    Object.keys(taken).forEach(r=>this.tryGrantWaiting(r));
+    return true;
+  }
+
+  // Break a deadlock by picking a victim with the configured policy and aborting or preempting it
+  recoverFromDeadlock() {
+    const dead=RAGState.findDeadlock(this);
+    if (!dead.hasDeadlock) return {ok:false, reason:'No deadlock'};
+    const policy=RAGState.victimPolicies[this.recovery.policy]||RAGState.victimPolicies['fewest-held'];
+    const victim=policy.select(this, dead.involved.slice());
+    if (!victim) return {ok:false, reason:'No victim selected'};
+    this.logs.push(`Recovery: victim ${victim} chosen by "${policy.label}" among ${dead.involved.join(', ')}`);
+    if (this.recovery.action==='preempt') this.preemptProcess(victim);
+    else this.terminateProcess(victim);
+    return {ok:true, victim, action:this.recovery.action};
+  }
+
+  // Seeded PRNG (mulberry32). Its state is part of the snapshot, so random schedules replay exactly.
+  random() {
+    this.rngState=(this.rngState+0x6D2B79F5)|0;
+    let t=Math.imul(this.rngState^(this.rngState>>>15), 1|this.rngState);
+    t=(t+Math.imul(t^(t>>>7), 61|t))^t;
+    return ((t^(t>>>14))>>>0)/4294967296;
+  }
+  setSeed(seed) { this.seed=Math.trunc(Number(seed))||0; this.rngState=this.seed; }
+
+  // Replace a process's program and rewind its program counter
+  setScript(procName, script) {
+    const p=this.getProcess(procName); if (!p) return false;
+    p.script=deepClone(script||[]); p.pc=0; p.remaining=0;
+    return true;
+  }
+
+  // A scripted process sleeping in a delay does not run; its timer elapses every step
+  isSleeping(p) { const ins=p.script[p.pc]; return !!ins && ins.op==='delay' && p.remaining>0; }
+  isRunnable(p) { return p.script.length>0 && p.state==='ready' && !this.isSleeping(p); }
+  hasScriptWork() { return this.processes.some(p=>p.script.length>0 && isLive(p)); }
+
+  // Pick the next runnable scripted process: round-robin in creation order, seeded random,
+  // or highest priority first (round-robin among equals)
+  pickRunnable() {
+    const runnable=this.processes.filter(p=>this.isRunnable(p));
+    if (!runnable.length) return null;
+    if (this.scheduler==='random') return runnable[Math.floor(this.random()*runnable.length)];
+    let candidates=runnable;
+    if (this.scheduler==='priority'){ const top=Math.max(...runnable.map(p=>p.priority)); candidates=runnable.filter(p=>p.priority===top); }
+    const n=this.processes.length;
+    for (let k=0;k<n;k++){
+      const p=this.processes[(this.rrNext+k)%n];
+      if (candidates.includes(p)){ this.rrNext=(this.processes.indexOf(p)+1)%n; return p; }
+    }
+    return null;
+  }
+
+  // Count down delay timers; a process wakes when its delay runs out
+  tickTimers() {
+    for (const p of this.processes){
+      if (!isLive(p) || !this.isSleeping(p)) continue;
+      p.remaining-=1;
+      if (p.remaining===0){ p.pc+=1; this.logs.push(`Woke: ${p.name} finished its delay`); }
+    }
+  }
+
+  // Execute one tick of a process's script. Requests that block stall the script until granted,
+  // because a blocked process is not runnable.
+  runInstruction(p) {
+    const ins=p.script[p.pc];
+    if (!ins){
+      const taken=this.takeHoldings(p.name);
+      p.state='finished';
+      const freed=Object.entries(taken).map(([r,n])=>`${n} ${r}`).join(', ')||'nothing';
+      this.logs.push(`Finished: ${p.name} completed its script, released ${freed}`);
+      Object.keys(taken).forEach(r=>this.tryGrantWaiting(r));
+      return;
+    }
+    const at=`${p.name} [${p.pc+1}/${p.script.length}]`;
+    if (ins.op==='compute'){
+      if (p.remaining===0) p.remaining=ins.ticks;
+      p.remaining-=1;
+      this.logs.push(`Run: ${at} compute (${p.remaining} of ${ins.ticks} ticks left)`);
+      if (p.remaining===0) p.pc+=1;
+      return;
+    }
+    if (ins.op==='delay'){
+      p.remaining=ins.ticks;
+      this.logs.push(`Run: ${at} delay ${ins.ticks} (sleeping)`);
+      return;
+    }
+    this.logs.push(`Run: ${at} ${formatInstruction(ins)}`);
+    p.pc+=1;
+    if (ins.op==='request') this.request(p.name, ins.resource, ins.count||1, {enqueueIfBlocked:true});
+    else if (ins.op==='release') this.release(p.name, ins.resource, ins.count||this.heldBy(p.name, ins.resource));
+    else if (ins.op==='release-all'){
+      const held=this.resources.filter(r=>this.heldBy(p.name, r.name)>0);
+      if (!held.length) this.logs.push(`No-op: ${p.name} holds nothing`);
+      held.forEach(r=>this.release(p.name, r.name, this.heldBy(p.name, r.name)));
+    }
+  }
+
+  // Advance the simulation by one step. Due global events run first (FIFO, an event with `at`
+  // waits until that step); otherwise the scheduler runs one tick of a scripted process.
+  stepForward(options={autoGrant:true}) {
+    this.step+=1;
+    this.tickTimers();
+    const due=this.eventQueue.findIndex(e=>!(e.at>this.step));
+    if ((options.recover || this.recovery.enabled) && RAGState.findDeadlock(this).hasDeadlock){
+      this.recoverFromDeadlock();
+    } else if (due!==-1){
+      const evt=this.eventQueue.splice(due,1)[0];
+      if (evt.type==='request' && evt.resources) this.requestAll(evt.process, evt.resources, {enqueueIfBlocked:true});
+      else if (evt.type==='request') this.request(evt.process, evt.resource, evt.count, {enqueueIfBlocked:true});
+      else if (evt.type==='release') this.release(evt.process, evt.resource, evt.count);
+    } else {
+      let changed=false;
+      if (options.autoGrant) for (const r of this.resources) changed=this.tryGrantWaiting(r.name)||changed;
+      this.refreshProcessStates();
+      const p=this.hasScriptWork() ? this.pickRunnable() : null;
+      if (p) this.runInstruction(p);
+      else if (!changed){
+        const next=this.eventQueue.reduce((a,e)=>Math.min(a,e.at),Infinity);
+        if (next<Infinity) this.logs.push(`Idle: next event is due at step ${next}.`);
+        else if (this.hasScriptWork()) this.logs.push('Idle: no scripted process can run.');
+        else if (options.autoGrant) this.logs.push('No-op step: no pending events and nothing can be granted.');
+      }
+    }
+    this.refreshProcessStates();
+    this.flagStarvation();
+    for (const hook of RAGState.stepHooks) hook.step(this);
+    return true;
+  }
+
+  // Nothing more can happen without outside input: no events left, no scripted process that can
+  // run or is sleeping, no recovery due and (with auto-grant) no queued request that can be granted
+  isQuiescent(options={autoGrant:true}) {
+    if (this.eventQueue.length) return false;
+    if (this.recovery.enabled && RAGState.findDeadlock(this).hasDeadlock) return false;
+    if (this.processes.some(p=>isLive(p) && (this.isRunnable(p) || this.isSleeping(p)))) return false;
+    if (RAGState.stepHooks.some(hook=>hook.busy(this))) return false;
+    if (!options.autoGrant) return true;
+    return !this.resources.some(r=>(this.waitingRequests[r.name]||[]).some((req,i)=>
+      this.fits(this.requestParts(req, r.name)) && this.checkAvoidance(req.process, r.name, req.count, i).ok));
+  }
+
+  getStats() {
+    const dead=RAGState.findDeadlock(this);
+    const cyc=RAGState.detectDeadlock(this), red=RAGState.detectByReduction(this);
+    const available=Object.fromEntries(this.resources.map(r=>[r.name,this.availableOf(r.name)]));
+    const assigned={}; const queues={}; const max={}; const need={};
+    for (const r of this.resources){
+      assigned[r.name]=deepClone(this.assignments[r.name]||{});
+      queues[r.name]=this.queueOrder(r.name).map(x=>`${x.process}:${x.count}${x.group ? ` [all of ${formatParts(this.requestParts(x, r.name))}]` : ''}${this.waitedFor(x) ? ` (${this.waitedFor(x)} steps${x.starved ? ', starving' : ''})` : ''}`);
+    }
+    for (const p of this.processes){
+      max[p.name]=Object.fromEntries(this.resources.map(r=>[r.name,this.maxOf(p.name,r.name)]));
+      need[p.name]=Object.fromEntries(this.resources.map(r=>[r.name,this.needOf(p.name,r.name)]));
+    }
+    const safety=RAGState.bankersSafety(this);
+    return {
+      step:this.step,
+      processes:this.processes.map(p=>({name:p.name,state:p.state,priority:p.priority,pc:p.pc,scriptLength:p.script.length,
+        current:p.script[p.pc] ? formatInstruction(p.script[p.pc]) : null, remaining:p.remaining})),
+      resources:this.resources.map(r=>({name:r.name,total:r.total,discipline:r.discipline})),
+      available, assigned, queues, max, need,
+      safe: safety.safe, safeSequence: safety.sequence,
+      pendingEvents:this.eventQueue.length,
+      scheduler:this.scheduler, seed:this.seed, generator:deepClone(this.generator), queueing:deepClone(this.queueing),
+      prevention: this.prevention,
+      detection: this.detection,
+      deadlock: dead.hasDeadlock ? { involved: dead.involved, cycles: dead.cycles } : null,
+      detectors: {
+        cycle: { deadlocked: cyc.hasCycle, involved: cyc.involved, cycles: cyc.cycles },
+        reduction: { deadlocked: red.hasDeadlock, involved: red.deadlocked, blocked: red.blocked, order: red.order }
+      }
+    };
+  }
+
+  serialize() {
+    return {
+      processes: this.processes.map(p => ({ name: p.name, state: p.state, priority: p.priority, maxClaims: deepClone(p.maxClaims), script: deepClone(p.script), pc: p.pc, remaining: p.remaining, site: p.site })),
+      resources: this.resources.map(r => ({ name: r.name, total: r.total, discipline: r.discipline, site: r.site })),
+      assignments: deepClone(this.assignments),
+      waitingRequests: deepClone(this.waitingRequests),
+      eventQueue: deepClone(this.eventQueue),
+      step: this.step,
+      logs: deepClone(this.logs),
+      avoidance: this.avoidance,
+      avoidanceStrategy: this.avoidanceStrategy,
+      recovery: deepClone(this.recovery),
+      detection: this.detection,
+      nodePositions: deepClone(this.nodePositions),
+      scheduler: this.scheduler,
+      seed: this.seed,
+      rngState: this.rngState,
+      rrNext: this.rrNext,
+      generator: deepClone(this.generator),
+      queueing: deepClone(this.queueing),
+      prevention: this.prevention,
+      distributed: deepClone(this.distributed)
+    };
+  }
+
+  static from(data) {
+    const st = new RAGState();
+    st.processes = data.processes.map(d => {
+      const p = new Process(d.name, d.priority);
+      p.state = d.state; p.maxClaims = deepClone(d.maxClaims || {});
+      p.script = deepClone(d.script || []); p.pc = d.pc || 0; p.remaining = d.remaining || 0; p.site = d.site || '';
+      return p;
+    });
+    st.resources = data.resources.map(d => {
+      const r = new Resource(d.name, d.total);
+      if (RAGState.queueDisciplines[d.discipline]) r.discipline = d.discipline;
+      r.site = d.site || '';
+      return r;
+    });
+    st.assignments = deepClone(data.assignments || {});
+    st.waitingRequests = deepClone(data.waitingRequests || {});
+    st.eventQueue = deepClone(data.eventQueue || []);
+    st.step = data.step || 0;
+    st.logs = deepClone(data.logs || []);
+    st.avoidance = !!data.avoidance;
+    st.avoidanceStrategy = data.avoidanceStrategy || 'cycle';
+    st.recovery = Object.assign(new RAGState().recovery, data.recovery);
+    st.detection = data.detection === 'cycle' ? 'cycle' : 'reduction';
+    st.nodePositions = deepClone(data.nodePositions || {});
+    st.scheduler = RAGState.schedulers[data.scheduler] ? data.scheduler : 'round-robin';
+    st.seed = data.seed === undefined ? 1 : data.seed;
+    st.rngState = data.rngState === undefined ? st.seed : data.rngState;
+    st.rrNext = data.rrNext || 0;
+    st.generator = data.generator ? deepClone(data.generator) : null;
+    st.queueing = Object.assign(new RAGState().queueing, data.queueing);
+    st.prevention = RAGState.preventionPolicies[data.prevention] ? data.prevention : 'none';
+    st.distributed = Object.assign(new RAGState().distributed, deepClone(data.distributed || {}));
+    if (!RAGState.distributedModes[st.distributed.mode]) st.distributed.mode = 'off';
+    return st;
+  }
+}
+
+// Victim selection policies for deadlock recovery. Each select() receives the deadlocked
+// process names and returns one of them; ties go to the most recently created process.
+RAGState.victimPolicies = {
+  'fewest-held': {
+    label: 'Fewest held instances',
+    select: (state, candidates) => pickBy(state, candidates, p => state.heldTotal(p.name))
+  },
+  'most-recent': {
+    label: 'Most recent process',
+    select: (state, candidates) => pickBy(state, candidates, () => 0)
+  },
+  'lowest-priority': {
+    label: 'Lowest priority',
+    select: (state, candidates) => pickBy(state, candidates, p => p.priority)
+  }
+};
+RAGState.registerVictimPolicy = (name, label, select) => { RAGState.victimPolicies[name] = { label, select }; };
+
+// Queue disciplines for a resource's waiting requests (see queueOrder and tryGrantWaiting)
+RAGState.queueDisciplines = {
+  'first-fit': 'First fit',
+  'fifo': 'Strict FIFO',
+  'priority': 'Priority',
+  'srf': 'Shortest request first'
+};
+
+// Deadlock prevention policies, each breaking one Coffman condition (see checkPrevention)
+RAGState.preventionPolicies = {
+  'none': 'None',
+  'ordering': 'Resource ordering (no circular wait)',
+  'no-hold-and-wait': 'No hold-and-wait',
+  'preempt': 'Preempt on block (allow preemption)'
+};
+
+// Distributed deadlock detection modes (the algorithms are in distributed.js)
+RAGState.distributedModes = {
+  'off': 'Off (global graph)',
+  'probes': 'Edge chasing (Chandy-Misra-Haas probes)',
+  'coordinator': 'Central coordinator'
+};
+RAGState.defaultSite = 'main';
+
+// Work done with the state at the end of every step, e.g. the distributed detector. busy(state)
+// tells whether the hook still has something to do, which keeps the state from being quiescent.
+RAGState.stepHooks = [];
+RAGState.registerStepHook = (step, busy = () => false) => { RAGState.stepHooks.push({ step, busy }); };
+
+// Schedulers for scripted processes (see pickRunnable)
+RAGState.schedulers = {
+  'round-robin': 'Round-robin',
+  'random': 'Random (seeded)',
+  'priority': 'Highest priority first'
+};
+
+// Candidate with the smallest score, preferring the most recently created on ties
+function pickBy(state, candidates, score) {
+  let best=null, bestScore=Infinity, bestIdx=-1;
+  for (const name of candidates){
+    const idx=state.processes.findIndex(p=>p.name===name); if (idx===-1) continue;
+    const sc=score(state.processes[idx]);
+    if (sc<bestScore || (sc===bestScore && idx>bestIdx)){ best=name; bestScore=sc; bestIdx=idx; }
+  }
+  return best;
+}
+
+// Timeline of serialized snapshots with a cursor. Committing while the cursor is in the past
+// forks: the old future is kept as a branch that can be switched back to. Snapshots are never
+// mutated once recorded, so branches share their common past.
+class Simulator {
+  constructor() {
+    this.state = new RAGState();
+    this.playing = false;
+    this.speed = 1.0;
+    this.resetBranches([ this.state.serialize() ]);
+  }
+  setAvoidance(on){ this.state.avoidance=!!on; }
+  setAvoidanceStrategy(name){ this.state.avoidanceStrategy = name==='banker' ? 'banker' : 'cycle'; }
+  setRecovery(opts){ Object.assign(this.state.recovery, opts); }
+  setDetection(method){ this.state.detection = method==='cycle' ? 'cycle' : 'reduction'; }
+  setScheduler(kind, seed){
+    if (RAGState.schedulers[kind]) this.state.scheduler=kind;
+    if (seed!==undefined) this.state.setSeed(seed);
+  }
+  setSpeed(v){ this.speed=Math.max(0.1, Number(v)||1); }
+
+  // Start over with a single timeline
+  resetBranches(history){
+    this.history = history;
+    this.cursor = history.length - 1;
+    this.branches = [{ name: 'Main', history: this.history, cursor: this.cursor }];
+    this.branchIndex = 0;
+  }
+  get branch(){ return this.branches[this.branchIndex]; }
+
+  // Record an edit made outside of stepping (a move, a script, a canvas edit) as the next
+  // snapshot. The "[commit]" log line goes in before the snapshot is taken, so the recorded
+  // snapshot is the live state and replaying from it does not fork.
+  commit(label){
+    if (label) this.state.logs.push(`[commit] ${label}`);
+    this.snapshot(label);
+  }
+
+  // Record the current state after the cursor. If it matches the recorded next snapshot the
+  // cursor just moves on; otherwise a new branch named `label` starts here.
+  snapshot(label) {
+    const snap=this.state.serialize();
+    if (this.cursor < this.history.length-1){
+      if (JSON.stringify(this.history[this.cursor+1])===JSON.stringify(snap)){ this.cursor++; this.branch.cursor=this.cursor; return; }
+      this.fork(label);
+    }
+    this.history.push(snap);
+    if (this.history.length > Simulator.historyLimit) this.history.shift();
+    this.cursor=this.history.length-1;
+    this.branch.cursor=this.cursor;
+  }
+
+  // Keep the current timeline as it is and continue on a copy of its past up to the cursor
+  fork(label){
+    this.branch.cursor=this.cursor;
+    const past=this.history.slice(0, this.cursor+1);
+    const at=this.history[this.cursor].step;
+    this.branches.push({ name: `${label || `Branch ${this.branches.length+1}`} (from step ${at})`, history: past, cursor: this.cursor });
+    this.branchIndex=this.branches.length-1;
+    this.history=past;
+  }
+
+  switchBranch(index){
+    const b=this.branches[index]; if (!b) return false;
+    this.branch.cursor=this.cursor;
+    this.branchIndex=index;
+    this.history=b.history;
+    this.jumpTo(b.cursor);
+    return true;
+  }
+
+  // Drop another branch; the current one cannot be removed
+  removeBranch(index){
+    if (index===this.branchIndex || !this.branches[index]) return false;
+    this.branches.splice(index,1);
+    if (index<this.branchIndex) this.branchIndex--;
+    return true;
+  }
+
+  jumpTo(index){
+    this.cursor=Math.max(0, Math.min(this.history.length-1, index));
+    this.branch.cursor=this.cursor;
+    this.state=RAGState.from(this.history[this.cursor]);
+  }
+
+  // Index of the first snapshot at the given simulation step, or -1
+  indexOfStep(step){ return this.history.findIndex(h=>h.step===step); }
+
+  canStepBack(){ return this.cursor > 0; }
+  canStepForward(){ return this.cursor < this.history.length-1; }
+
+  stepForward(options){
+    this.state.stepForward(options);
+    this.snapshot(`Step ${this.state.step}`);
+  }
+
+  // Run one recovery step regardless of the auto-recover setting
+  recoverStep(){
+    if (!RAGState.findDeadlock(this.state).hasDeadlock) return false;
+    this.stepForward({ autoGrant:false, recover:true });
+    return true;
+  }
+
+  // Move the cursor back one snapshot; the future stays on the timeline
+  stepBackward(){
+    if (this.cursor > 0) this.jumpTo(this.cursor-1);
+  }
+
+  resetToInitial(){ this.jumpTo(0); }
+
+  hardReset(){
+    this.state = new RAGState();
+    this.resetBranches([ this.state.serialize() ]);
+  }
+
+  // Replace the current run with a new initial state
+  loadState(state){
+    this.state = state;
+    this.resetBranches([ state.serialize() ]);
+  }
+
+  // Restore recorded snapshots (e.g. an imported trace), positioned at the last one
+  loadHistory(history){
+    this.resetBranches(history.slice(-Simulator.historyLimit));
+    this.state = RAGState.from(this.history[this.cursor]);
+  }
+
+  exportTrace(){
+    return this.history.map(h => deepClone(h));
+  }
+
+  // Points of interest on the current timeline: where a deadlock first appears, where a global
+  // event fired, and where another branch leaves this one
+  markers(){
+    const out=[];
+    let wasDead=false;
+    this.history.forEach((snap,i)=>{
+      const dead=snapshotDeadlocked(snap);
+      if (dead && !wasDead) out.push({ index:i, kind:'deadlock', label:`Deadlock at step ${snap.step}` });
+      wasDead=dead;
+      const prev=this.history[i-1];
+      if (prev && snap.eventQueue.length<prev.eventQueue.length && snap.step>prev.step)
+        out.push({ index:i, kind:'event', label:`Step ${snap.step}: ${snap.logs[prev.logs.length]||'event'}` });
+    });
+    const own=new Map(this.history.map((h,i)=>[h,i]));
+    this.branches.forEach((b,bi)=>{
+      if (bi===this.branchIndex) return;
+      let shared=-1;
+      for (const h of b.history) if (own.has(h)) shared=Math.max(shared, own.get(h));
+      if (shared>=0 && shared<this.history.length-1) out.push({ index:shared, kind:'fork', label:`Branch: ${b.name}`, branch:bi });
+    });
+    return out.sort((a,b)=>a.index-b.index);
+  }
+}
+Simulator.historyLimit = 1000;
+
+// Deadlock verdict per recorded snapshot, cached because snapshots never change
+const deadlockCache = new WeakMap();
+function snapshotDeadlocked(snap) {
+  if (!deadlockCache.has(snap)) deadlockCache.set(snap, RAGState.findDeadlock(RAGState.from(snap)).hasDeadlock);
+  return deadlockCache.get(snap);
+}
+
+// Node: export the core; browsers share it as script globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RAGState, Simulator, Process, Resource, deepClone, isLive, isNodeName, formatInstruction, eventParts, formatParts };
+}
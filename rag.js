@@ -1,291 +1,17 @@
-function deepClone(obj) {
-  if (typeof structuredClone === 'function') return structuredClone(obj);
-  return JSON.parse(JSON.stringify(obj));
-}
-
-class Process {
-  constructor(name) { this.name = name; this.state = 'ready'; }
-}
-class Resource {
-  constructor(name, instances = 1) { this.name = name; this.total = Math.max(1, Number(instances) || 1); }
-}
-
-class RAGState {
-  constructor() {
-    this.processes = [];
-    this.resources = [];
-    this.assignments = {};
-    this.waitingRequests = {};
-    this.eventQueue = [];
-    this.step = 0;
-    this.logs = [];
-    this.avoidance = false;
-  }
-  //Assign Processess and resources by name
-  getProcess(name) { return this.processes.find(p => p.name === name); }
-  getResource(name) { return this.resources.find(r => r.name === name); }
-  ensureResourceMaps(resName) {
-    if (!this.assignments[resName]) this.assignments[resName] = {};
-    if (!this.waitingRequests[resName]) this.waitingRequests[resName] = [];
-  }
-
-  // Return number of available instances of resource
-  availableOf(resName) {
-    const r = this.getResource(resName);
-    if (!r) return 0;
-    const assigned = Object.values(this.assignments[resName] || {}).reduce((a,b)=>a+b,0);
-    return r.total - assigned;
-  }
-
-  // Add a new process or resource
-  addProcess(name) { if (!name || this.getProcess(name)) return false; this.processes.push(new Process(name)); return true; }
-  addResource(name, instances) { if (!name || this.getResource(name)) return false; const res = new Resource(name, instances); this.resources.push(res); this.ensureResourceMaps(name); return true; }
-  removeAll() { this.processes=[]; this.resources=[]; this.assignments={}; this.waitingRequests={}; this.eventQueue=[]; this.step=0; this.logs=[]; }
-  enqueueEvent(evt) { this.eventQueue.push(evt); }
-  clearEvents() { this.eventQueue = []; }
-
-  // Request a resource for a process
-  request(procName, resName, count=1, options={enqueueIfBlocked:true}) {
-    const p=this.getProcess(procName), r=this.getResource(resName);
-    if (!p || !r) return {ok:false,reason:'Invalid process or resource'};
-    this.ensureResourceMaps(resName);
-    count=Math.max(1, Number(count)||1);
-    const avail=this.availableOf(resName);
-    const canGrant=avail>=count;
-    if (canGrant) {
-      if (this.avoidance) {
-        const next = RAGState.from(this.serialize());
-        if (!next.assignments[resName][procName]) next.assignments[resName][procName]=0;
-        next.assignments[resName][procName]+=count;
-        const cyc=RAGState.detectDeadlock(next);
-        if (cyc.hasCycle) {
-          this.logs.push(`Avoided: granting ${count} ${resName} to ${procName} would create cycle: ${cyc.cycles.map(c=>c.join('->')).join(' | ')}`);
-          return {ok:false,reason:'Avoided cycle (denied)'};
-        }
-      }
-      if (!this.assignments[resName][procName]) this.assignments[resName][procName]=0;
-      this.assignments[resName][procName]+=count;
-      this.logs.push(`Granted: ${procName} <- ${count} ${resName} (avail ${this.availableOf(resName)})`);
-      return {ok:true, granted:true};
-    } else {
-      if (options.enqueueIfBlocked) {
-        this.waitingRequests[resName].push({process:procName,count});
-        p.state='blocked';
-        this.logs.push(`Blocked: ${procName} waiting for ${count} ${resName}`);
-        return {ok:true, granted:false, queued:true};
-      }
-      return {ok:false, reason:'Insufficient resources and not enqueued'};
-    }
-  }
-
-  // Release a resource from a process
-  release(procName, resName, count=1) {
-    const p=this.getProcess(procName), r=this.getResource(resName);
-    if (!p || !r) return {ok:false,reason:'Invalid process or resource'};
-    this.ensureResourceMaps(resName);
-    count=Math.max(1, Number(count)||1);
-    const held=this.assignments[resName][procName]||0;
-    if (held<=0){ this.logs.push(`No-op: ${procName} holds 0 of ${resName}`); return {ok:true,released:0}; }
-    const rel=Math.min(count, held);
-    this.assignments[resName][procName]=held-rel;
-    if (this.assignments[resName][procName]===0) delete this.assignments[resName][procName];
-    this.logs.push(`Released: ${procName} -> ${rel} ${resName} (avail ${this.availableOf(resName)})`);
-    this.tryGrantWaiting(resName);
-    return {ok:true, released:rel};
-  }
-
-  // Try to grant waiting requests for a resource
-  tryGrantWaiting(resName) {
-    this.ensureResourceMaps(resName);
-    let i=0, changed=false;
-    while (i < this.waitingRequests[resName].length) {
-      const req=this.waitingRequests[resName][i];
-      const avail=this.availableOf(resName);
-      if (avail>=req.count) {
-        if (this.avoidance) {
-          const next=RAGState.from(this.serialize());
-            if (!next.assignments[resName][req.process]) next.assignments[resName][req.process]=0;
-            next.assignments[resName][req.process]+=req.count;
-            const cyc=RAGState.detectDeadlock(next);
-            if (cyc.hasCycle){ i++; continue; }
-        }
-        if (!this.assignments[resName][req.process]) this.assignments[resName][req.process]=0;
-        this.assignments[resName][req.process]+=req.count;
-        this.waitingRequests[resName].splice(i,1);
-        this.logs.push(`Unblocked: ${req.process} granted ${req.count} ${resName} from queue`);
-        const proc=this.getProcess(req.process); if (proc) proc.state='ready';
-        changed=true;
-      } else { i++; }
-    }
-    return changed;
-  }
-
-  // Build the Wait-For Graph (WFG) from the current state
-  static buildWFG(state) {
-    const adj={}; for (const p of state.processes) adj[p.name]=new Set();
-    for (const r of state.resources) {
-      const holders=Object.keys(state.assignments[r.name]||{});
-      const avail=state.availableOf(r.name);
-      for (const req of state.waitingRequests[r.name]||[]) {
-        if (avail>=req.count) continue;
-        for (const h of holders) adj[req.process].add(h);
-      }
-    }
-    const res={}; Object.keys(adj).forEach(k=>res[k]=Array.from(adj[k]));
-    return res;
-  }
-
-  // Detect cycles in the Wait-For Graph (WFG)
-  static detectCyclesInAdj(adj) {
-    const color={}, stack=[], cycles=[];
-    const WHITE=0, GRAY=1, BLACK=2;
-    Object.keys(adj).forEach(k=>color[k]=WHITE);
-    function dfs(u){
-      color[u]=GRAY; stack.push(u);
-      for (const v of adj[u]) {
-        if (color[v]===WHITE) dfs(v);
-        else if (color[v]===GRAY){
-          const idx=stack.lastIndexOf(v);
-          if (idx!==-1) cycles.push(stack.slice(idx));
-        }
-      }
-      stack.pop(); color[u]=BLACK;
-    }
-    for (const u of Object.keys(adj)) if (color[u]===WHITE) dfs(u);
-    const involved=new Set(); cycles.forEach(c=>c.forEach(x=>involved.add(x)));
-    return { hasCycle: cycles.length>0, cycles, involved: Array.from(involved) };
-  }
-
-  // Detect deadlock in the current state
-  static detectDeadlock(state) {
-    const wfg=RAGState.buildWFG(state);
-    const r=RAGState.detectCyclesInAdj(wfg);
-    return { hasCycle: r.hasCycle, cycles: r.cycles, involved: r.involved, wfg };
-  }
-
-  // Advance the simulation by one step
-  stepForward(options={autoGrant:true}) {
-    this.step+=1;
-    if (this.eventQueue.length>0){
-      const evt=this.eventQueue.shift();
-      if (evt.type==='request') this.request(evt.process, evt.resource, evt.count, {enqueueIfBlocked:true});
-      else if (evt.type==='release') this.release(evt.process, evt.resource, evt.count);
-    } else if (options.autoGrant){
-      let changed=false;
-      for (const r of this.resources) changed=this.tryGrantWaiting(r.name)||changed;
-      if (!changed) this.logs.push('No-op step: no pending events and nothing can be granted.');
-    }
-    for (const p of this.processes){
-      let blocked=false;
-      for (const r of this.resources){
-        const q=this.waitingRequests[r.name]||[];
-        if (q.find(req=>req.process===p.name)){ blocked=true; break; }
-      }
-      p.state=blocked?'blocked':'ready';
-    }
-    return true;
-  }
-
-  getStats() {
-    const dead=RAGState.detectDeadlock(this);
-    const available=Object.fromEntries(this.resources.map(r=>[r.name,this.availableOf(r.name)]));
-    const assigned={}; const queues={};
-    for (const r of this.resources){
-      assigned[r.name]=deepClone(this.assignments[r.name]||{});
-      queues[r.name]=(this.waitingRequests[r.name]||[]).map(x=>`${x.process}:${x.count}`);
-    }
-    return {
-      step:this.step,
-      processes:this.processes.map(p=>({name:p.name,state:p.state})),
-      resources:this.resources.map(r=>({name:r.name,total:r.total})),
-      available, assigned, queues,
-      pendingEvents:this.eventQueue.length,
-      deadlock: dead.hasCycle ? { involved: dead.involved, cycles: dead.cycles } : null
-    };
-  }
-
-  serialize() {
-    return {
-      processes: this.processes.map(p => ({ name: p.name, state: p.state })),
-      resources: this.resources.map(r => ({ name: r.name, total: r.total })),
-      assignments: deepClone(this.assignments),
-      waitingRequests: deepClone(this.waitingRequests),
-      eventQueue: deepClone(this.eventQueue),
-      step: this.step,
-      logs: deepClone(this.logs),
-      avoidance: this.avoidance
-    };
-  }
-
-  static from(data) {
-    const st = new RAGState();
-    st.processes = data.processes.map(d => { const p = new Process(d.name); p.state = d.state; return p; });
-    st.resources = data.resources.map(d => new Resource(d.name, d.total));
-    st.assignments = deepClone(data.assignments || {});
-    st.waitingRequests = deepClone(data.waitingRequests || {});
-    st.eventQueue = deepClone(data.eventQueue || []);
-    st.step = data.step || 0;
-    st.logs = deepClone(data.logs || []);
-    st.avoidance = !!data.avoidance;
-    return st;
-  }
-}
-
-class Simulator {
-  constructor() {
-    this.state = new RAGState();
-    this.history = [ this.state.serialize() ]; // store serialized snapshots
-    this.playing = false;
-    this.speed = 1.0;
-  }
-  setAvoidance(on){ this.state.avoidance=!!on; }
-  setSpeed(v){ this.speed=Math.max(0.1, Number(v)||1); }
-
-  snapshot() {
-    this.history.push(this.state.serialize());
-    if (this.history.length > 1000) this.history.shift();
-  }
-
-  canStepBack(){ return this.history.length > 1; }
-
-  stepForward(options){
-    this.state.stepForward(options);
-    this.snapshot();
-  }
-
-  stepBackward(){
-    if (this.history.length > 1){
-      this.history.pop(); // discard current
-      const prevData = this.history[this.history.length - 1];
-      this.state = RAGState.from(prevData);
-    }
-  }
-
-  resetToInitial(){
-    if (this.history.length > 0){
-      const first = this.history[0];
-      this.state = RAGState.from(first);
-      this.history = [ first ];
-    }
-  }
-
-  hardReset(){
-    this.state = new RAGState();
-    this.history = [ this.state.serialize() ];
-  }
-
-  exportTrace(){
-    return this.history.map(h => deepClone(h));
-  }
-}
-
+/* Canvas renderer and browser entry point; the model lives in rag-core.js */
 
+// options.tooltip: element for hover details (default #tooltip); options.editable: false turns off
+// dragging and context menus for read-only views
 class Renderer {
-  constructor(canvas, simulator) {
+  constructor(canvas, simulator, options={}) {
     this.canvas=canvas; this.ctx=canvas.getContext('2d'); this.sim=simulator;
+    this.tooltipEl=options.tooltip||document.getElementById('tooltip'); this.editable=options.editable!==false;
     this.pixelRatio=Math.max(1, window.devicePixelRatio||1);
     this.margin=40; this.nodeRadius=18; this.instanceDot=6;
-    this.positions={}; this.hover=null; this.showWFG=false;
+    this.positions={}; this.hover=null; this.showWFG=false; this.highlight=null; this.hideVerdict=false;
+    this.edges=[]; this.drag=null; this.onAction=null;
+    this.layoutMode='columns'; this.animate=true; this.animDuration=350;
+    this._anim=null; this._animRaf=null;
 
     const ch=parseFloat(getComputedStyle(canvas).height);
     if (!ch || ch < 40) {
@@ -298,7 +24,10 @@ class Renderer {
     this.colors={
       assign: cs.getPropertyValue('--edge-assign').trim() || '#44d37c',
       wait: cs.getPropertyValue('--edge-wait').trim() || '#ff6b6b',
-      wfg: cs.getPropertyValue('--edge-wfg').trim() || '#9e8dff'
+      wfg: cs.getPropertyValue('--edge-wfg').trim() || '#9e8dff',
+      starving: cs.getPropertyValue('--starving').trim() || '#ff9f1c',
+      highlight: cs.getPropertyValue('--highlight').trim() || '#ffe066',
+      probe: cs.getPropertyValue('--probe').trim() || '#f472b6'
     };
 
     this._resizeRaf=null;
@@ -310,6 +39,10 @@ class Renderer {
     this.initEvents();
   }
   setShowWFG(on){ this.showWFG=!!on; }
+  // {nodes:[names], edges:[{kind:'wait'|'assign', process, resource}]} to draw a halo under, or null
+  setHighlight(h){ this.highlight=h||null; }
+  // Leave out everything that gives a deadlock away (red processes, WFG overlay, detections), for exercises
+  setHideVerdict(on){ this.hideVerdict=!!on; }
   scheduleResize(){
     if (this._resizeRaf) cancelAnimationFrame(this._resizeRaf);
     this._resizeRaf=requestAnimationFrame(()=>{ this._resizeRaf=null; this.resize(); });
@@ -324,20 +57,54 @@ class Renderer {
       this.canvas.width=targetW; this.canvas.height=targetH;
       this.ctx.setTransform(this.pixelRatio,0,0,this.pixelRatio,0,0);
     }
-    this.layout(); this.draw();
+    this.layout(false); this.draw();
+  }
+  setLayoutMode(mode){ this.layoutMode=LAYOUTS[mode]?mode:'columns'; }
+  setAnimate(on){ this.animate=!!on; }
+  // CSS-pixel size of the drawing area
+  size(){
+    return {
+      w: this.canvas.clientWidth || Math.round(this.canvas.width/this.pixelRatio),
+      h: this.canvas.clientHeight || Math.round(this.canvas.height/this.pixelRatio)
+    };
+  }
+  // Node positions for a state under the selected layout; dragged nodes keep their saved position
+  computePositions(state, w, h){
+    const place=(LAYOUTS[this.layoutMode]||LAYOUTS.columns).place;
+    const targets=place(state, w, h, this.margin);
+    for (const [name,pos] of Object.entries(state.nodePositions||{})){
+      if (targets[name]) targets[name]={x:pos.x, y:pos.y};
+    }
+    const next={};
+    state.processes.forEach(p=>{ if (targets[p.name]) next[p.name]={...targets[p.name], type:'P'}; });
+    state.resources.forEach(r=>{ if (targets[r.name]) next[r.name]={...targets[r.name], type:'R'}; });
+    return next;
+  }
+  // Compute target positions with the selected algorithm, then glide nodes toward them
+  layout(animate=this.animate){
+    const {w,h}=this.size();
+    const next=this.computePositions(this.sim.state, w, h);
+    const moved=Object.keys(next).some(n=>this.positions[n] && (this.positions[n].x!==next[n].x || this.positions[n].y!==next[n].y));
+    if (!animate || !moved){
+      if (this._animRaf){ cancelAnimationFrame(this._animRaf); this._animRaf=null; }
+      this.positions=next; return;
+    }
+    const same=(a,b)=>Object.keys(b).every(n=>a[n] && a[n].x===b[n].x && a[n].y===b[n].y);
+    if (this._animRaf && Object.keys(this._anim.to).length===Object.keys(next).length && same(this._anim.to, next)) return;
+    const from={};
+    for (const n of Object.keys(next)) from[n]=this.positions[n] ? {x:this.positions[n].x, y:this.positions[n].y} : {x:next[n].x, y:next[n].y};
+    this._anim={from, to:next, start:performance.now()};
+    if (!this._animRaf) this._animRaf=requestAnimationFrame(()=>this.animateStep());
+    this.positions=Object.fromEntries(Object.keys(next).map(n=>[n,{...from[n], type:next[n].type}]));
   }
-  layout(){
-    const processes=this.sim.state.processes;
-    const resources=this.sim.state.resources;
-    const w=this.canvas.clientWidth || Math.round(this.canvas.width/this.pixelRatio);
-    const h=this.canvas.clientHeight || Math.round(this.canvas.height/this.pixelRatio);
-    const leftX=this.margin+80;
-    const rightX=Math.max(w-this.margin-80, leftX+260);
-    const pSpacing=Math.max(60,(h-2*this.margin)/Math.max(1,processes.length));
-    const rSpacing=Math.max(60,(h-2*this.margin)/Math.max(1,resources.length));
-    this.positions={};
-    processes.forEach((p,i)=>{ this.positions[p.name]={x:leftX, y:this.margin+(i+0.5)*pSpacing, type:'P'}; });
-    resources.forEach((r,i)=>{ this.positions[r.name]={x:rightX, y:this.margin+(i+0.5)*rSpacing, type:'R'}; });
+  animateStep(){
+    this._animRaf=null;
+    const {from,to,start}=this._anim;
+    const t=Math.min(1, (performance.now()-start)/this.animDuration);
+    const e=t<0.5 ? 2*t*t : 1-Math.pow(-2*t+2,2)/2;
+    this.positions=Object.fromEntries(Object.keys(to).map(n=>[n,{x:from[n].x+(to[n].x-from[n].x)*e, y:from[n].y+(to[n].y-from[n].y)*e, type:to[n].type}]));
+    this.draw();
+    if (t<1) this._animRaf=requestAnimationFrame(()=>this.animateStep());
   }
   drawNode(name,type,x,y,opts={}){
     const ctx=this.ctx, r=this.nodeRadius;
@@ -353,24 +120,118 @@ class Renderer {
     }
     ctx.fillStyle='#dfe6ff'; ctx.font='12px ui-monospace, monospace'; ctx.textAlign='center';
     ctx.fillText(name, x, y+r+14);
+    if (opts.badge){ ctx.fillStyle=opts.stroke; ctx.font='10px ui-monospace, monospace'; ctx.fillText(opts.badge, x, y-r-6); }
     ctx.restore();
   }
-  drawEdge(x1,y1,x2,y2,color='#fff', style='solid', label=''){
+  // Wide translucent glow around a node (one point) or along an edge, drawn before it
+  drawHalo(a,b,curve=0){
+    const ctx=this.ctx; ctx.save();
+    ctx.strokeStyle=this.colors.highlight; ctx.globalAlpha=0.45; ctx.lineWidth=b ? 10 : 6;
+    ctx.beginPath();
+    if (!b) ctx.arc(a.x,a.y,this.nodeRadius+7,0,Math.PI*2);
+    else {
+      const dx=b.x-a.x, dy=b.y-a.y, len=Math.hypot(dx,dy)||1;
+      ctx.moveTo(a.x,a.y);
+      if (curve) ctx.quadraticCurveTo((a.x+b.x)/2-dy/len*curve*2,(a.y+b.y)/2+dx/len*curve*2,b.x,b.y); else ctx.lineTo(b.x,b.y);
+    }
+    ctx.stroke(); ctx.restore();
+  }
+  // Straight edge, or a quadratic curve bowed `curve` px to the left of the direction of travel.
+  // Returns the control point so hit-testing can follow the same path.
+  drawEdge(x1,y1,x2,y2,color='#fff', style='solid', label='', curve=0){
     const ctx=this.ctx; ctx.save(); ctx.strokeStyle=color; ctx.lineWidth=2;
     if (style==='dashed') ctx.setLineDash([6,6]); else if (style==='dotted') ctx.setLineDash([2,4]);
-    const dx=x2-x1, dy=y2-y1, len=Math.hypot(dx,dy)||1, ux=dx/len, uy=dy/len;
+    const dx=x2-x1, dy=y2-y1, len=Math.hypot(dx,dy)||1;
+    const cx=(x1+x2)/2-dy/len*curve*2, cy=(y1+y2)/2+dx/len*curve*2;
+    const sl=Math.hypot(cx-x1,cy-y1)||1, el=Math.hypot(x2-cx,y2-cy)||1;
     const pad=this.nodeRadius+3;
-    const xStart=x1+ux*pad, yStart=y1+uy*pad, xEnd=x2-ux*pad, yEnd=y2-uy*pad;
-    ctx.beginPath(); ctx.moveTo(xStart,yStart); ctx.lineTo(xEnd,yEnd); ctx.stroke();
+    const xStart=x1+(cx-x1)/sl*pad, yStart=y1+(cy-y1)/sl*pad;
+    const ux=(x2-cx)/el, uy=(y2-cy)/el;
+    const xEnd=x2-ux*pad, yEnd=y2-uy*pad;
+    ctx.beginPath(); ctx.moveTo(xStart,yStart);
+    if (curve) ctx.quadraticCurveTo(cx,cy,xEnd,yEnd); else ctx.lineTo(xEnd,yEnd);
+    ctx.stroke();
     const arrow=7;
+    ctx.setLineDash([]);
     ctx.beginPath(); ctx.moveTo(xEnd,yEnd);
     ctx.lineTo(xEnd-ux*10-uy*arrow, yEnd-uy*10+ux*arrow);
     ctx.lineTo(xEnd-ux*10+uy*arrow, yEnd-uy*10-ux*arrow);
     ctx.closePath(); ctx.fillStyle=color; ctx.fill();
     if (label){
+      const lx=curve ? 0.25*xStart+0.5*cx+0.25*xEnd : (xStart+xEnd)/2;
+      const ly=curve ? 0.25*yStart+0.5*cy+0.25*yEnd : (yStart+yEnd)/2;
       ctx.fillStyle='#c8d2ff'; ctx.font='11px ui-monospace, monospace'; ctx.textAlign='center';
-      ctx.fillText(label, (xStart+xEnd)/2, (yStart+yEnd)/2 - 6);
+      ctx.fillText(label, lx, ly - 6);
+    }
+    ctx.restore();
+    return {cx, cy};
+  }
+  // Arc across the start of every edge of an atomic request, the usual notation for an AND
+  // request: the process waits for all of them together. `toward` are points along each edge.
+  drawGroupArc(from, toward, color){
+    const angles=toward.map(t=>Math.atan2(t.y-from.y, t.x-from.x)).sort((a,b)=>a-b);
+    if (angles.length<2) return;
+    // The arc skips the widest gap between neighbouring edges
+    let gap=angles[0]+2*Math.PI-angles[angles.length-1], start=angles[0], end=angles[angles.length-1];
+    for (let i=1;i<angles.length;i++) if (angles[i]-angles[i-1]>gap){ gap=angles[i]-angles[i-1]; start=angles[i]; end=angles[i-1]+2*Math.PI; }
+    const ctx=this.ctx; ctx.save();
+    ctx.strokeStyle=color; ctx.lineWidth=2;
+    ctx.beginPath(); ctx.arc(from.x, from.y, this.nodeRadius+12, start-0.15, end+0.15); ctx.stroke();
+    ctx.restore();
+  }
+  // Dashed box around the nodes of each site, once there is more than one
+  drawSites(state, summary){
+    if (summary.sites.length<2) return;
+    const ctx=this.ctx, pad=this.nodeRadius+34;
+    for (const s of summary.sites){
+      const pts=[...state.processes, ...state.resources].filter(n=>state.siteOf(n.name)===s.site).map(n=>this.positions[n.name]).filter(Boolean);
+      if (!pts.length) continue;
+      const x=Math.min(...pts.map(p=>p.x))-pad, y=Math.min(...pts.map(p=>p.y))-pad;
+      const w=Math.max(...pts.map(p=>p.x))+pad-x, h=Math.max(...pts.map(p=>p.y))+pad-y;
+      ctx.save(); ctx.strokeStyle='#3a4a8c'; ctx.lineWidth=1.5; ctx.setLineDash([6,4]);
+      ctx.beginPath();
+      if (ctx.roundRect) ctx.roundRect(x, y, w, h, 12); else ctx.rect(x, y, w, h);
+      ctx.stroke();
+      ctx.fillStyle='#9aa5d1'; ctx.font='11px ui-monospace, monospace'; ctx.textAlign='left';
+      ctx.fillText(`site ${s.site}${s.coordinator?' (coordinator)':''}`, x+8, y+14);
+      ctx.restore();
+    }
+  }
+  // Messages in flight as dots part way along their route: probes from process to process,
+  // reports from the middle of one site to the middle of the coordinator's
+  drawMessages(state, summary){
+    const ctx=this.ctx;
+    const centre=site=>{
+      const pts=state.processes.concat(state.resources).filter(n=>state.siteOf(n.name)===site).map(n=>this.positions[n.name]).filter(Boolean);
+      return pts.length ? {x:pts.reduce((a,p)=>a+p.x,0)/pts.length, y:pts.reduce((a,p)=>a+p.y,0)/pts.length} : null;
+    };
+    for (const m of summary.messages){
+      const from=m.kind==='probe'?this.positions[m.from]:centre(m.fromSite), to=m.kind==='probe'?this.positions[m.to]:centre(m.toSite);
+      if (!from||!to) continue;
+      const t=Math.min(1, Math.max(0, (state.step-m.sent)/Math.max(1, m.arrives-m.sent)));
+      const x=from.x+(to.x-from.x)*t, y=from.y+(to.y-from.y)*t;
+      ctx.save(); ctx.fillStyle=this.colors.probe; ctx.strokeStyle='#0b1020'; ctx.lineWidth=1.5;
+      if (m.kind==='probe'){ ctx.beginPath(); ctx.arc(x,y,5,0,Math.PI*2); ctx.fill(); ctx.stroke(); }
+      else { ctx.beginPath(); ctx.rect(x-6,y-4,12,8); ctx.fill(); ctx.stroke(); }
+      ctx.restore();
+    }
+  }
+  // Cycles reported at this step, red when real and in the probe colour when they are phantoms
+  drawDetections(state, summary){
+    for (const d of summary.detections.filter(x=>x.step===state.step)){
+      d.cycle.forEach((u,i)=>{
+        const from=this.positions[u], to=this.positions[d.cycle[(i+1)%d.cycle.length]];
+        if (from&&to) this.drawEdge(from.x,from.y,to.x,to.y,d.phantom?this.colors.probe:'#ff5d73','dotted',d.phantom?'phantom':'D',d.cycle.length===2?16:0);
+      });
     }
+  }
+  // Current script instruction under a process label, e.g. "2/5 request R1 1"
+  drawProgram(p,x,y){
+    const ctx=this.ctx, ins=p.script[p.pc];
+    let text=ins ? `${p.pc+1}/${p.script.length} ${formatInstruction(ins)}` : (p.state==='finished' ? 'done' : 'exit');
+    if (ins && p.remaining>0) text+=` (${p.remaining} left)`;
+    ctx.save(); ctx.fillStyle='#9aa5d1'; ctx.font='10px ui-monospace, monospace'; ctx.textAlign='center';
+    ctx.fillText(text, x, y+this.nodeRadius+27);
     ctx.restore();
   }
   drawResourceInstances(r){
@@ -386,68 +247,126 @@ class Renderer {
     ctx.fillStyle='#9aa5d1'; ctx.font='11px ui-monospace, monospace'; ctx.textAlign='left';
     ctx.fillText(`avail: ${available}/${total}`, pos.x - this.nodeRadius, pos.y + this.nodeRadius + 28);
   }
+  // Queue in grant order, with the discipline unless first-fit; starving entries get a "!"
   drawQueues(){
     const state=this.sim.state; const ctx=this.ctx;
     for (const r of state.resources){
       const pos=this.positions[r.name]; if (!pos) continue;
-      const q=state.waitingRequests[r.name]||[];
+      const q=state.queueOrder(r.name);
       if (!q.length) continue;
+      const tag=r.discipline!=='first-fit' ? ` [${r.discipline}]` : '';
       ctx.fillStyle='#ffbd59'; ctx.font='11px ui-monospace, monospace'; ctx.textAlign='left';
-      ctx.fillText(`Q: ${q.map(e=>`${e.process}:${e.count}`).join(', ')}`, pos.x - this.nodeRadius, pos.y + this.nodeRadius + 42);
+      const more=e=>e.group ? `(+${formatParts(Object.fromEntries(Object.entries(state.requestParts(e, r.name)).filter(([n])=>n!==r.name)))})` : '';
+      ctx.fillText(`Q${tag}: ${q.map(e=>`${e.process}:${e.count}${more(e)}${e.starved?'!':''}`).join(', ')}`, pos.x - this.nodeRadius, pos.y + this.nodeRadius + 42);
     }
   }
   draw(){
+    const {w,h}=this.size();
+    this.ctx.clearRect(0,0,w,h);
+    this.paint();
+
+    const t=this.tooltipEl; if (!t) return;
+    if (this.hover){
+      t.style.display='block';
+      t.style.left=`${this.hover.x+12}px`;
+      t.style.top=`${this.hover.y+12}px`;
+      t.innerHTML=this.hover.text;
+    } else t.style.display='none';
+  }
+  // Draw a state onto another 2D context (an offscreen canvas or the SVG recorder) at its own
+  // resting layout, without disturbing the live view
+  renderTo(ctx, state, w, h){
+    const saved={ctx:this.ctx, sim:this.sim, positions:this.positions, edges:this.edges, drag:this.drag, highlight:this.highlight};
+    this.ctx=ctx; this.sim={state}; this.drag=null; this.highlight=null;
+    this.positions=this.computePositions(state, w, h);
+    try { this.paint(); }
+    finally { Object.assign(this, saved); }
+  }
+  paint(){
     const ctx=this.ctx;
-    const w=this.canvas.clientWidth || Math.round(this.canvas.width/this.pixelRatio);
-    const h=this.canvas.clientHeight || Math.round(this.canvas.height/this.pixelRatio);
-    ctx.clearRect(0,0,w,h);
     const state=this.sim.state;
+    this.edges=[];
+
+    // Opposing edges between the same pair (P waits for R it partly holds, or P<->P in the WFG) curve apart
+    const pairs=new Set();
+    for (const r of state.resources){
+      for (const pName of Object.keys(state.assignments[r.name]||{})) pairs.add(`${r.name}\u0000${pName}`);
+      for (const req of state.waitingRequests[r.name]||[]) pairs.add(`${req.process}\u0000${r.name}`);
+    }
+    const curveFor=(a,b)=>pairs.has(`${b}\u0000${a}`) ? 16 : 0;
+    const hl=this.highlight;
+    const lit=(kind,p,r)=>!!hl && hl.edges.some(e=>e.kind===kind && e.process===p && e.resource===r);
+    const dist=distributedSummary(state);
+    this.drawSites(state, dist);
 
     for (const r of state.resources){
       const assignedMap=state.assignments[r.name]||{};
       for (const pName of Object.keys(assignedMap)){
         const cnt=assignedMap[pName]; const from=this.positions[r.name], to=this.positions[pName];
-        if (from&&to) this.drawEdge(from.x,from.y,to.x,to.y,this.colors.assign,'solid',`${cnt}`);
+        if (!from||!to) continue;
+        const curve=curveFor(r.name,pName);
+        if (lit('assign',pName,r.name)) this.drawHalo(from,to,curve);
+        const c=this.drawEdge(from.x,from.y,to.x,to.y,this.colors.assign,'solid',`${cnt}`,curve);
+        this.edges.push({kind:'assign', process:pName, resource:r.name, count:cnt, x1:from.x, y1:from.y, x2:to.x, y2:to.y, curve, ...c});
       }
     }
+    const groups={};
     for (const r of state.resources){
       const q=state.waitingRequests[r.name]||[];
       for (const req of q){
         const from=this.positions[req.process], to=this.positions[r.name];
-        if (from&&to) this.drawEdge(from.x,from.y,to.x,to.y,this.colors.wait,'dashed',`${req.count}`);
+        if (!from||!to) continue;
+        const curve=curveFor(req.process,r.name);
+        if (lit('wait',req.process,r.name)) this.drawHalo(from,to,curve);
+        const color=req.starved?this.colors.starving:this.colors.wait;
+        const c=this.drawEdge(from.x,from.y,to.x,to.y,color,'dashed',`${req.count}`,curve);
+        this.edges.push({kind:'wait', process:req.process, resource:r.name, count:req.count, group:req.group, x1:from.x, y1:from.y, x2:to.x, y2:to.y, curve, ...c});
+        if (req.group) (groups[req.group]=groups[req.group]||{from, color, toward:[]}).toward.push({x:c.cx, y:c.cy});
       }
     }
+    for (const g of Object.values(groups)) this.drawGroupArc(g.from, g.toward, g.color);
+
+    if (this.drag && this.drag.mode==='connect'){
+      const from=this.positions[this.drag.name];
+      ctx.save(); ctx.strokeStyle=this.colors.wait; ctx.setLineDash([4,4]); ctx.lineWidth=2;
+      ctx.beginPath(); ctx.moveTo(from.x,from.y); ctx.lineTo(this.drag.x,this.drag.y); ctx.stroke();
+      ctx.restore();
+    }
 
-    if (this.showWFG){
+    if (this.showWFG && !this.hideVerdict){
       const det=RAGState.detectDeadlock(state);
       for (const u of Object.keys(det.wfg)){
         for (const v of det.wfg[u]){
           const from=this.positions[u], to=this.positions[v];
-          if (from&&to) this.drawEdge(from.x,from.y,to.x,to.y,this.colors.wfg,'dotted','W');
+          const curve=det.wfg[v] && det.wfg[v].includes(u) ? 16 : 0;
+          if (from&&to) this.drawEdge(from.x,from.y,to.x,to.y,this.colors.wfg,'dotted','W',curve);
         }
       }
     }
 
-    const dead=RAGState.detectDeadlock(state);
+    const dead=this.hideVerdict ? {involved:[]} : RAGState.findDeadlock(state);
     const deadset=new Set(dead.involved||[]);
     for (const p of state.processes){
       const pos=this.positions[p.name]; if (!pos) continue;
-      const stroke=deadset.has(p.name)?'#ff6b6b':(p.state==='blocked'?'#ffbd59':'#5b74ff');
-      this.drawNode(p.name,'P',pos.x,pos.y,{stroke});
+      const starving=!deadset.has(p.name) && state.isStarving(p.name);
+      const stroke=!isLive(p)?'#4a5486':deadset.has(p.name)?'#ff6b6b':starving?this.colors.starving:(p.state==='blocked'?'#ffbd59':'#5b74ff');
+      if (hl && hl.nodes.includes(p.name)) this.drawHalo(pos);
+      this.drawNode(p.name,'P',pos.x,pos.y,{stroke, badge:starving?'starving':''});
+      if (p.script.length) this.drawProgram(p,pos.x,pos.y);
     }
     for (const r of state.resources){
       const pos=this.positions[r.name]; if (!pos) continue;
-      this.drawNode(r.name,'R',pos.x,pos.y,{stroke:'#67e8f9'});
+      if (hl && hl.nodes.includes(r.name)) this.drawHalo(pos);
+      this.drawNode(r.name,'R',pos.x,pos.y,{stroke:'#67e8f9', badge:state.prevention==='ordering'?`#${state.resourceRank(r.name)}`:''});
       this.drawResourceInstances(r);
     }
-
-    const t=document.getElementById('tooltip');
-    if (this.hover){
-      t.style.display='block';
-      t.style.left=`${this.hover.x+12}px`;
-      t.style.top=`${this.hover.y+12}px`;
-      t.innerHTML=this.hover.text;
-    } else t.style.display='none';
+    this.drawQueues();
+    if (!this.hideVerdict) this.drawDetections(state, dist);
+    this.drawMessages(state, dist);
+    if (state.prevention==='ordering' && state.resources.length){
+      ctx.fillStyle='#9aa5d1'; ctx.font='11px ui-monospace, monospace'; ctx.textAlign='left';
+      ctx.fillText(`Order: ${state.resources.map(r=>r.name).join(' < ')}`, 8, 16);
+    }
   }
   findHit(x,y){
     for (const [name,pos] of Object.entries(this.positions)){
@@ -457,30 +376,109 @@ class Renderer {
     }
     return null;
   }
+  // Nearest edge within a few pixels of (x,y); curved edges are sampled as short segments
+  findEdge(x,y){
+    let best=null, bestD=6;
+    const segDist=(ax,ay,bx,by)=>{
+      const dx=bx-ax, dy=by-ay, len2=dx*dx+dy*dy||1;
+      const t=Math.max(0, Math.min(1, ((x-ax)*dx+(y-ay)*dy)/len2));
+      return Math.hypot(x-(ax+t*dx), y-(ay+t*dy));
+    };
+    for (const e of this.edges){
+      const steps=e.curve ? 12 : 1;
+      let px=e.x1, py=e.y1;
+      for (let i=1;i<=steps;i++){
+        const t=i/steps, qx=(1-t)*(1-t)*e.x1+2*(1-t)*t*e.cx+t*t*e.x2, qy=(1-t)*(1-t)*e.y1+2*(1-t)*t*e.cy+t*t*e.y2;
+        const d=segDist(px,py,qx,qy);
+        if (d<bestD){ best=e; bestD=d; }
+        px=qx; py=qy;
+      }
+    }
+    return best;
+  }
+  pointerPos(e){
+    const rect=this.canvas.getBoundingClientRect();
+    return {x:e.clientX-rect.left, y:e.clientY-rect.top};
+  }
+  emit(action){ if (this.onAction) this.onAction(action); }
+  // Drag a node to move it; Shift+drag from a process onto a resource to connect them.
+  // Edits are reported through onAction so the app can apply and commit them.
   initEvents(){
     const c=this.canvas;
+    c.addEventListener('mousedown',(e)=>{
+      if (e.button!==0 || !this.editable) return;
+      const {x,y}=this.pointerPos(e);
+      const hit=this.findHit(x,y); if (!hit) return;
+      e.preventDefault();
+      this.hover=null;
+      this.drag={name:hit.name, type:hit.type, mode:e.shiftKey&&hit.type==='P'?'connect':'move', x, y, moved:false};
+    });
+    window.addEventListener('mousemove',(e)=>{
+      if (!this.drag) return;
+      const w=this.canvas.clientWidth, h=this.canvas.clientHeight;
+      const {x,y}=this.pointerPos(e);
+      this.drag.x=Math.max(this.nodeRadius, Math.min(w-this.nodeRadius, x));
+      this.drag.y=Math.max(this.nodeRadius, Math.min(h-this.nodeRadius, y));
+      this.drag.moved=true;
+      if (this.drag.mode==='move'){
+        this.sim.state.nodePositions[this.drag.name]={x:this.drag.x, y:this.drag.y};
+        this.layout(false);
+      }
+      this.draw();
+    });
+    window.addEventListener('mouseup',(e)=>{
+      const drag=this.drag; if (!drag) return;
+      this.drag=null;
+      if (drag.mode==='move' && drag.moved) this.emit({type:'move', name:drag.name});
+      if (drag.mode==='connect'){
+        const {x,y}=this.pointerPos(e);
+        const target=this.findHit(x,y);
+        if (target && target.type==='R') this.emit({type:'connect', process:drag.name, resource:target.name, clientX:e.clientX, clientY:e.clientY});
+      }
+      this.draw();
+    });
+    c.addEventListener('contextmenu',(e)=>{
+      if (!this.editable) return;
+      e.preventDefault();
+      const {x,y}=this.pointerPos(e);
+      const hit=this.findHit(x,y), edge=hit?null:this.findEdge(x,y);
+      const at={clientX:e.clientX, clientY:e.clientY};
+      if (hit) this.emit({type:'node-menu', name:hit.name, nodeType:hit.type, ...at});
+      else if (edge) this.emit({type:'edge-menu', edge, ...at});
+      else this.emit({type:'canvas-menu', ...at});
+    });
     c.addEventListener('mousemove',(e)=>{
-      const rect=c.getBoundingClientRect();
-      const x=e.clientX-rect.left, y=e.clientY-rect.top;
+      if (this.drag) return;
+      const {x,y}=this.pointerPos(e);
       const hit=this.findHit(x,y);
+      if (this.editable) c.style.cursor=hit?'grab':(this.findEdge(x,y)?'context-menu':'default');
       if (hit){
         let text='';
         if (hit.type==='P'){
           const p=this.sim.state.getProcess(hit.name);
-            text+=`Process ${p.name}\nState: ${p.state}`;
+            text+=`Process ${p.name}\nState: ${p.state}\nPriority: ${p.priority}`;
             const holds=[];
             for (const r of this.sim.state.resources){
               const cnt=(this.sim.state.assignments[r.name]||{})[p.name]||0;
               if (cnt>0) holds.push(`${r.name}:${cnt}`);
             }
             text+=`\nHolds: ${holds.join(', ')||'none'}`;
+            const st=this.sim.state, seen=new Set(), waits=[];
+            for (const r of st.resources) for (const req of st.waitingRequests[r.name]||[]){
+              if (req.process!==p.name || seen.has(req.group)) continue;
+              if (req.group){ seen.add(req.group); waits.push(`${formatParts(st.requestParts(req, r.name))} (all at once)`); }
+              else waits.push(`${req.count} ${r.name}`);
+            }
+            if (waits.length) text+=`\nWaits for: ${waits.join(', ')}`;
+            if (p.script.length) text+=`\nScript: ${p.script.map((ins,i)=>(i===p.pc?'> ':'')+formatInstruction(ins)).join('; ')}`;
         } else {
           const r=this.sim.state.getResource(hit.name);
           const avail=this.sim.state.availableOf(r.name);
-          const q=(this.sim.state.waitingRequests[r.name]||[]).map(x=>`${x.process}:${x.count}`);
-          text+=`Resource ${r.name}\nTotal: ${r.total}\nAvailable: ${avail}\nQueue: ${q.join(', ')||'empty'}`;
+          const st=this.sim.state;
+          const q=st.queueOrder(r.name).map(x=>`${x.process}:${x.count} (${st.waitedFor(x)} steps${x.starved?', starving':''})`);
+          text+=`Resource ${r.name}\nTotal: ${r.total}\nAvailable: ${avail}\nQueue (${RAGState.queueDisciplines[r.discipline]}): ${q.join(', ')||'empty'}`;
         }
-        this.hover={x,y,text:text.replace(/\n/g,'<br/>')};
+        this.hover={x,y,text:text.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/\n/g,'<br/>')};
       } else { this.hover=null; }
       this.draw();
     });
@@ -0,0 +1,38 @@
+/* Bundled exercise sets, written in the same format "Load Exercise File" accepts (see exercises.js) */
+
+const SAMPLE_EXERCISES = [
+  {
+    format: 'rag-exercises', version: 1,
+    id: 'deadlock-basics', title: 'Deadlock Basics',
+    hintPenalty: 0.25,
+    exercises: [
+      {
+        id: 'two-cycle', type: 'deadlocked', points: 1,
+        hints: ['Follow the edges: what does each process wait for, and who holds it?'],
+        script: 'resource R1 x1\nresource R2 x1\nprocess P1\nprocess P2\nP1 holds R1 1\nP2 holds R2 1\nP1 waits R2 1\nP2 waits R1 1'
+      },
+      {
+        id: 'cycle-not-enough', type: 'deadlocked', display: 'text', points: 2, attempts: 2,
+        hints: ['There is a wait-for cycle. Is it enough when a resource has more than one unit?', 'Can P2 finish with what it holds, and what would it free?'],
+        script: 'resource CPU x2\nresource IO x1\nprocess P1\nprocess P2\nprocess P3\nP1 holds CPU 1\nP2 holds CPU 1\nP3 holds IO 1\nP3 waits CPU 1\nP1 waits IO 1'
+      },
+      {
+        id: 'who-is-stuck', type: 'involved', points: 2,
+        hints: ['A process that holds nothing is blocked, but is it part of the deadlock?'],
+        script: 'resource R1 x1\nresource R2 x1\nresource R3 x1\nprocess P1\nprocess P2\nprocess P3\nprocess P4\nP1 holds R1 1\nP2 holds R2 1\nP3 holds R3 1\nP1 waits R2 1\nP2 waits R3 1\nP3 waits R1 1\nP4 waits R1 1'
+      },
+      {
+        id: 'bankers', type: 'safe-sequence', points: 3,
+        hints: ['Start with Work = Available (A=2, B=1). Whose Need fits?', 'Only P1 fits at first: it needs 2 A and 1 B more.'],
+        script: 'resource A x6\nresource B x5\nprocess P1\nprocess P2\nprocess P3\nP1 max A 4\nP1 max B 2\nP2 max A 2\nP2 max B 3\nP3 max A 5\nP3 max B 3\nP1 holds A 2\nP1 holds B 1\nP2 holds A 1\nP2 holds B 1\nP3 holds A 1\nP3 holds B 2'
+      },
+      {
+        id: 'break-it', type: 'breaking-release', points: 2,
+        hints: ['Look for a unit that a deadlocked process waits for.'],
+        script: 'resource R1 x1\nresource R2 x1\nprocess P1\nprocess P2\nP1 holds R1 1\nP2 holds R2 1\nP1 waits R2 1\nP2 waits R1 1'
+      }
+    ]
+  }
+];
+
+if (typeof module !== 'undefined' && module.exports) module.exports = { SAMPLE_EXERCISES };
@@ -0,0 +1,156 @@
+/* Bundled scenarios, written in the same format Import accepts (see scenario.js) */
+
+const SAMPLE_SCENARIOS = [
+  {
+    format: 'rag-scenario', version: 1,
+    id: 'two-proc-cycle', name: '2-Proc Cycle',
+    description: '2-process cycle deadlock',
+    processes: [
+      { name: 'P1', maxClaims: { R1: 1, R2: 1 } },
+      { name: 'P2', maxClaims: { R1: 1, R2: 1 } }
+    ],
+    resources: [{ name: 'R1', instances: 1 }, { name: 'R2', instances: 1 }],
+    assignments: { R1: { P1: 1 }, R2: { P2: 1 } },
+    events: [
+      { type: 'request', process: 'P1', resource: 'R2', count: 1 },
+      { type: 'request', process: 'P2', resource: 'R1', count: 1 }
+    ]
+  },
+  {
+    format: 'rag-scenario', version: 1,
+    id: 'no-deadlock', name: 'No Deadlock',
+    description: 'multi-instance resource, no deadlock',
+    processes: [
+      { name: 'P1', maxClaims: { R1: 1, R2: 0 } },
+      { name: 'P2', maxClaims: { R1: 1, R2: 1 } },
+      { name: 'P3', maxClaims: { R1: 1, R2: 0 } }
+    ],
+    resources: [{ name: 'R1', instances: 2 }, { name: 'R2', instances: 1 }],
+    assignments: { R1: { P1: 1, P2: 1 } },
+    events: [
+      { type: 'request', process: 'P3', resource: 'R1', count: 1 },
+      { type: 'release', process: 'P1', resource: 'R1', count: 1 },
+      { type: 'request', process: 'P2', resource: 'R2', count: 1 },
+      { type: 'release', process: 'P2', resource: 'R2', count: 1 }
+    ]
+  },
+  {
+    format: 'rag-scenario', version: 1,
+    id: 'three-proc-cycle', name: '3-Proc Cycle',
+    description: '3-process cycle deadlock',
+    processes: [
+      { name: 'P1', maxClaims: { R1: 1, R2: 1, R3: 0 } },
+      { name: 'P2', maxClaims: { R1: 0, R2: 1, R3: 1 } },
+      { name: 'P3', maxClaims: { R1: 1, R2: 0, R3: 1 } }
+    ],
+    resources: [{ name: 'R1', instances: 1 }, { name: 'R2', instances: 1 }, { name: 'R3', instances: 1 }],
+    assignments: { R1: { P1: 1 }, R2: { P2: 1 }, R3: { P3: 1 } },
+    events: [
+      { type: 'request', process: 'P1', resource: 'R2', count: 1 },
+      { type: 'request', process: 'P2', resource: 'R3', count: 1 },
+      { type: 'request', process: 'P3', resource: 'R1', count: 1 }
+    ]
+  },
+  {
+    format: 'rag-scenario', version: 1,
+    id: 'contention', name: 'Contention',
+    description: 'waiting and unblocking without deadlock',
+    processes: [
+      { name: 'P1', maxClaims: { CPU: 1, IO: 1 } },
+      { name: 'P2', maxClaims: { CPU: 1, IO: 1 } },
+      { name: 'P3', maxClaims: { CPU: 1, IO: 0 } },
+      { name: 'P4', maxClaims: { CPU: 0, IO: 1 } }
+    ],
+    resources: [{ name: 'CPU', instances: 2 }, { name: 'IO', instances: 1 }],
+    assignments: { CPU: { P1: 1, P2: 1 } },
+    events: [
+      { type: 'request', process: 'P3', resource: 'CPU', count: 1 },
+      { type: 'request', process: 'P4', resource: 'IO', count: 1 },
+      { type: 'release', process: 'P2', resource: 'CPU', count: 1 },
+      { type: 'request', process: 'P1', resource: 'IO', count: 1 },
+      { type: 'release', process: 'P4', resource: 'IO', count: 1 },
+      { type: 'request', process: 'P2', resource: 'IO', count: 1 }
+    ]
+  },
+  {
+    format: 'rag-scenario', version: 1,
+    id: 'cycle-no-deadlock', name: 'Cycle, No Deadlock',
+    description: 'multi-instance cycle without deadlock; P2 can finish and break it',
+    processes: [
+      { name: 'P1', maxClaims: { CPU: 1, IO: 1 } },
+      { name: 'P2', maxClaims: { CPU: 1, IO: 0 } },
+      { name: 'P3', maxClaims: { CPU: 1, IO: 1 } }
+    ],
+    resources: [{ name: 'CPU', instances: 2 }, { name: 'IO', instances: 1 }],
+    assignments: { CPU: { P1: 1, P2: 1 }, IO: { P3: 1 } },
+    events: [
+      { type: 'request', process: 'P3', resource: 'CPU', count: 1 },
+      { type: 'request', process: 'P1', resource: 'IO', count: 1 },
+      { type: 'release', process: 'P2', resource: 'CPU', count: 1 },
+      { type: 'release', process: 'P3', resource: 'IO', count: 1 }
+    ]
+  },
+  {
+    format: 'rag-scenario', version: 1,
+    id: 'dining-philosophers', name: 'Dining Philosophers',
+    description: 'each philosopher takes the left fork, thinks, then the right; round-robin deadlocks, other schedules may not',
+    processes: [
+      { name: 'Phil1', script: [
+        { op: 'request', resource: 'F1', count: 1 }, { op: 'compute', ticks: 1 },
+        { op: 'request', resource: 'F2', count: 1 }, { op: 'compute', ticks: 2 }, { op: 'release-all' }
+      ] },
+      { name: 'Phil2', script: [
+        { op: 'request', resource: 'F2', count: 1 }, { op: 'compute', ticks: 1 },
+        { op: 'request', resource: 'F3', count: 1 }, { op: 'compute', ticks: 2 }, { op: 'release-all' }
+      ] },
+      { name: 'Phil3', script: [
+        { op: 'request', resource: 'F3', count: 1 }, { op: 'compute', ticks: 1 },
+        { op: 'request', resource: 'F4', count: 1 }, { op: 'compute', ticks: 2 }, { op: 'release-all' }
+      ] },
+      { name: 'Phil4', script: [
+        { op: 'request', resource: 'F4', count: 1 }, { op: 'compute', ticks: 1 },
+        { op: 'request', resource: 'F5', count: 1 }, { op: 'compute', ticks: 2 }, { op: 'release-all' }
+      ] },
+      { name: 'Phil5', script: [
+        { op: 'request', resource: 'F5', count: 1 }, { op: 'compute', ticks: 1 },
+        { op: 'request', resource: 'F1', count: 1 }, { op: 'compute', ticks: 2 }, { op: 'release-all' }
+      ] }
+    ],
+    resources: [
+      { name: 'F1', instances: 1 }, { name: 'F2', instances: 1 }, { name: 'F3', instances: 1 }, { name: 'F4', instances: 1 }, { name: 'F5', instances: 1 }
+    ],
+    options: { scheduler: 'round-robin', seed: 7 }
+  },
+  {
+    format: 'rag-scenario', version: 1,
+    id: 'distributed-cycle', name: 'Distributed Cycle',
+    description: 'a cycle across three sites that no single site can see; probes chase it around',
+    processes: [{ name: 'P1', site: 'A' }, { name: 'P2', site: 'B' }, { name: 'P3', site: 'C' }],
+    resources: [{ name: 'R1', instances: 1, site: 'A' }, { name: 'R2', instances: 1, site: 'B' }, { name: 'R3', instances: 1, site: 'C' }],
+    assignments: { R1: { P1: 1 }, R2: { P2: 1 }, R3: { P3: 1 } },
+    events: [
+      { type: 'request', process: 'P1', resource: 'R2', count: 1 },
+      { type: 'request', process: 'P2', resource: 'R3', count: 1 },
+      { type: 'request', process: 'P3', resource: 'R1', count: 1 }
+    ],
+    options: { distributed: { mode: 'probes', latency: 2, interval: 2 } }
+  },
+  {
+    format: 'rag-scenario', version: 1,
+    id: 'phantom-deadlock', name: 'Phantom Deadlock',
+    description: "the coordinator joins site A's stale report with site B's fresh one and sees a cycle that never existed",
+    processes: [{ name: 'P1', site: 'A' }, { name: 'P2', site: 'B' }],
+    resources: [{ name: 'R1', instances: 1, site: 'B' }, { name: 'R2', instances: 1, site: 'A' }],
+    assignments: { R1: { P1: 1 }, R2: { P2: 1 } },
+    events: [
+      { type: 'request', process: 'P1', resource: 'R2', count: 1 },
+      { type: 'release', process: 'P2', resource: 'R2', count: 1, at: 5 },
+      { type: 'request', process: 'P2', resource: 'R1', count: 1, at: 6 },
+      { type: 'release', process: 'P1', resource: 'R1', count: 1, at: 12 },
+      { type: 'release', process: 'P1', resource: 'R2', count: 1, at: 12 }
+    ],
+    options: { distributed: { mode: 'coordinator', latency: 3, interval: 4, coordinator: 'B' } }
+  }
+];
+
+if (typeof module !== 'undefined' && module.exports) module.exports = { SAMPLE_SCENARIOS };
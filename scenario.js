@@ -0,0 +1,275 @@
+/* Scenario files: schema validation, loading into RAGState and trace import */
+
+const SCENARIO_FORMAT = 'rag-scenario';
+const SCENARIO_VERSION = 1;
+
+class ScenarioError extends Error {
+  constructor(errors) {
+    super(errors.join('\n'));
+    this.name = 'ScenarioError';
+    this.errors = errors;
+  }
+}
+
+function isObj(v) { return v !== null && typeof v === 'object' && !Array.isArray(v); }
+const NAME_RULE = 'must be a name of letters, digits, _ . or -';
+function isCount(v, min = 1) { return Number.isInteger(v) && v >= min; }
+
+// Processes may be written as plain names or as {name, priority, maxClaims}
+function normalizeProcess(p) { return typeof p === 'string' ? { name: p } : p; }
+
+// Problem with one script instruction, or null; res maps declared resources to instances
+function instructionError(ins, res) {
+  if (!isObj(ins)) return 'must be an object with an op';
+  if (ins.op === 'request' || ins.op === 'release') {
+    if (res[ins.resource] === undefined) return `resource "${ins.resource}" is not a declared resource`;
+    if (ins.count !== undefined && !isCount(ins.count)) return 'count must be an integer >= 1';
+    return null;
+  }
+  if (ins.op === 'compute' || ins.op === 'delay') return isCount(ins.ticks) ? null : 'ticks must be an integer >= 1';
+  if (ins.op === 'release-all') return null;
+  return 'op must be request, release, release-all, compute or delay';
+}
+
+// Returns a list of human-readable problems; empty when the document is a valid scenario
+function validateScenario(doc) {
+  const errors = [];
+  if (!isObj(doc)) return ['Scenario must be a JSON object'];
+  if (doc.format !== undefined && doc.format !== SCENARIO_FORMAT) errors.push(`format must be "${SCENARIO_FORMAT}" (got "${doc.format}")`);
+  if (doc.version !== undefined && doc.version !== SCENARIO_VERSION) errors.push(`Unsupported scenario version ${doc.version} (expected ${SCENARIO_VERSION})`);
+  if (!Array.isArray(doc.processes)) errors.push('processes must be an array');
+  if (!Array.isArray(doc.resources)) errors.push('resources must be an array');
+  if (errors.length) return errors;
+
+  const procs = new Set(), res = {};
+  doc.resources.forEach((r, i) => {
+    const at = `resources[${i}]`;
+    if (!isObj(r)) { errors.push(`${at} must be an object with name and instances`); return; }
+    if (!isNodeName(r.name)) errors.push(`${at}.name ${NAME_RULE}`);
+    else if (res[r.name] !== undefined) errors.push(`${at}.name "${r.name}" is declared twice`);
+    if (r.instances !== undefined && !isCount(r.instances)) errors.push(`${at}.instances must be an integer >= 1`);
+    if (r.discipline !== undefined && !RAGState.queueDisciplines[r.discipline]) errors.push(`${at}.discipline must be one of ${Object.keys(RAGState.queueDisciplines).join(', ')}`);
+    if (r.site !== undefined && !isNodeName(r.site)) errors.push(`${at}.site ${NAME_RULE}`);
+    if (isNodeName(r.name)) res[r.name] = isCount(r.instances) ? r.instances : 1;
+  });
+  doc.processes.map(normalizeProcess).forEach((p, i) => {
+    const at = `processes[${i}]`;
+    if (!isObj(p)) { errors.push(`${at} must be a name or an object with a name`); return; }
+    if (!isNodeName(p.name)) errors.push(`${at}.name ${NAME_RULE}`);
+    else if (procs.has(p.name) || res[p.name] !== undefined) errors.push(`${at}.name "${p.name}" is already used`);
+    if (p.priority !== undefined && typeof p.priority !== 'number') errors.push(`${at}.priority must be a number`);
+    if (p.site !== undefined && !isNodeName(p.site)) errors.push(`${at}.site ${NAME_RULE}`);
+    if (p.maxClaims !== undefined) {
+      if (!isObj(p.maxClaims)) errors.push(`${at}.maxClaims must be an object of resource -> units`);
+      else for (const [r, n] of Object.entries(p.maxClaims)) {
+        if (res[r] === undefined) errors.push(`${at}.maxClaims refers to unknown resource "${r}"`);
+        else if (!isCount(n, 0) || n > res[r]) errors.push(`${at}.maxClaims.${r} must be an integer between 0 and ${res[r]}`);
+      }
+    }
+    if (p.script !== undefined) {
+      if (!Array.isArray(p.script)) errors.push(`${at}.script must be an array of instructions`);
+      else p.script.forEach((ins, j) => {
+        const err = instructionError(ins, res);
+        if (err) errors.push(`${at}.script[${j}] ${err}`);
+      });
+    }
+    if (isNodeName(p.name)) procs.add(p.name);
+  });
+
+  if (doc.assignments !== undefined) {
+    if (!isObj(doc.assignments)) errors.push('assignments must be an object of resource -> {process: units}');
+    else for (const [r, holders] of Object.entries(doc.assignments)) {
+      if (res[r] === undefined) { errors.push(`assignments refers to unknown resource "${r}"`); continue; }
+      if (!isObj(holders)) { errors.push(`assignments.${r} must be an object of process -> units`); continue; }
+      let sum = 0;
+      for (const [p, n] of Object.entries(holders)) {
+        if (!procs.has(p)) errors.push(`assignments.${r} refers to unknown process "${p}"`);
+        if (!isCount(n)) errors.push(`assignments.${r}.${p} must be an integer >= 1`);
+        else sum += n;
+      }
+      if (sum > res[r]) errors.push(`assignments.${r} assigns ${sum} units but ${r} has only ${res[r]}`);
+    }
+  }
+
+  if (doc.events !== undefined && !Array.isArray(doc.events)) errors.push('events must be an array');
+  else (doc.events || []).forEach((e, i) => {
+    const at = `events[${i}]`;
+    if (!isObj(e)) { errors.push(`${at} must be an object`); return; }
+    if (e.type !== 'request' && e.type !== 'release') errors.push(`${at}.type must be "request" or "release"`);
+    if (!procs.has(e.process)) errors.push(`${at}.process "${e.process}" is not a declared process`);
+    if (e.resources !== undefined) {
+      if (e.type !== 'request') errors.push(`${at}.resources is only allowed on request events`);
+      if (e.resource !== undefined || e.count !== undefined) errors.push(`${at} must have either resource/count or resources, not both`);
+      if (!isObj(e.resources) || !Object.keys(e.resources).length) errors.push(`${at}.resources must be an object of resource -> units`);
+      else for (const [r, n] of Object.entries(e.resources)) {
+        if (res[r] === undefined) errors.push(`${at}.resources refers to unknown resource "${r}"`);
+        if (!isCount(n)) errors.push(`${at}.resources.${r} must be an integer >= 1`);
+      }
+    } else if (res[e.resource] === undefined) errors.push(`${at}.resource "${e.resource}" is not a declared resource`);
+    if (e.count !== undefined && !isCount(e.count)) errors.push(`${at}.count must be an integer >= 1`);
+    if (e.at !== undefined && !isCount(e.at, 0)) errors.push(`${at}.at must be a step number >= 0`);
+  });
+
+  if (doc.positions !== undefined) {
+    if (!isObj(doc.positions)) errors.push('positions must be an object of node -> {x, y}');
+    else for (const [n, pos] of Object.entries(doc.positions)) {
+      if (!procs.has(n) && res[n] === undefined) errors.push(`positions refers to unknown node "${n}"`);
+      else if (!isObj(pos) || !Number.isFinite(pos.x) || !Number.isFinite(pos.y)) errors.push(`positions.${n} must be {x, y} numbers`);
+    }
+  }
+
+  if (doc.generator !== undefined && (!isObj(doc.generator) || !Number.isInteger(doc.generator.seed)))
+    errors.push('generator must be an object with an integer seed');
+
+  if (doc.options !== undefined && !isObj(doc.options)) errors.push('options must be an object');
+  else if (doc.options) {
+    const { scheduler, seed, aging, starvationSteps, prevention, distributed } = doc.options;
+    if (scheduler !== undefined && !RAGState.schedulers[scheduler]) errors.push(`options.scheduler must be one of ${Object.keys(RAGState.schedulers).join(', ')}`);
+    if (seed !== undefined && !Number.isInteger(seed)) errors.push('options.seed must be an integer');
+    if (aging !== undefined && !(typeof aging === 'number' && aging >= 0)) errors.push('options.aging must be a number >= 0');
+    if (starvationSteps !== undefined && !isCount(starvationSteps, 0)) errors.push('options.starvationSteps must be an integer >= 0');
+    if (prevention !== undefined && !RAGState.preventionPolicies[prevention]) errors.push(`options.prevention must be one of ${Object.keys(RAGState.preventionPolicies).join(', ')}`);
+    if (distributed !== undefined) {
+      if (!isObj(distributed)) errors.push('options.distributed must be an object');
+      else {
+        if (distributed.mode !== undefined && !RAGState.distributedModes[distributed.mode]) errors.push(`options.distributed.mode must be one of ${Object.keys(RAGState.distributedModes).join(', ')}`);
+        if (distributed.latency !== undefined && !isCount(distributed.latency)) errors.push('options.distributed.latency must be an integer >= 1');
+        if (distributed.interval !== undefined && !isCount(distributed.interval)) errors.push('options.distributed.interval must be an integer >= 1');
+        if (distributed.coordinator !== undefined && !isNodeName(distributed.coordinator)) errors.push('options.distributed.coordinator must be a site name');
+      }
+    }
+  }
+  return errors;
+}
+
+// Build a fresh RAGState from a scenario document; throws ScenarioError when invalid
+function scenarioToState(doc) {
+  const errors = validateScenario(doc);
+  if (errors.length) throw new ScenarioError(errors);
+  const st = new RAGState();
+  for (const r of doc.resources) {
+    st.addResource(r.name, r.instances || 1);
+    if (r.discipline) st.getResource(r.name).discipline = r.discipline;
+    if (r.site) st.getResource(r.name).site = r.site;
+  }
+  for (const p of doc.processes.map(normalizeProcess)) {
+    st.addProcess(p.name, p.priority || 0);
+    if (p.site) st.getProcess(p.name).site = p.site;
+    for (const [r, n] of Object.entries(p.maxClaims || {})) st.setMaxClaim(p.name, r, n);
+    if (p.script) st.setScript(p.name, p.script);
+  }
+  for (const [r, holders] of Object.entries(doc.assignments || {}))
+    for (const [p, n] of Object.entries(holders)) st.assignments[r][p] = n;
+  for (const e of doc.events || []) {
+    const evt = e.resources
+      ? { type: e.type, process: e.process, resources: { ...e.resources } }
+      : { type: e.type, process: e.process, resource: e.resource, count: e.count || 1 };
+    if (e.at !== undefined) evt.at = e.at;
+    st.enqueueEvent(evt);
+  }
+  for (const [n, pos] of Object.entries(doc.positions || {})) st.nodePositions[n] = { x: pos.x, y: pos.y };
+  const opts = doc.options || {};
+  st.avoidance = !!opts.avoidance;
+  if (opts.avoidanceStrategy) st.avoidanceStrategy = opts.avoidanceStrategy === 'banker' ? 'banker' : 'cycle';
+  if (opts.detection) st.detection = opts.detection === 'cycle' ? 'cycle' : 'reduction';
+  if (opts.scheduler) st.scheduler = opts.scheduler;
+  if (opts.seed !== undefined) st.setSeed(opts.seed);
+  if (opts.aging !== undefined) st.queueing.aging = opts.aging;
+  if (opts.starvationSteps !== undefined) st.queueing.starvationSteps = opts.starvationSteps;
+  if (opts.prevention !== undefined) st.prevention = opts.prevention;
+  for (const key of ['mode', 'latency', 'interval', 'coordinator'])
+    if (opts.distributed && opts.distributed[key] !== undefined) st.distributed[key] = opts.distributed[key];
+  if (doc.generator) st.generator = deepClone(doc.generator);
+  st.logs.push(`Loaded scenario: ${doc.name || 'untitled'}${doc.description ? ` (${doc.description})` : ''}`);
+  return st;
+}
+
+// Check of one serialized RAGState: its nodes, and that holdings, queues and events refer to
+// them; `at` names it in the messages
+function validateSnapshot(snap, at) {
+  if (!isObj(snap)) return [`${at} must be a snapshot object`];
+  const errors = [];
+  if (!Array.isArray(snap.processes)) errors.push(`${at}.processes must be an array`);
+  if (!Array.isArray(snap.resources)) errors.push(`${at}.resources must be an array`);
+  if (errors.length) return errors;
+  const procs = new Set(), res = new Set();
+  snap.processes.forEach((p, i) => {
+    if (!isObj(p)) errors.push(`${at}.processes[${i}] must be an object`);
+    else if (!isNodeName(p.name)) errors.push(`${at}.processes[${i}].name ${NAME_RULE}`);
+    else if (p.site && !isNodeName(p.site)) errors.push(`${at}.processes[${i}].site ${NAME_RULE}`);
+    else procs.add(p.name);
+  });
+  snap.resources.forEach((r, i) => {
+    if (!isObj(r)) errors.push(`${at}.resources[${i}] must be an object`);
+    else if (!isNodeName(r.name)) errors.push(`${at}.resources[${i}].name ${NAME_RULE}`);
+    else if (r.site && !isNodeName(r.site)) errors.push(`${at}.resources[${i}].site ${NAME_RULE}`);
+    else if (r.total !== undefined && !isCount(r.total)) errors.push(`${at}.resources[${i}].total must be an integer >= 1`);
+    else res.add(r.name);
+  });
+  if (snap.assignments !== undefined) {
+    if (!isObj(snap.assignments)) errors.push(`${at}.assignments must be an object`);
+    else for (const [r, holders] of Object.entries(snap.assignments)) {
+      if (!res.has(r)) errors.push(`${at}.assignments refers to unknown resource "${r}"`);
+      else if (!isObj(holders)) errors.push(`${at}.assignments.${r} must be an object of process -> units`);
+      else for (const [p, n] of Object.entries(holders)) {
+        if (!procs.has(p)) errors.push(`${at}.assignments.${r} refers to unknown process "${p}"`);
+        else if (!isCount(n, 0)) errors.push(`${at}.assignments.${r}.${p} must be an integer >= 0`);
+      }
+    }
+  }
+  if (snap.waitingRequests !== undefined) {
+    if (!isObj(snap.waitingRequests)) errors.push(`${at}.waitingRequests must be an object`);
+    else for (const [r, queue] of Object.entries(snap.waitingRequests)) {
+      if (!res.has(r)) errors.push(`${at}.waitingRequests refers to unknown resource "${r}"`);
+      else if (!Array.isArray(queue)) errors.push(`${at}.waitingRequests.${r} must be an array`);
+      else queue.forEach((q, i) => {
+        if (!isObj(q) || !procs.has(q.process)) errors.push(`${at}.waitingRequests.${r}[${i}] must name a process of the snapshot`);
+        else if (!isCount(q.count)) errors.push(`${at}.waitingRequests.${r}[${i}].count must be an integer >= 1`);
+      });
+    }
+  }
+  if (snap.eventQueue !== undefined) {
+    if (!Array.isArray(snap.eventQueue)) errors.push(`${at}.eventQueue must be an array`);
+    else snap.eventQueue.forEach((e, i) => {
+      if (!isObj(e) || !procs.has(e.process)) errors.push(`${at}.eventQueue[${i}] must name a process of the snapshot`);
+      else if (!Object.keys(eventParts(e)).every(r => res.has(r))) errors.push(`${at}.eventQueue[${i}] refers to an unknown resource`);
+    });
+  }
+  return errors;
+}
+
+// Validate an exported trace ({trace, generatedAt} or a bare array of snapshots)
+function validateTrace(doc) {
+  const trace = Array.isArray(doc) ? doc : doc && doc.trace;
+  if (!Array.isArray(trace)) return ['Trace must contain a "trace" array of snapshots'];
+  if (!trace.length) return ['Trace contains no snapshots'];
+  return trace.flatMap((snap, i) => validateSnapshot(snap, `trace[${i}]`)).slice(0, 20);
+}
+
+// Parse an imported file. Returns {kind:'scenario', state} or {kind:'trace', history}.
+function parseImport(text) {
+  let doc;
+  try { doc = JSON.parse(text); }
+  catch (err) { throw new ScenarioError([`File is not valid JSON: ${err.message}`]); }
+  if (Array.isArray(doc) || (isObj(doc) && doc.trace !== undefined)) {
+    const errors = validateTrace(doc);
+    if (errors.length) throw new ScenarioError(errors);
+    const trace = Array.isArray(doc) ? doc : doc.trace;
+    // Anything the checks above let through that the engine still cannot read is reported the
+    // same way, before the caller touches its simulator
+    try {
+      return { kind: 'trace', history: trace.map(snap => {
+        const st = RAGState.from(snap);
+        RAGState.findDeadlock(st);
+        return st.serialize();
+      }) };
+    } catch (err) {
+      throw new ScenarioError([`Trace contains a snapshot this version cannot read: ${err.message}`]);
+    }
+  }
+  return { kind: 'scenario', state: scenarioToState(doc) };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SCENARIO_FORMAT, SCENARIO_VERSION, ScenarioError, validateScenario, scenarioToState, validateSnapshot, validateTrace, parseImport };
+}
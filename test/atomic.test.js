@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RAGState, Simulator, explainDenials, run, toDSL, parseDSL, validateScenario, scenarioToState } = require('../headless.js');
+const { parseState } = require('./helpers.js');
+
+const played = st => {
+  const sim = new Simulator();
+  sim.loadState(st);
+  run(sim);
+  return sim.state;
+};
+
+test('an atomic request is granted whole or waits whole, never in part', () => {
+  const st = parseState('resource CPU\nresource IO\nprocess P1\nprocess P2\nP2 holds IO 1');
+  const res = st.requestAll('P1', { CPU: 1, IO: 1 });
+  assert.equal(res.queued, true);
+  assert.equal(st.heldTotal('P1'), 0);
+  assert.deepEqual([st.waitingRequests.CPU.length, st.waitingRequests.IO.length], [1, 1]);
+  assert.equal(st.waitingRequests.CPU[0].group, st.waitingRequests.IO[0].group);
+  assert.match(st.logs.join('\n'), /Blocked: P1 waiting for 1 CPU \+ 1 IO \(all or nothing\)/);
+
+  st.release('P2', 'IO', 1);
+  assert.equal(st.heldBy('P1', 'CPU'), 1);
+  assert.equal(st.heldBy('P1', 'IO'), 1);
+  assert.equal(st.isWaiting('P1'), false);
+  assert.match(st.logs[st.logs.length - 1], /Unblocked: P1 granted 1 CPU \+ 1 IO from queue \(all at once\)/);
+});
+
+test('atomic requests cannot deadlock where separate requests do', () => {
+  const separate = played(parseState(`resource CPU\nresource IO\nprocess P1\nprocess P2
+P1 request CPU 1\nP2 request IO 1\nP1 request IO 1\nP2 request CPU 1`));
+  assert.equal(RAGState.findDeadlock(separate).hasDeadlock, true);
+
+  const atomic = played(parseState(`resource CPU\nresource IO\nprocess P1\nprocess P2
+P1 request CPU 1 + IO 1\nP2 request IO 1 + CPU 1\nP1 release CPU 1\nP1 release IO 1`));
+  assert.equal(RAGState.findDeadlock(atomic).hasDeadlock, false);
+  assert.equal(atomic.heldTotal('P2'), 2);
+});
+
+test('only parts that do not fit add wait-for edges, and avoidance tries the whole request', () => {
+  const st = parseState('resource CPU\nresource IO\nprocess P1\nprocess P2\nP2 holds IO 1\nP1 waits CPU 1 + IO 1');
+  assert.deepEqual(RAGState.buildWFG(st), { P1: ['P2'], P2: [] });
+
+  const unsafe = parseState(`avoidance banker\nresource A x2\nresource B x2\nprocess P1\nprocess P2
+P1 max A 2\nP1 max B 2\nP2 max A 2\nP2 max B 2\nP2 holds A 1`);
+  const res = unsafe.requestAll('P1', { A: 1, B: 1 });
+  assert.equal(res.denied, true);
+  assert.equal(unsafe.heldTotal('P1'), 0);
+  assert.match(unsafe.logs.join('\n'), /Blocked: P1 waiting for 1 A \+ 1 B \(all or nothing, denied by avoidance\)/);
+  assert.equal(unsafe.tryGrantWaiting('A'), false);
+
+  const claim = parseState('avoidance banker\nresource A x2\nresource B\nprocess P1\nP1 max A 1\nP1 max B 1');
+  assert.equal(claim.requestAll('P1', { A: 2, B: 1 }).ok, false);
+  assert.match(claim.logs.join('\n'), /exceeds its declared maximum claim on A \(need 1\)/);
+});
+
+test('cancelling one part withdraws the whole request; renames and removals follow events', () => {
+  const st = parseState('resource CPU\nresource IO\nprocess P1\nprocess P2\nP2 holds IO 1\nP1 waits CPU 1 + IO 1\nP2 request CPU 1 + IO 1');
+  assert.equal(st.cancelRequest('P1', 'IO'), true);
+  assert.equal(st.isWaiting('P1'), false);
+
+  st.rename('IO', 'Disk');
+  assert.deepEqual(st.eventQueue[0].resources, { CPU: 1, Disk: 1 });
+  st.removeResource('Disk');
+  assert.equal(st.eventQueue.length, 0);
+});
+
+test('a held-back atomic request is explained once with all its parts', () => {
+  const st = parseState(`avoidance banker\nresource A x2\nresource B x2\nprocess P1\nprocess P2
+P1 max A 2\nP1 max B 2\nP2 max A 2\nP2 max B 2\nP2 holds A 1\nP1 waits A 1 + B 1`);
+  const denials = explainDenials(st);
+  assert.equal(denials.length, 1);
+  assert.match(denials[0].text, /^P1 waits for 1 A and 1 B together although all of it is free: Banker's algorithm denies it/);
+  assert.deepEqual(denials[0].highlight.edges.map(e => e.resource), ['A', 'B']);
+});
+
+test('atomic requests survive scripts, snapshots and scenario files', () => {
+  const st = parseState('resource CPU\nresource IO\nprocess P1\nprocess P2\nP2 holds IO 1\nP1 waits CPU 1 + IO 1\nP2 request CPU 2 + IO 1 at 4');
+  const text = toDSL(st);
+  assert.match(text, /^P1 waits CPU 1 \+ IO 1$/m);
+  assert.match(text, /^P2 request CPU 2 \+ IO 1 at 4$/m);
+  assert.equal(toDSL(parseState(text)), text);
+  assert.equal(RAGState.from(JSON.parse(JSON.stringify(st.serialize()))).groupEntries(st.waitingRequests.CPU[0].group).length, 2);
+  assert.match(parseDSL('resource A\nprocess P\nP request A 1 + A').errors[0].message, /A appears twice/);
+  assert.match(parseDSL('resource A\nprocess P\nP request A 1 +').errors[0].message, /expected a resource after "\+"/);
+
+  const doc = { resources: [{ name: 'CPU' }, { name: 'IO' }], processes: ['P1'], events: [{ type: 'request', process: 'P1', resources: { CPU: 1, IO: 1 } }] };
+  assert.deepEqual(validateScenario(doc), []);
+  assert.equal(played(scenarioToState(doc)).heldTotal('P1'), 2);
+  const bad = { ...doc, events: [{ type: 'release', process: 'P1', resource: 'CPU', resources: { GPU: 0 } }] };
+  assert.deepEqual(validateScenario(bad), [
+    'events[0].resources is only allowed on request events',
+    'events[0] must have either resource/count or resources, not both',
+    'events[0].resources refers to unknown resource "GPU"',
+    'events[0].resources.GPU must be an integer >= 1'
+  ]);
+});
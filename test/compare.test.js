@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Comparison, COMPARE_STRATEGIES, stepChanges, SAMPLE_SCENARIOS, scenarioToState } = require('../headless.js');
+
+function comparison(id, left, right) {
+  return new Comparison(scenarioToState(SAMPLE_SCENARIOS.find(s => s.id === id)).serialize(), left, right);
+}
+
+test('each side gets its strategy applied to a separate copy of the state', () => {
+  const c = comparison('dining-philosophers', 'detection', 'avoid-banker');
+  const [left, right] = c.sides;
+  assert.equal(left.sim.state.avoidance, false);
+  assert.equal(right.sim.state.avoidance, true);
+  assert.equal(right.sim.state.avoidanceStrategy, 'banker');
+  assert.equal(right.label, COMPARE_STRATEGIES['avoid-banker'].label);
+  assert.notEqual(left.sim.state, right.sim.state);
+});
+
+test('both runs step in lock-step and replay their recorded future after stepping back', () => {
+  const c = comparison('dining-philosophers', 'detection', 'avoid-banker');
+  for (let i = 0; i < 5; i++) c.step();
+  assert.equal(c.cursor, 5);
+  assert.ok(c.sides.every(s => s.sim.cursor === 5 && s.sim.history.length === 6));
+  const fifth = c.sides.map(s => s.sim.state.serialize());
+  c.stepBack();
+  c.stepBack();
+  assert.equal(c.cursor, 3);
+  c.step();
+  c.step();
+  assert.deepEqual(c.sides.map(s => s.sim.state.serialize()), fifth);
+  assert.ok(c.sides.every(s => s.sim.branches.length === 1));
+});
+
+test('detection deadlocks the philosophers while the Banker delays them to completion', () => {
+  const c = comparison('dining-philosophers', 'detection', 'avoid-banker');
+  c.runToEnd();
+  assert.ok(c.done);
+  const [detect, banker] = c.sides.map(s => c.metrics(s));
+  assert.notEqual(detect.deadlockAt, null);
+  assert.equal(detect.finished, 0);
+  assert.equal(banker.deadlockAt, null);
+  assert.equal(banker.finished, 5);
+  assert.ok(banker.denied > 0);
+  assert.ok(detect.blockedProcessSteps > 0);
+});
+
+test('diff reports the first step where grants diverge and the refused requests', () => {
+  const c = comparison('dining-philosophers', 'detection', 'avoid-banker');
+  c.runToEnd();
+  const { firstDivergence, rows } = c.diff();
+  assert.equal(firstDivergence, rows.find(r => r.diverged).step);
+  const first = rows[0];
+  assert.ok(first.left.grants.length > 0);
+  assert.equal(first.right.grants.length, 0);
+  assert.ok(first.right.denied.length > 0);
+  assert.equal(c.sides[0].sim.history[first.index].step, first.step);
+});
+
+test('identical strategies never diverge', () => {
+  const c = comparison('contention', 'as-is', 'as-is');
+  c.runToEnd();
+  assert.equal(c.diff().firstDivergence, null);
+  assert.deepEqual(c.metrics(c.sides[0]), c.metrics(c.sides[1]));
+});
+
+test('metrics only count steps up to the cursor', () => {
+  const c = comparison('dining-philosophers', 'detection', 'detection');
+  c.runToEnd();
+  const end = c.metrics(c.sides[0]);
+  c.jumpTo(0);
+  const start = c.metrics(c.sides[0]);
+  assert.equal(start.blockedProcessSteps, 0);
+  assert.equal(start.grants, 0);
+  assert.equal(start.deadlockAt, null);
+  assert.ok(end.grants > 0);
+});
+
+test('stepChanges reads grants and newly queued requests off two snapshots', () => {
+  const st = scenarioToState(SAMPLE_SCENARIOS.find(s => s.id === 'contention'));
+  const prev = st.serialize();
+  const next = JSON.parse(JSON.stringify(prev));
+  const [res] = next.resources;
+  next.assignments[res.name] = { ...(next.assignments[res.name] || {}), Pz: 1 };
+  next.waitingRequests[res.name] = [...(next.waitingRequests[res.name] || []), { process: 'Py', count: 2 }];
+  const c = stepChanges(prev, next);
+  assert.deepEqual(c.grants, [`Pz <- 1 ${res.name}`]);
+  assert.deepEqual(c.queued, [`Py waits for 2 ${res.name}`]);
+  assert.deepEqual(c.denied, []);
+});
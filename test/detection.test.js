@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RAGState, SAMPLE_SCENARIOS, scenarioToState } = require('../headless.js');
+const { makeState } = require('./helpers.js');
+
+const sample = id => scenarioToState(SAMPLE_SCENARIOS.find(s => s.id === id));
+const sortCycle = c => c.slice().sort();
+
+test('detectCyclesInAdj finds no cycle in a DAG', () => {
+  const r = RAGState.detectCyclesInAdj({ A: ['B', 'C'], B: ['C'], C: [] });
+  assert.equal(r.hasCycle, false);
+  assert.deepEqual(r.cycles, []);
+  assert.deepEqual(r.involved, []);
+});
+
+test('detectCyclesInAdj reports self loops, two-cycles and longer cycles', () => {
+  assert.deepEqual(RAGState.detectCyclesInAdj({ A: ['A'] }).cycles, [['A']]);
+  assert.deepEqual(RAGState.detectCyclesInAdj({ A: ['B'], B: ['A'] }).cycles, [['A', 'B']]);
+  const r = RAGState.detectCyclesInAdj({ A: ['B'], B: ['C'], C: ['A'], D: ['A'] });
+  assert.deepEqual(r.cycles.map(sortCycle), [['A', 'B', 'C']]);
+  assert.deepEqual(r.involved.slice().sort(), ['A', 'B', 'C']);
+});
+
+test('detectCyclesInAdj finds disjoint cycles', () => {
+  const r = RAGState.detectCyclesInAdj({ A: ['B'], B: ['A'], C: ['D'], D: ['C'] });
+  assert.equal(r.cycles.length, 2);
+  assert.deepEqual(r.involved.slice().sort(), ['A', 'B', 'C', 'D']);
+});
+
+test('buildWFG links a blocked request to every holder of the resource', () => {
+  const st = makeState({ R1: 2 }, ['P1', 'P2', 'P3']);
+  st.request('P1', 'R1');
+  st.request('P2', 'R1');
+  st.request('P3', 'R1');
+  assert.deepEqual(RAGState.buildWFG(st), { P1: [], P2: [], P3: ['P1', 'P2'] });
+});
+
+test('buildWFG skips requests that are already satisfiable', () => {
+  const st = makeState({ R1: 2 }, ['P1', 'P2']);
+  st.request('P1', 'R1');
+  st.waitingRequests.R1.push({ process: 'P2', count: 1 });
+  assert.deepEqual(RAGState.buildWFG(st), { P1: [], P2: [] });
+});
+
+test('single-instance cycles are deadlocks for both detectors', () => {
+  for (const id of ['two-proc-cycle', 'three-proc-cycle']) {
+    const st = sample(id);
+    while (st.eventQueue.length) st.stepForward();
+    assert.equal(RAGState.detectDeadlock(st).hasCycle, true, id);
+    assert.equal(RAGState.detectByReduction(st).hasDeadlock, true, id);
+  }
+});
+
+test('graph reduction clears a multi-instance cycle that the cycle detector flags', () => {
+  const st = sample('cycle-no-deadlock');
+  st.stepForward();
+  st.stepForward();
+  assert.equal(RAGState.detectDeadlock(st).hasCycle, true);
+  const red = RAGState.detectByReduction(st);
+  assert.equal(red.hasDeadlock, false);
+  assert.deepEqual(red.order[0], 'P2');
+  st.detection = 'cycle';
+  assert.equal(RAGState.findDeadlock(st).hasDeadlock, true);
+  st.detection = 'reduction';
+  assert.equal(RAGState.findDeadlock(st).hasDeadlock, false);
+});
+
+test('graph reduction separates deadlocked from merely blocked processes', () => {
+  const st = sample('two-proc-cycle');
+  st.addProcess('P3');
+  st.request('P3', 'R1');
+  while (st.eventQueue.length) st.stepForward();
+  const red = RAGState.detectByReduction(st);
+  assert.deepEqual(red.deadlocked.slice().sort(), ['P1', 'P2']);
+  assert.deepEqual(red.blocked, ['P3']);
+});
+
+test("bankersSafety returns a safe sequence or the processes that cannot finish", () => {
+  const st = makeState({ R1: 3 }, ['P1', 'P2']);
+  st.setMaxClaim('P1', 'R1', 3);
+  st.setMaxClaim('P2', 'R1', 2);
+  st.request('P1', 'R1', 1);
+  assert.deepEqual(RAGState.bankersSafety(st).sequence, ['P1', 'P2']);
+  st.request('P2', 'R1', 1);
+  st.request('P1', 'R1', 1);
+  const s = RAGState.bankersSafety(st);
+  assert.equal(s.safe, false);
+  assert.deepEqual(s.stuck, ['P1', 'P2']);
+});
+
+test('recovery by termination breaks the deadlock', () => {
+  const st = sample('three-proc-cycle');
+  while (st.eventQueue.length) st.stepForward();
+  st.recovery.enabled = true;
+  st.stepForward();
+  assert.equal(RAGState.findDeadlock(st).hasDeadlock, false);
+  assert.equal(st.processes.filter(p => p.state === 'terminated').length, 1);
+});
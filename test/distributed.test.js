@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RAGState, Simulator, SAMPLE_SCENARIOS, scenarioToState, run, localWFG, distributedSummary, toDSL, parseDSL, validateScenario } = require('../headless.js');
+const { parseState } = require('./helpers.js');
+
+const runSample = id => {
+  const sim = new Simulator();
+  sim.loadState(scenarioToState(SAMPLE_SCENARIOS.find(s => s.id === id)));
+  run(sim, { maxSteps: 40 });
+  return sim;
+};
+const cycles = st => distributedSummary(st).detections.map(d => `${d.phantom ? 'phantom ' : ''}${d.cycle.join('>')}`);
+
+test('a site sees only the wait-for edges of its own resources', () => {
+  const st = parseState('resource R1 x1 site A\nresource R2 x1 site B\nprocess P1 site A\nprocess P2 site B\nP1 holds R1 1\nP2 holds R2 1\nP1 waits R2 1\nP2 waits R1 1');
+  assert.deepEqual(st.sites(), ['A', 'B']);
+  assert.deepEqual(localWFG(st, 'A'), [['P2', 'P1']]);
+  assert.deepEqual(localWFG(st, 'B'), [['P1', 'P2']]);
+  assert.equal(st.siteOf('P1'), 'A');
+  assert.equal(new RAGState().siteOf('X'), RAGState.defaultSite);
+});
+
+test('probes chase a cycle across three sites back to every initiator', () => {
+  const sim = runSample('distributed-cycle');
+  assert.deepEqual(cycles(sim.state), ['P1>P2>P3', 'P2>P3>P1', 'P3>P1>P2']);
+  assert.match(sim.state.logs.join('\n'), /Probe: \(P1, P3, P1\) arrives at site A/);
+  assert.equal(distributedSummary(sim.state).inFlight, 0);
+});
+
+test('the coordinator finds a real cycle from the sites\' reports', () => {
+  const sim = new Simulator();
+  sim.loadState(parseState('distributed coordinator latency 2 interval 2\nresource R1 x1 site A\nresource R2 x1 site B\nprocess P1 site A\nprocess P2 site B\nP1 holds R1 1\nP2 holds R2 1\nP1 request R2 1\nP2 request R1 1'));
+  run(sim, { maxSteps: 40 });
+  assert.deepEqual(cycles(sim.state), ['P2>P1']);
+  assert.match(sim.state.logs.join('\n'), /Distributed: deadlock P2 -> P1 -> P2 detected by the coordinator at site A/);
+});
+
+test('stale reports combine into a flagged phantom deadlock', () => {
+  const sim = runSample('phantom-deadlock');
+  const summary = distributedSummary(sim.state);
+  assert.deepEqual(cycles(sim.state), ['phantom P2>P1']);
+  assert.equal(summary.phantoms, 1);
+  assert.equal(summary.detections[0].step, 9);
+  assert.equal(RAGState.findDeadlock(sim.state).hasDeadlock, false);
+});
+
+test('the detector replays from snapshots when stepping back', () => {
+  const sim = runSample('distributed-cycle');
+  const end = cycles(sim.state);
+  sim.jumpTo(2);
+  assert.deepEqual(cycles(sim.state), []);
+  run(sim, { maxSteps: 40 });
+  assert.deepEqual(cycles(sim.state), end);
+});
+
+test('sites and detector options survive scripts, snapshots and scenario files', () => {
+  const st = parseState('distributed probes latency 5 interval 1\nresource R x2 site B\nprocess P1 priority 2 site A\nP1 holds R 1');
+  assert.equal(toDSL(parseState(toDSL(st))), toDSL(st));
+  assert.match(toDSL(st), /resource R x2 site B/);
+  assert.match(toDSL(st), /^distributed probes latency 5 interval 1$/m);
+  const copy = RAGState.from(JSON.parse(JSON.stringify(st.serialize())));
+  assert.equal(copy.siteOf('P1'), 'A');
+  assert.deepEqual({ ...copy.distributed, net: undefined }, { mode: 'probes', latency: 5, interval: 1, coordinator: '', net: undefined });
+
+  const doc = { processes: [{ name: 'P1', site: 'A' }], resources: [{ name: 'R', site: 'B' }], options: { distributed: { mode: 'coordinator', coordinator: 'B' } } };
+  assert.deepEqual(validateScenario(doc), []);
+  assert.equal(scenarioToState(doc).distributed.coordinator, 'B');
+  assert.deepEqual(validateScenario({ processes: [{ name: 'P1', site: 3 }], resources: [], options: { distributed: { mode: 'gossip', latency: 0 } } }), [
+    'processes[0].site must be a name of letters, digits, _ . or -',
+    'options.distributed.mode must be one of off, probes, coordinator',
+    'options.distributed.latency must be an integer >= 1'
+  ]);
+  assert.match(parseDSL('distributed gossip').errors[0].message, /distributed must be off, probes, coordinator/);
+});
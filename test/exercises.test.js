@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ExerciseSession, validateExerciseSet, resultsToCSV, ScenarioError, SAMPLE_EXERCISES } = require('../headless.js');
+
+const CYCLE = 'resource R1 x1\nresource R2 x1\nprocess P1\nprocess P2\nP1 holds R1 1\nP2 holds R2 1\nP1 waits R2 1\nP2 waits R1 1';
+const set = (...exercises) => ({ format: 'rag-exercises', version: 1, title: 'Lab', exercises });
+
+test('the bundled sets are valid and the engine answers every exercise', () => {
+  for (const doc of SAMPLE_EXERCISES) {
+    assert.deepEqual(validateExerciseSet(doc), []);
+    const s = new ExerciseSession(doc);
+    assert.equal(s.maxScore(), doc.exercises.reduce((a, ex) => a + (ex.points || 1), 0));
+  }
+});
+
+test('yes/no and involved questions follow the engine, multi-instance cycles included', () => {
+  const s = new ExerciseSession(SAMPLE_EXERCISES[0]);
+  const id = name => s.exercises.findIndex(ex => ex.id === name);
+  assert.equal(s.answer(id('two-cycle'), 'yes').correct, true);
+  assert.equal(s.answer(id('cycle-not-enough'), 'yes').correct, false);
+  assert.equal(s.answer(id('cycle-not-enough'), 'no').correct, true);
+  assert.deepEqual(s.answer(id('who-is-stuck'), 'P7'), { ok: false, reason: 'No process named P7' });
+  assert.equal(s.answer(id('who-is-stuck'), '').ok, false);
+  assert.equal(s.answer(id('who-is-stuck'), 'P3, P1 P2').correct, true);
+});
+
+test('any safe sequence is accepted and unsafe states expect "unsafe"', () => {
+  const claims = 'resource A x3\nprocess P1\nprocess P2\nP1 max A 2\nP2 max A 2\n';
+  const s = new ExerciseSession(set(
+    { type: 'safe-sequence', script: `${claims}P1 holds A 1\nP2 holds A 1` },
+    { type: 'safe-sequence', script: `${claims}P1 holds A 1\nP2 holds A 1`, attempts: 2 },
+    { type: 'safe-sequence', script: 'resource A x2\nprocess P1\nprocess P2\nP1 max A 2\nP2 max A 2\nP1 holds A 1\nP2 holds A 1' }
+  ));
+  assert.equal(s.answer(0, 'P2, P1').correct, true);
+  assert.equal(s.answer(1, 'P1').correct, false);
+  assert.equal(s.answer(1, 'P1 -> P2').correct, true);
+  assert.deepEqual(s.answer(2, '  '), { ok: false, reason: 'Enter an answer first' });
+  assert.equal(s.progress[2].answers.length, 0);
+  assert.equal(s.answer(2, 'unsafe').correct, true);
+});
+
+test('a breaking release is tried on a copy, and every release that works counts', () => {
+  const s = new ExerciseSession(set({ type: 'breaking-release', script: CYCLE, attempts: 3 }));
+  assert.equal(s.answer(0, 'P1 R2').correct, false);
+  assert.match(s.answer(0, 'P2 releases R2').feedback, /^Correct/);
+  assert.equal(s.stateOf(0).heldBy('P2', 'R2'), 1);
+
+  const last = new ExerciseSession(set({ type: 'breaking-release', script: CYCLE }));
+  assert.equal(last.answer(0, 'P1 R2').feedback, "Not correct. The engine's answer: P1 R1 or P2 R2.");
+  assert.deepEqual(last.answer(0, 'P1 R1'), { ok: false, reason: 'This exercise is over' });
+});
+
+test('hints cost points, attempts run out and results export as JSON and CSV', () => {
+  const s = new ExerciseSession({ ...set(
+    { id: 'a', type: 'deadlocked', script: CYCLE, points: 4, hints: ['one', 'two'] },
+    { id: 'b', type: 'involved', script: CYCLE, attempts: 2 }
+  ), hintPenalty: 0.5 }, { student: 'Kim, A.' });
+  assert.equal(s.hint(0), 'one');
+  assert.equal(s.answer(0, 'y').score, 2);
+  assert.equal(s.hint(0), null);
+  assert.equal(s.answer(1, 'P1').done, false);
+  assert.equal(s.answer(1, 'none').done, true);
+
+  const r = s.results();
+  assert.deepEqual([r.score, r.maxScore, r.exercises[1].answers], [2, 5, ['P1', 'none']]);
+  const csv = resultsToCSV(r).trim().split('\n');
+  assert.equal(csv[1], '"Kim, A.",a,deadlocked,yes,true,1,2,4');
+  assert.equal(csv[3], '"Kim, A.",total,,,,,2,5');
+});
+
+test('sets are validated, including questions the state cannot answer', () => {
+  assert.deepEqual(validateExerciseSet({ format: 'rag-scenario' }), ['Not an exercise set (format must be "rag-exercises")']);
+  const errors = validateExerciseSet(set(
+    { type: 'guess', script: CYCLE },
+    { type: 'deadlocked' },
+    { type: 'involved', script: 'process P1\nP1 holds R9 1' },
+    { type: 'breaking-release', scenario: { processes: ['P1'], resources: [{ name: 'R1' }] }, points: -1 }
+  ));
+  assert.equal(errors.length, 5);
+  assert.match(errors[0], /^exercises\[0\]\.type must be one of deadlocked, involved, safe-sequence, breaking-release/);
+  assert.match(errors.join('\n'), /exercises\[3\] asks "Break the deadlock" but the state is not deadlocked/);
+  assert.throws(() => new ExerciseSession(set({ type: 'deadlocked' })), ScenarioError);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GENERATOR_DEFAULTS, SAMPLE_SCENARIOS, scenarioToState, measureRun, summarizeRuns, runExperiment, experimentCSV } = require('../headless.js');
+
+const sample = id => scenarioToState(SAMPLE_SCENARIOS.find(s => s.id === id));
+
+function sweep(overrides = {}) {
+  return {
+    source: 'generated',
+    generator: { ...GENERATOR_DEFAULTS },
+    sweep: { param: 'processes', values: [2, 4] },
+    runs: 6,
+    firstSeed: 1,
+    strategies: ['detection', 'avoid-banker'],
+    maxSteps: 200,
+    ...overrides
+  };
+}
+
+test('measureRun reports deadlock, steps, queue length and utilization', () => {
+  const dead = measureRun(sample('two-proc-cycle'));
+  assert.equal(dead.deadlocked, true);
+  assert.equal(dead.quiescent, true);
+  assert.ok(dead.meanQueue > 0);
+  assert.equal(dead.utilization, 1);
+
+  const ok = measureRun(sample('no-deadlock'));
+  assert.equal(ok.deadlocked, false);
+  assert.equal(ok.firstDeadlock, null);
+  assert.ok(ok.steps >= 4);
+  assert.ok(ok.utilization > 0 && ok.utilization < 1);
+});
+
+test('measureRun stops at maxSteps and says the run did not finish', () => {
+  const r = measureRun(sample('dining-philosophers'), { maxSteps: 3 });
+  assert.equal(r.steps, 3);
+  assert.equal(r.quiescent, false);
+});
+
+test('summarizeRuns averages steps over completed runs only', () => {
+  const runs = [
+    { strategy: 'a', x: 1, steps: 4, quiescent: true, deadlocked: false, meanQueue: 1, utilization: 0.5 },
+    { strategy: 'a', x: 1, steps: 10, quiescent: true, deadlocked: true, meanQueue: 3, utilization: 1 },
+    { strategy: 'a', x: 2, steps: 50, quiescent: false, deadlocked: false, meanQueue: 0, utilization: 0 }
+  ];
+  const [one, two] = summarizeRuns(runs);
+  assert.deepEqual(one, { strategy: 'a', x: 1, runs: 2, deadlockRate: 0.5, meanSteps: 4, meanQueue: 2, utilization: 0.75, timedOut: 0 });
+  assert.equal(two.meanSteps, null);
+  assert.equal(two.timedOut, 1);
+});
+
+test('a generated sweep runs every strategy on every seed and is reproducible', async () => {
+  const a = await runExperiment(sweep());
+  const b = await runExperiment(sweep());
+  assert.equal(a.runs.length, 2 * 6 * 2);
+  assert.deepEqual(a.runs, b.runs);
+  assert.deepEqual(a.xs, [2, 4]);
+  assert.equal(a.xLabel, 'Processes');
+  assert.equal(a.summary.length, 4);
+  for (const s of a.summary) assert.equal(s.runs, 6);
+});
+
+test('more processes contend more under detection', async () => {
+  const r = await runExperiment(sweep({ sweep: { param: 'processes', values: [2, 8] }, runs: 30, strategies: ['detection'] }));
+  const [few, many] = r.summary;
+  assert.ok(many.deadlockRate > few.deadlockRate);
+  assert.ok(many.meanQueue > few.meanQueue);
+});
+
+test('scenario experiments replay each snapshot and can be stopped early', async () => {
+  const spec = {
+    source: 'scenarios',
+    scenarios: ['two-proc-cycle', 'no-deadlock'].map(id => ({ name: id, state: sample(id).serialize() })),
+    runs: 3,
+    strategies: ['detection', 'recover-terminate']
+  };
+  const r = await runExperiment(spec);
+  assert.equal(r.xLabel, 'Scenario');
+  const rate = (strategy, x) => r.summary.find(s => s.strategy === strategy && s.x === x).deadlockRate;
+  assert.equal(rate('detection', 'two-proc-cycle'), 1);
+  assert.equal(rate('detection', 'no-deadlock'), 0);
+
+  let calls = 0;
+  const stopped = await runExperiment(spec, { shouldStop: () => ++calls > 5 });
+  assert.equal(stopped.stopped, true);
+  assert.equal(stopped.runs.length, 5);
+});
+
+test('experimentCSV writes one row per summary line or per run', async () => {
+  const r = await runExperiment(sweep({ runs: 2 }));
+  const summary = experimentCSV(r).trim().split('\n');
+  assert.equal(summary[0], 'strategy,processes,runs,deadlock_rate,mean_steps_to_completion,mean_queue_length,utilization,timed_out');
+  assert.equal(summary.length, 1 + r.summary.length);
+  const runs = experimentCSV(r, 'runs').trim().split('\n');
+  assert.equal(runs.length, 1 + r.runs.length);
+  assert.match(runs[1], /^detection,2,1,\d+,(true|false),(true|false),\d*,/);
+});
+
+test('experimentCSV quotes fields that contain commas', () => {
+  const csv = experimentCSV({ xLabel: 'Scenario', runs: [], summary: [{ strategy: 'detection', x: 'a, b.json', runs: 1, deadlockRate: 0, meanSteps: null, meanQueue: 0, utilization: 0, timedOut: 0 }] });
+  assert.equal(csv.split('\n')[1], 'detection,"a, b.json",1,0,,0,0,0');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Simulator, SAMPLE_SCENARIOS, scenarioToState, parseDSL, coffmanConditions, narrateCycle, explainDenials, explainState, run } = require('../headless.js');
+
+const played = id => {
+  const sim = new Simulator();
+  sim.loadState(scenarioToState(SAMPLE_SCENARIOS.find(s => s.id === id)));
+  run(sim);
+  return sim.state;
+};
+const holding = st => Object.fromEntries(coffmanConditions(st).map(c => [c.key, c.holds]));
+
+test('a two-process deadlock meets all four conditions and is narrated edge by edge', () => {
+  const st = played('two-proc-cycle');
+  assert.deepEqual(holding(st), { 'mutual-exclusion': true, 'hold-and-wait': true, 'no-preemption': true, 'circular-wait': true });
+  assert.equal(narrateCycle(st, ['P1', 'P2']), 'P1 waits for R2, held by P2, which waits for R1, held by P1');
+  const ex = explainState(st);
+  assert.match(ex.verdict, /P1 and P2 are deadlocked; all four conditions hold\./);
+  const hop = ex.sentences.find(s => s.text.startsWith('1. '));
+  assert.deepEqual(hop.highlight.edges, [
+    { kind: 'wait', process: 'P1', resource: 'R2' },
+    { kind: 'assign', process: 'P2', resource: 'R2' }
+  ]);
+});
+
+test('a deadlock under preempting recovery is not said to meet all four conditions', () => {
+  const st = played('two-proc-cycle');
+  st.recovery = { enabled: true, policy: 'fewest-held', action: 'preempt' };
+  const ex = explainState(st);
+  assert.equal(ex.verdict, `Step ${st.step}: P1 and P2 are deadlocked; mutual exclusion, hold and wait and circular wait hold, but no preemption does not, so the deadlock can still be broken.`);
+  assert.ok(ex.sentences.some(s => s.text.startsWith('No preemption does not hold. Automatic recovery preempts')));
+});
+
+test('without a deadlock the verdict names the conditions that are broken', () => {
+  const st = parseDSL('resource R\nprocess P1\nprocess P2\nP1 holds R 1\nP2 waits R 1').state;
+  assert.deepEqual(holding(st), { 'mutual-exclusion': true, 'hold-and-wait': false, 'no-preemption': true, 'circular-wait': false });
+  assert.match(explainState(st).verdict, /no deadlock, because hold and wait and circular wait do not hold/);
+  st.recovery = { enabled: true, policy: 'fewest-held', action: 'preempt' };
+  assert.equal(holding(st)['no-preemption'], false);
+});
+
+test('a multi-instance cycle is explained as broken by a process outside it', () => {
+  const sim = new Simulator();
+  sim.loadState(scenarioToState(SAMPLE_SCENARIOS.find(s => s.id === 'cycle-no-deadlock')));
+  while (!holding(sim.state)['circular-wait']) sim.stepForward();
+  const ex = explainState(sim.state);
+  assert.match(ex.verdict, /all four conditions hold, but there is no deadlock/);
+  assert.ok(ex.sentences.some(s => /This cycle is not a deadlock: P2 is outside it/.test(s.text)));
+});
+
+test("denials are explained with Banker's Work and the processes that could not finish", () => {
+  const st = parseDSL('avoidance banker\nresource R1\nresource R2\nprocess P1\nprocess P2\nP1 max R1 1\nP1 max R2 1\nP2 max R1 1\nP2 max R2 1\nP1 holds R1 1\nP2 waits R2 1').state;
+  const [d] = explainDenials(st);
+  assert.equal(d.process, 'P2');
+  assert.match(d.text, /P2 waits for 1 R2 although 1 is free: Banker's algorithm denies it/);
+  assert.match(d.text, /Work R1=0, R2=0; P1 may still need 1 R2 and P2 may still need 1 R1/);
+  assert.deepEqual(d.highlight.nodes, ['P2', 'R2', 'P1']);
+});
+
+test('cycle avoidance denials name the cycle the grant would close', () => {
+  const st = parseDSL('avoidance cycle\nresource R2 x2\nresource R3\nprocess P1\nprocess P2\nP1 holds R3 1\nP1 waits R2 2\nP2 waits R2 1\nP2 waits R3 1').state;
+  const denials = explainDenials(st);
+  assert.equal(denials.length, 1);
+  assert.match(denials[0].text, /P2 waits for 1 R2 although 2 are free: granting it would close the wait-for cycle P1 → P2 → P1/);
+  st.avoidance = false;
+  assert.deepEqual(explainDenials(st), []);
+});
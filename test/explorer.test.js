@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RAGState, Simulator, run, exploreInterleavings, describeOrder } = require('../headless.js');
+const { parseState } = require('./helpers.js');
+
+// Two processes taking R1 and R2 in opposite orders: safe as queued, deadlocks when interleaved
+const OPPOSITE = `resource R1 x1
+resource R2 x1
+process P1
+process P2
+P1 request R1 1
+P1 request R2 1
+P1 release R1 1
+P1 release R2 1
+P2 request R2 1
+P2 request R1 1
+P2 release R2 1
+P2 release R1 1`;
+
+test('an order the queue never runs reaches the deadlock', () => {
+  const sim = new Simulator();
+  sim.loadState(parseState(OPPOSITE));
+  assert.equal(run(sim).firstDeadlock, null);
+
+  const r = exploreInterleavings(parseState(OPPOSITE));
+  assert.equal(r.deadlock, true);
+  assert.deepEqual(r.cycles, [['P1', 'P2']]);
+  assert.deepEqual(describeOrder(r.order), ['P1 request R1 1', 'P2 request R2 1', 'P1 request R2 1', 'P2 request R1 1']);
+});
+
+test('the counterexample loads as a trace that ends in the cycle and replays by stepping', () => {
+  const r = exploreInterleavings(parseState(OPPOSITE));
+  const sim = new Simulator();
+  sim.loadHistory(r.trace);
+  assert.equal(sim.history.length, r.order.length + 1);
+  assert.equal(RAGState.detectDeadlock(sim.state).hasCycle, true);
+
+  sim.jumpTo(0);
+  for (let i = 0; i < r.order.length; i++) sim.stepForward();
+  assert.equal(sim.history.length, r.order.length + 1);
+  assert.equal(RAGState.detectDeadlock(sim.state).hasCycle, true);
+});
+
+// Both processes take R1 before R2
+const SAME_ORDER = OPPOSITE.replace('P2 request R2 1\nP2 request R1 1', 'P2 request R1 1\nP2 request R2 1');
+
+test('a scenario that is safe in every order is searched completely', () => {
+  const r = exploreInterleavings(parseState(SAME_ORDER));
+  assert.equal(r.deadlock, false);
+  assert.equal(r.complete, true);
+  assert.equal(r.order, null);
+  assert.ok(r.explored > 1);
+});
+
+test('duplicate states are pruned and the state limit leaves the answer open', () => {
+  const r = exploreInterleavings(parseState(OPPOSITE), { perProcess: false });
+  assert.equal(r.deadlock, true);
+  assert.ok(r.pruned > 0);
+  assert.equal(r.order.length, 4);
+
+  const cut = exploreInterleavings(parseState(OPPOSITE), { maxStates: 3 });
+  assert.deepEqual([cut.deadlock, cut.complete, cut.explored], [false, false, 3]);
+});
+
+test('without program order a waiting process may go on requesting', () => {
+  const r = exploreInterleavings(parseState(SAME_ORDER), { perProcess: false });
+  assert.equal(r.deadlock, true);
+  assert.deepEqual(describeOrder(r.order), ['P1 request R1 1', 'P2 request R1 1', 'P2 request R2 1', 'P1 request R2 1']);
+});
+
+test('timing, recovery and the explored state itself are left alone', () => {
+  const st = parseState(OPPOSITE.replace('P2 request R2 1', 'P2 request R2 1 at 9'));
+  st.recovery.enabled = true;
+  const before = JSON.stringify(st.serialize());
+  const r = exploreInterleavings(st);
+  assert.equal(r.deadlock, true);
+  assert.equal(JSON.stringify(st.serialize()), before);
+  assert.equal(RAGState.from(r.trace[0]).eventQueue.some(e => e.at !== undefined), false);
+});
+
+test('process scripts are interleaved step by step in program order', () => {
+  const scripts = 'resource R1 x1\nresource R2 x1\nprocess P1\nprocess P2\n'
+    + 'P1 runs request R1 1; compute 2; request R2 1; release all\nP2 runs request R2 1; delay 1; request R1 1; release all';
+  const r = exploreInterleavings(parseState(scripts));
+  assert.equal(r.deadlock, true);
+  assert.deepEqual(describeOrder(r.order), ['P1 runs request R1 1', 'P2 runs request R2 1', 'P1 runs request R2 1', 'P2 runs request R1 1']);
+  assert.equal(RAGState.detectDeadlock(RAGState.from(r.trace.at(-1))).hasCycle, true);
+
+  const safe = exploreInterleavings(parseState(scripts.replace('request R2 1; delay 1; request R1 1', 'request R1 1; delay 1; request R2 1')));
+  assert.deepEqual([safe.deadlock, safe.complete], [false, true]);
+  assert.ok(safe.explored > 4);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const headless = require('../headless.js');
+const { Simulator, distributedSummary } = headless;
+const { parseState } = require('./helpers.js');
+
+// The renderer and the SVG export are browser scripts: run them in a context that has the
+// headless globals. The renderer's constructor needs a DOM canvas, so it is skipped and only the
+// fields that painting reads are set.
+function svgExporter() {
+  const context = vm.createContext({ ...headless, window: {} });
+  for (const file of ['rag.js', 'layout.js', 'export.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+  }
+  const { Renderer, renderSVG } = vm.runInContext('({ Renderer, renderSVG })', context);
+  const renderer = Object.assign(Object.create(Renderer.prototype), {
+    canvas: { clientWidth: 900, clientHeight: 600 }, pixelRatio: 1, margin: 40, nodeRadius: 18, instanceDot: 6,
+    layoutMode: 'columns', positions: {}, edges: [], showWFG: false, highlight: null, hideVerdict: false,
+    colors: { assign: '#44d37c', wait: '#ff6b6b', wfg: '#9e8dff', starving: '#ff9f1c', highlight: '#ffe066', probe: '#f472b6' }
+  });
+  return state => renderSVG(renderer, state);
+}
+
+test('SVG export draws site boxes and the detector\'s messages in flight', () => {
+  const sim = new Simulator();
+  sim.loadState(parseState('distributed coordinator latency 3 interval 1\nresource R1 x1 site A\nresource R2 x1 site B\nprocess P1 site A\nprocess P2 site B\nP1 holds R1 1\nP2 holds R2 1\nP1 request R2 1\nP2 request R1 1'));
+  while (!distributedSummary(sim.state).messages.some(m => m.kind !== 'probe')) sim.stepForward();
+  const svg = svgExporter()(sim.state);
+  assert.match(svg, /^<svg [^>]*width="900" height="600"/);
+  assert.match(svg, />site A \(coordinator\)<\/text>/);
+  assert.match(svg, />site B<\/text>/);
+  assert.match(svg, /<path d="M[^"]*h12v8h-12Z" fill="#f472b6"\/>/);
+});
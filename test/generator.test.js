@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Simulator, RAGState, ScenarioError, GENERATOR_DEFAULTS, generateScenario, validateScenario, scenarioToState, run } = require('../headless.js');
+
+function play(doc) {
+  const sim = new Simulator();
+  sim.loadState(scenarioToState(doc));
+  return run(sim);
+}
+
+test('the same seed and parameters produce the same scenario', () => {
+  const params = { seed: 42, processes: 5, resources: 4, maxInstances: 3, bias: 'deadlock' };
+  assert.deepEqual(generateScenario(params), generateScenario(params));
+  assert.notDeepEqual(generateScenario({ seed: 1 }).events, generateScenario({ seed: 2 }).events);
+});
+
+test('generated scenarios are valid and record their parameters', () => {
+  for (let seed = 0; seed < 50; seed++) {
+    const doc = generateScenario({ seed, processes: 6, resources: 4, minInstances: 1, maxInstances: 3 });
+    assert.deepEqual(validateScenario(doc), [], `seed ${seed}`);
+    assert.deepEqual(doc.generator, { ...GENERATOR_DEFAULTS, seed, processes: 6, resources: 4, maxInstances: 3 });
+    assert.equal(doc.processes.length, 6);
+    assert.equal(doc.resources.length, 4);
+    for (const r of doc.resources) assert.ok(r.instances >= 1 && r.instances <= 3);
+  }
+});
+
+test('no process is ever asked to hold more than its maximum claim or a resource total', () => {
+  for (let seed = 0; seed < 50; seed++) {
+    const doc = generateScenario({ seed, density: 0.8, holdAndWait: 1 });
+    const total = Object.fromEntries(doc.resources.map(r => [r.name, r.instances]));
+    for (const p of doc.processes) {
+      const asked = {};
+      for (const [r, holders] of Object.entries(doc.assignments)) asked[r] = holders[p.name] || 0;
+      for (const e of doc.events) if (e.process === p.name && e.type === 'request') asked[e.resource] = (asked[e.resource] || 0) + e.count;
+      for (const [r, n] of Object.entries(asked)) {
+        assert.ok(n <= p.maxClaims[r], `seed ${seed}: ${p.name} asks ${n} ${r}`);
+        assert.ok(n <= total[r]);
+      }
+    }
+  }
+});
+
+test('hold-and-wait 1 makes every process start out holding something and request more', () => {
+  const doc = generateScenario({ seed: 3, processes: 3, resources: 3, minInstances: 3, maxInstances: 3, holdAndWait: 1, density: 0 });
+  for (const p of doc.processes) {
+    assert.ok(Object.values(doc.assignments).some(h => h[p.name] > 0), p.name);
+    assert.ok(doc.events.some(e => e.process === p.name && e.type === 'request'), p.name);
+  }
+});
+
+test('the deadlock bias yields scenarios that deadlock when played', () => {
+  for (let seed = 1; seed <= 15; seed++) {
+    assert.notEqual(play(generateScenario({ seed, bias: 'deadlock' })).firstDeadlock, null, `seed ${seed}`);
+  }
+});
+
+test('the safe bias yields Banker-safe scenarios that never deadlock when played', () => {
+  for (let seed = 1; seed <= 15; seed++) {
+    const doc = generateScenario({ seed, bias: 'safe' });
+    assert.ok(RAGState.bankersSafety(scenarioToState(doc)).safe, `seed ${seed}`);
+    assert.equal(play(doc).firstDeadlock, null, `seed ${seed}`);
+  }
+});
+
+test('bad parameters and unreachable biases throw ScenarioError', () => {
+  assert.throws(() => generateScenario({ processes: 0, density: 2, bias: 'maybe' }), err => {
+    assert.ok(err instanceof ScenarioError);
+    assert.equal(err.errors.length, 3);
+    return true;
+  });
+  assert.throws(() => generateScenario({ minInstances: 3, maxInstances: 2 }), ScenarioError);
+  assert.throws(() => generateScenario({ processes: 1, bias: 'deadlock' }), /No scenario matching/);
+});
+
+test('the generator parameters travel with the state through snapshots', () => {
+  const st = scenarioToState(generateScenario({ seed: 9 }));
+  assert.equal(st.generator.seed, 9);
+  const copy = RAGState.from(JSON.parse(JSON.stringify(st.serialize())));
+  assert.deepEqual(copy.generator, st.generator);
+  assert.equal(copy.getStats().generator.seed, 9);
+  assert.equal(RAGState.from(new RAGState().serialize()).generator, null);
+});
@@ -0,0 +1,69 @@
+/* Shared fixtures for the test suite */
+
+const assert = require('node:assert/strict');
+const { RAGState, parseDSL } = require('../headless.js');
+
+// Small deterministic PRNG (mulberry32) so property tests are reproducible from their seed
+function rng(seed) {
+  let a = seed | 0;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const pick = (rand, list) => list[Math.floor(rand() * list.length)];
+const int = (rand, lo, hi) => lo + Math.floor(rand() * (hi - lo + 1));
+
+// State with the given resources ({name: instances}) and processes
+function makeState(resources, processes) {
+  const st = new RAGState();
+  for (const [name, n] of Object.entries(resources)) st.addResource(name, n);
+  for (const p of processes) st.addProcess(p);
+  return st;
+}
+
+// State written in the scenario language; fails the test when the text has errors
+function parseState(src) {
+  const { state, errors } = parseDSL(src);
+  assert.deepEqual(errors, []);
+  return state;
+}
+
+// Random processes/resources; returns the state and a function applying one random operation
+function randomScenario(rand) {
+  const resources = {}, processes = [];
+  for (let i = 1, n = int(rand, 1, 4); i <= n; i++) resources[`R${i}`] = int(rand, 1, 3);
+  for (let i = 1, n = int(rand, 2, 5); i <= n; i++) processes.push(`P${i}`);
+  const st = makeState(resources, processes);
+  const randomOp = (state) => {
+    const p = pick(rand, processes), r = pick(rand, Object.keys(resources));
+    const roll = rand();
+    if (roll < 0.45) return state.request(p, r, int(rand, 1, resources[r]), { enqueueIfBlocked: true });
+    if (roll < 0.8) return state.release(p, r, int(rand, 1, 2));
+    if (roll < 0.9) return state.cancelRequest(p, r);
+    state.enqueueEvent({ type: rand() < 0.5 ? 'request' : 'release', process: p, resource: r, count: 1 });
+    return state.stepForward({ autoGrant: rand() < 0.5 });
+  };
+  return { state: st, randomOp };
+}
+
+// In-memory stand-in for localStorage; setItem throws like a full browser store once the
+// stored text would exceed `quota` characters
+function memoryStorage(quota = Infinity) {
+  const items = new Map();
+  const used = () => [...items.values()].reduce((a, v) => a + v.length, 0);
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem(key, value) {
+      const before = items.get(key) || '';
+      if (used() - before.length + String(value).length > quota) throw new Error('QuotaExceededError');
+      items.set(key, String(value));
+    },
+    removeItem: key => { items.delete(key); }
+  };
+}
+
+module.exports = { rng, pick, int, makeState, parseState, randomScenario, memoryStorage };
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Simulator, ScenarioError, SAMPLE_SCENARIOS, scenarioToState, validateScenario, parseDSL, encodePermalink, decodePermalink, isPermalink, PERMALINK_LOG_LINES, run } = require('../headless.js');
+
+async function rejects(hash, pattern) {
+  await assert.rejects(decodePermalink(hash), err => {
+    assert.ok(err instanceof ScenarioError);
+    assert.match(err.errors.join('\n'), pattern);
+    return true;
+  });
+}
+
+test('a permalink restores the exact state, including the step and pending events', async () => {
+  const sim = new Simulator();
+  sim.loadState(scenarioToState(SAMPLE_SCENARIOS.find(s => s.id === 'contention')));
+  sim.state.avoidance = true;
+  run(sim, { steps: 2 });
+  const hash = await encodePermalink(sim.state);
+  assert.match(hash, /^#s=v1\.[A-Za-z0-9_-]+$/);
+  assert.ok(isPermalink(hash));
+  const back = await decodePermalink(hash);
+  assert.deepEqual(back.serialize(), sim.state.serialize());
+  assert.equal(back.step, 2);
+  assert.ok(back.eventQueue.length > 0);
+  assert.equal(back.avoidance, true);
+});
+
+test('a link keeps only the last log lines and leaves the detector\'s messages out', async () => {
+  const sim = new Simulator();
+  sim.loadState(scenarioToState(SAMPLE_SCENARIOS.find(s => s.id === 'distributed-cycle')));
+  run(sim, { maxSteps: 40 });
+  const short = (await encodePermalink(sim.state)).length;
+  for (let i = 0; i < 2000; i++) sim.state.logs.push(`Note ${i}`);
+  const hash = await encodePermalink(sim.state);
+  assert.ok(hash.length < short + 200);
+  const back = await decodePermalink(hash);
+  assert.deepEqual(back.logs, sim.state.logs.slice(-PERMALINK_LOG_LINES));
+  assert.equal(back.distributed.net, undefined);
+  assert.equal(back.distributed.mode, 'probes');
+  const rest = ({ logs, distributed, ...snap }) => snap;
+  assert.deepEqual(rest(back.serialize()), rest(sim.state.serialize()));
+});
+
+test('truncated or garbled links are reported as damaged', async () => {
+  const hash = await encodePermalink(scenarioToState(SAMPLE_SCENARIOS[0]));
+  await rejects(hash.slice(0, -8), /incomplete or damaged/);
+  await rejects(hash.slice(0, 10), /incomplete or damaged/);
+  await rejects('#s=v1.not*base64', /incomplete or damaged/);
+  await rejects('#s=v1.', /incomplete or damaged/);
+  await rejects('#s=' + hash.slice(6), /no format version/);
+});
+
+test('links from other format versions are refused with the version named', async () => {
+  await rejects('#s=v2.AAAA', /newer version.*v2/);
+  await rejects('#s=v0.AAAA', /format v0, which is no longer supported/);
+  await rejects('#step=3', /does not contain a scenario/);
+});
+
+test('names that are not scenario-language tokens are refused wherever a state comes in', async () => {
+  const markup = '<img src=x onerror=alert(1)>';
+  const snap = scenarioToState(SAMPLE_SCENARIOS[0]).serialize();
+  snap.processes[0].name = markup;
+  await rejects(await encodePermalink({ serialize: () => snap }), /processes\[0\]\.name must be a name of letters, digits/);
+  snap.processes[0].name = 'P1';
+  snap.resources[0].site = 'a"b';
+  await rejects(await encodePermalink({ serialize: () => snap }), /resources\[0\]\.site must be a name/);
+  assert.deepEqual(validateScenario({ processes: [markup], resources: [{ name: 'R 1' }] }), ['resources[0].name must be a name of letters, digits, _ . or -', 'processes[0].name must be a name of letters, digits, _ . or -']);
+  assert.match(parseDSL(`process ${markup}`).errors.join('\n'), /is not a name/);
+  const st = scenarioToState({ processes: ['P1'], resources: [] });
+  assert.equal(st.addProcess('P<2>'), false);
+  assert.equal(st.rename('P1', 'a&b'), false);
+  assert.equal(st.setSite('P1', '<b>'), false);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RAGState, Comparison, scenarioToState, coffmanConditions, SAMPLE_SCENARIOS, toDSL, parseDSL, validateScenario } = require('../headless.js');
+const { parseState } = require('./helpers.js');
+const condition = (st, key) => coffmanConditions(st).find(c => c.key === key);
+
+test('resource ordering rejects a request against the order and logs the rule', () => {
+  const st = parseState('prevention ordering\nresource A\nresource B\nprocess P1\nprocess P2\nP1 holds B 1\nP2 holds A 1');
+  const res = st.request('P1', 'A', 1);
+  assert.equal(res.ok, false);
+  assert.equal(res.rejected, true);
+  assert.equal(res.rule, 'resource ordering');
+  assert.equal(st.waitingRequests.A.length, 0);
+  assert.match(st.logs[st.logs.length - 1], /^Rejected: P1 request 1 A violates resource ordering: P1 holds B \(#2\)/);
+
+  assert.equal(st.request('P2', 'B', 1).queued, true);
+  assert.equal(RAGState.detectDeadlock(st).hasCycle, false);
+  assert.equal(condition(st, 'circular-wait').holds, false);
+  assert.match(condition(st, 'circular-wait').text, /A < B/);
+});
+
+test('moving a resource changes which requests are in order', () => {
+  const st = parseState('prevention ordering\nresource A\nresource B\nprocess P1\nP1 holds B 1');
+  assert.equal(st.resourceRank('A'), 1);
+  assert.equal(st.moveResource('A', 1), true);
+  assert.deepEqual(st.resources.map(r => r.name), ['B', 'A']);
+  assert.equal(st.moveResource('A', 1), false);
+  assert.equal(st.request('P1', 'A', 1).granted, true);
+  assert.match(st.logs.join('\n'), /Order: A is now #2 of B < A/);
+});
+
+test('no hold-and-wait only accepts requests from processes holding nothing', () => {
+  const st = parseState('prevention no-hold-and-wait\nresource A x2\nresource B\nprocess P1\nP1 holds A 1');
+  const res = st.request('P1', 'B', 1);
+  assert.equal(res.rule, 'no hold-and-wait');
+  assert.match(res.reason, /still holds 1 A/);
+  st.release('P1', 'A', 1);
+  assert.equal(st.request('P1', 'B', 1).granted, true);
+  assert.match(condition(st, 'hold-and-wait').text, /no hold-and-wait policy/);
+});
+
+test('preempt on block takes everything a blocking process holds and queues it again', () => {
+  const st = parseState('prevention preempt\nresource A\nresource B\nprocess P1\nprocess P2\nP1 holds A 1\nP2 holds B 1');
+  const res = st.request('P1', 'B', 1);
+  assert.equal(res.queued, true);
+  assert.equal(st.heldTotal('P1'), 0);
+  assert.deepEqual(st.waitingRequests.A.map(q => q.process), ['P1']);
+  assert.match(st.logs.join('\n'), /Prevention: P1 blocked while holding resources/);
+
+  st.request('P2', 'A', 1);
+  assert.equal(st.heldBy('P2', 'A'), 1);
+  assert.equal(RAGState.findDeadlock(st).hasDeadlock, false);
+  assert.equal(condition(st, 'no-preemption').holds, false);
+});
+
+test('every prevention strategy keeps the three-process cycle from deadlocking', () => {
+  const snap = scenarioToState(SAMPLE_SCENARIOS.find(s => s.id === 'three-proc-cycle')).serialize();
+  for (const key of ['prevent-ordering', 'prevent-hold-and-wait', 'prevent-preempt']) {
+    const c = new Comparison(snap, 'detection', key);
+    c.runToEnd(200);
+    const [plain, prevented] = c.sides.map(s => s.sim.state);
+    assert.equal(RAGState.findDeadlock(plain).hasDeadlock, true, key);
+    assert.equal(RAGState.findDeadlock(prevented).hasDeadlock, false, key);
+  }
+});
+
+test('the policy survives snapshots, scripts and scenario files', () => {
+  const st = parseState('prevention ordering\nresource A\nprocess P1');
+  assert.equal(RAGState.from(JSON.parse(JSON.stringify(st.serialize()))).prevention, 'ordering');
+  assert.match(toDSL(st), /^prevention ordering$/m);
+  assert.equal(toDSL(parseState(toDSL(st))), toDSL(st));
+  assert.match(parseDSL('prevention banker').errors[0].message, /prevention must be none, ordering/);
+
+  const doc = { resources: [{ name: 'A' }], processes: ['P1'], options: { prevention: 'no-hold-and-wait' } };
+  assert.deepEqual(validateScenario(doc), []);
+  assert.equal(scenarioToState(doc).prevention, 'no-hold-and-wait');
+  assert.deepEqual(validateScenario({ ...doc, options: { prevention: 'never' } }), ['options.prevention must be one of none, ordering, no-hold-and-wait, preempt']);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RAGState, Simulator } = require('../headless.js');
+const { rng, randomScenario } = require('./helpers.js');
+
+const RUNS = 60, OPS = 40;
+
+function checkInvariants(st, where) {
+  for (const r of st.resources) {
+    const held = Object.values(st.assignments[r.name] || {});
+    assert.ok(held.every(n => Number.isInteger(n) && n > 0), `${where}: non-positive holding of ${r.name}`);
+    assert.ok(held.reduce((a, b) => a + b, 0) <= r.total, `${where}: ${r.name} over-assigned`);
+    assert.ok(st.availableOf(r.name) >= 0, `${where}: negative availability of ${r.name}`);
+  }
+  for (const p of st.processes) {
+    const waiting = st.resources.some(r => (st.waitingRequests[r.name] || []).some(q => q.process === p.name));
+    if (p.state === 'ready') assert.equal(waiting, false, `${where}: ${p.name} is both ready and waiting`);
+    if (p.state === 'blocked') assert.equal(waiting, true, `${where}: ${p.name} is blocked without waiting`);
+  }
+}
+
+test('random operations keep assignments within totals and states consistent with queues', () => {
+  for (let seed = 1; seed <= RUNS; seed++) {
+    const rand = rng(seed);
+    const { state, randomOp } = randomScenario(rand);
+    for (let i = 0; i < OPS; i++) {
+      randomOp(state);
+      checkInvariants(state, `seed ${seed}, op ${i}`);
+    }
+  }
+});
+
+test('serialize/from is lossless on random states', () => {
+  for (let seed = 1; seed <= RUNS; seed++) {
+    const rand = rng(seed);
+    const { state, randomOp } = randomScenario(rand);
+    for (let i = 0; i < OPS; i++) randomOp(state);
+    const data = state.serialize();
+    assert.deepEqual(RAGState.from(JSON.parse(JSON.stringify(data))).serialize(), data, `seed ${seed}`);
+  }
+});
+
+// A process whose queued requests on one resource add up to more than it has can never finish,
+// which reduction rightly reports without any cycle; such states are excluded below
+const satisfiable = st => st.processes.every(p => st.resources.every(r =>
+  (st.waitingRequests[r.name] || []).reduce((a, q) => a + (q.process === p.name ? q.count : 0), 0) <= r.total));
+
+test('once grantable requests are granted, every deadlock found by graph reduction contains a wait-for cycle', () => {
+  for (let seed = 1; seed <= RUNS; seed++) {
+    const rand = rng(seed);
+    const { state, randomOp } = randomScenario(rand);
+    for (let i = 0; i < OPS; i++) {
+      randomOp(state);
+      state.resources.forEach(r => state.tryGrantWaiting(r.name));
+      if (satisfiable(state) && RAGState.detectByReduction(state).hasDeadlock)
+        assert.equal(RAGState.detectDeadlock(state).hasCycle, true, `seed ${seed}, op ${i}`);
+    }
+  }
+});
+
+test("Banker's avoidance never leaves an unsafe state", () => {
+  for (let seed = 1; seed <= RUNS; seed++) {
+    const rand = rng(seed);
+    const { state, randomOp } = randomScenario(rand);
+    state.avoidance = true;
+    state.avoidanceStrategy = 'banker';
+    for (const p of state.processes)
+      for (const r of state.resources) state.setMaxClaim(p.name, r.name, Math.floor(rand() * (r.total + 1)));
+    for (let i = 0; i < OPS; i++) {
+      randomOp(state);
+      assert.equal(RAGState.bankersSafety(state).safe, true, `seed ${seed}, op ${i}`);
+    }
+  }
+});
+
+test('stepping back through history revisits every recorded state', () => {
+  for (let seed = 1; seed <= 20; seed++) {
+    const rand = rng(seed);
+    const { state, randomOp } = randomScenario(rand);
+    const sim = new Simulator();
+    sim.loadState(state);
+    const seen = [sim.state.serialize()];
+    for (let i = 0; i < 15; i++) {
+      randomOp(sim.state);
+      sim.snapshot();
+      seen.push(sim.state.serialize());
+    }
+    for (let i = seen.length - 1; i > 0; i--) {
+      assert.deepEqual(sim.state.serialize(), seen[i]);
+      sim.stepBackward();
+    }
+    assert.deepEqual(sim.state.serialize(), seen[0]);
+  }
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RAGState, Simulator, run, toDSL, validateScenario, scenarioToState } = require('../headless.js');
+const { parseState } = require('./helpers.js');
+
+const queue = (st, r) => st.queueOrder(r).map(q => q.process);
+
+test('first fit lets a small request overtake a large one at the head', () => {
+  const st = parseState('resource R x3\nprocess P1\nprocess P2\nprocess P3\nP1 holds R 2\nP2 waits R 3\nP3 waits R 1');
+  st.release('P1', 'R', 1);
+  assert.equal(st.assignments.R.P3, 1);
+  assert.deepEqual(queue(st, 'R'), ['P2']);
+});
+
+test('strict FIFO blocks behind the head and queues fresh requests behind waiters', () => {
+  const st = parseState('resource R x3 queue fifo\nprocess P1\nprocess P2\nprocess P3\nprocess P4\nP1 holds R 2\nP2 waits R 3\nP3 waits R 1');
+  st.release('P1', 'R', 1);
+  assert.equal(st.assignments.R.P3, undefined);
+  assert.deepEqual(queue(st, 'R'), ['P2', 'P3']);
+
+  const res = st.request('P4', 'R', 1);
+  assert.equal(res.queued, true);
+  assert.deepEqual(queue(st, 'R'), ['P2', 'P3', 'P4']);
+  assert.match(st.logs.join('\n'), /Queued: P4/);
+
+  st.release('P1', 'R', 1);
+  assert.equal(st.assignments.R.P2, 3);
+  assert.deepEqual(queue(st, 'R'), ['P3', 'P4']);
+});
+
+test('priority and shortest-request-first reorder the queue', () => {
+  const src = d => `resource R x4 queue ${d}\nprocess P1\nprocess P2\nprocess P3 priority 5\nP1 holds R 4\nP2 waits R 1\nP3 waits R 3`;
+  const prio = parseState(src('priority'));
+  assert.deepEqual(queue(prio, 'R'), ['P3', 'P2']);
+  prio.release('P1', 'R', 3);
+  assert.equal(prio.assignments.R.P3, 3);
+
+  const srf = parseState(src('srf'));
+  assert.deepEqual(queue(srf, 'R'), ['P2', 'P3']);
+  srf.release('P1', 'R', 1);
+  assert.equal(srf.assignments.R.P2, 1);
+});
+
+test('changing the discipline grants whatever the new order allows', () => {
+  const st = parseState('resource R x2 queue fifo\nprocess P1\nprocess P2\nprocess P3\nP1 holds R 1\nP2 waits R 2\nP3 waits R 1');
+  assert.equal(st.assignments.R.P3, undefined);
+  assert.equal(st.setDiscipline('R', 'first-fit'), true);
+  assert.equal(st.assignments.R.P3, 1);
+  assert.equal(st.setDiscipline('R', 'lifo'), false);
+});
+
+test('aging moves a long waiter ahead of later arrivals', () => {
+  const st = parseState('aging 1\nresource R x4 queue srf\nprocess P1\nprocess P2\nprocess P3\nP1 holds R 4\nP2 waits R 4');
+  st.step = 3;
+  st.request('P3', 'R', 2);
+  assert.deepEqual(queue(st, 'R'), ['P2', 'P3']);
+  st.queueing.aging = 0;
+  assert.deepEqual(queue(st, 'R'), ['P3', 'P2']);
+});
+
+test('a request waiting past the threshold is flagged once, deadlocked ones never', () => {
+  const sim = new Simulator();
+  sim.loadState(parseState(`starvation 2
+resource R x2
+resource A
+resource B
+process P1
+process P2
+process X
+process Y
+P1 holds R 1
+X holds A 1
+Y holds B 1
+P2 waits R 2
+X waits B 1
+Y waits A 1
+P1 runs compute 6`));
+  run(sim);
+  const logs = sim.state.logs.filter(l => l.startsWith('Starvation'));
+  assert.deepEqual(logs, ['Starvation: P2 has waited 3 steps for 2 R']);
+  assert.equal(sim.state.isStarving('X'), false);
+  assert.equal(sim.history.some(s => RAGState.from(s).isStarving('P2')), true);
+  assert.equal(sim.state.isStarving('P2'), false);
+});
+
+test('disciplines, aging and the threshold survive snapshots, scripts and scenario files', () => {
+  const st = parseState('aging 0.5\nstarvation 4\nresource R x2 queue priority\nprocess P1\nP1 holds R 1');
+  const copy = RAGState.from(JSON.parse(JSON.stringify(st.serialize())));
+  assert.equal(copy.getResource('R').discipline, 'priority');
+  assert.deepEqual(copy.queueing, { aging: 0.5, starvationSteps: 4 });
+  assert.equal(toDSL(parseState(toDSL(st))), toDSL(st));
+  assert.match(toDSL(st), /resource R x2 queue priority/);
+
+  const doc = { resources: [{ name: 'R', discipline: 'srf' }], processes: ['P1'], options: { aging: 2, starvationSteps: 3 } };
+  assert.deepEqual(validateScenario(doc), []);
+  const fromDoc = scenarioToState(doc);
+  assert.equal(fromDoc.getResource('R').discipline, 'srf');
+  assert.deepEqual(fromDoc.queueing, { aging: 2, starvationSteps: 3 });
+  assert.deepEqual(validateScenario({ processes: [], resources: [{ name: 'R', discipline: 'lifo' }], options: { aging: -1, starvationSteps: 1.5 } }), [
+    'resources[0].discipline must be one of first-fit, fifo, priority, srf',
+    'options.aging must be a number >= 0',
+    'options.starvationSteps must be an integer >= 0'
+  ]);
+});
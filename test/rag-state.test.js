@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeState } = require('./helpers.js');
+
+test('request grants free units and blocks when there are not enough', () => {
+  const st = makeState({ R1: 2 }, ['P1', 'P2']);
+  assert.deepEqual(st.request('P1', 'R1', 2), { ok: true, granted: true });
+  assert.equal(st.availableOf('R1'), 0);
+  const res = st.request('P2', 'R1', 1);
+  assert.equal(res.queued, true);
+  assert.equal(st.getProcess('P2').state, 'blocked');
+  assert.deepEqual(st.waitingRequests.R1, [{ process: 'P2', count: 1, since: 0 }]);
+});
+
+test('request without enqueueIfBlocked fails and leaves the queue alone', () => {
+  const st = makeState({ R1: 1 }, ['P1', 'P2']);
+  st.request('P1', 'R1');
+  assert.equal(st.request('P2', 'R1', 1, { enqueueIfBlocked: false }).ok, false);
+  assert.deepEqual(st.waitingRequests.R1, []);
+});
+
+test('request rejects unknown names and terminated processes', () => {
+  const st = makeState({ R1: 1 }, ['P1']);
+  assert.equal(st.request('P9', 'R1').ok, false);
+  assert.equal(st.request('P1', 'R9').ok, false);
+  st.terminateProcess('P1');
+  assert.equal(st.request('P1', 'R1').ok, false);
+  assert.equal(st.availableOf('R1'), 1);
+});
+
+test('release clamps to the held count and unblocks waiters', () => {
+  const st = makeState({ R1: 2 }, ['P1', 'P2']);
+  st.request('P1', 'R1', 2);
+  st.request('P2', 'R1', 1);
+  assert.deepEqual(st.release('P1', 'R1', 5), { ok: true, released: 2 });
+  assert.equal(st.heldBy('P1', 'R1'), 0);
+  assert.equal('P1' in st.assignments.R1, false);
+  assert.equal(st.heldBy('P2', 'R1'), 1);
+  assert.equal(st.getProcess('P2').state, 'ready');
+});
+
+test('releasing something not held is a logged no-op', () => {
+  const st = makeState({ R1: 1 }, ['P1']);
+  assert.deepEqual(st.release('P1', 'R1'), { ok: true, released: 0 });
+  assert.match(st.logs.at(-1), /No-op: P1 holds 0 of R1/);
+});
+
+test('tryGrantWaiting grants in FIFO order while units last', () => {
+  const st = makeState({ R1: 3 }, ['P1', 'P2', 'P3', 'P4']);
+  st.request('P1', 'R1', 3);
+  st.request('P2', 'R1', 2);
+  st.request('P3', 'R1', 1);
+  st.request('P4', 'R1', 1);
+  st.release('P1', 'R1', 3);
+  assert.deepEqual(st.assignments.R1, { P2: 2, P3: 1 });
+  assert.deepEqual(st.waitingRequests.R1, [{ process: 'P4', count: 1, since: 0 }]);
+});
+
+test('tryGrantWaiting skips a larger request and grants a smaller one behind it', () => {
+  const st = makeState({ R1: 2 }, ['P1', 'P2', 'P3']);
+  st.request('P1', 'R1', 2);
+  st.request('P2', 'R1', 2);
+  st.request('P3', 'R1', 1);
+  st.release('P1', 'R1', 1);
+  assert.deepEqual(st.waitingRequests.R1, [{ process: 'P2', count: 2, since: 0 }]);
+  assert.equal(st.heldBy('P3', 'R1'), 1);
+});
+
+test('in avoidance mode tryGrantWaiting skips an entry that would close a cycle', () => {
+  const st = makeState({ R1: 1, R2: 1 }, ['P1', 'P2', 'P3', 'P4']);
+  st.avoidance = true;
+  st.request('P3', 'R1');
+  st.request('P1', 'R2');
+  st.request('P2', 'R2');          // P2 waits on P1
+  st.request('P2', 'R1');
+  st.request('P4', 'R1');
+  st.request('P1', 'R1');
+  st.release('P3', 'R1');
+  // Giving R1 to P2 would make P1 wait on P2 while P2 waits on P1, so P4 gets it instead
+  assert.equal(st.heldBy('P4', 'R1'), 1);
+  assert.deepEqual(st.waitingRequests.R1.map(q => q.process), ['P2', 'P1']);
+});
+
+test('avoidance denial queues a grantable request until it becomes safe', () => {
+  const st = makeState({ R1: 2, R2: 1 }, ['P1', 'P2', 'P3']);
+  st.avoidance = true;
+  st.request('P3', 'R1');
+  st.request('P2', 'R2');
+  st.request('P2', 'R1', 2);       // blocked: only 1 left
+  st.request('P1', 'R2');          // blocked behind P2
+  const res = st.request('P1', 'R1', 1);
+  assert.deepEqual(res, { ok: true, granted: false, queued: true, denied: true });
+  assert.match(st.logs.at(-1), /denied by avoidance/);
+  st.release('P3', 'R1');
+  assert.equal(st.heldBy('P2', 'R1'), 2);
+  assert.deepEqual(st.waitingRequests.R1, [{ process: 'P1', count: 1, since: 0 }]);
+});
+
+test("Banker's avoidance denies unsafe grants and rejects requests beyond the declared claim", () => {
+  const st = makeState({ R1: 3 }, ['P1', 'P2']);
+  st.avoidance = true;
+  st.avoidanceStrategy = 'banker';
+  st.setMaxClaim('P1', 'R1', 3);
+  st.setMaxClaim('P2', 'R1', 2);
+  assert.equal(st.request('P2', 'R1', 3).ok, false);
+  st.request('P1', 'R1', 1);
+  st.request('P2', 'R1', 1);
+  const res = st.request('P1', 'R1', 1);
+  assert.equal(res.denied, true);
+  assert.equal(st.heldBy('P1', 'R1'), 1);
+});
+
+test("Banker's avoidance refuses a request beyond the claim instead of queueing it forever", () => {
+  const st = makeState({ R1: 2, R2: 1 }, ['P1', 'P2']);
+  st.avoidance = true;
+  st.avoidanceStrategy = 'banker';
+  st.setMaxClaim('P1', 'R1', 2);
+  st.setMaxClaim('P1', 'R2', 1);
+  st.setMaxClaim('P2', 'R1', 2);
+  st.request('P2', 'R1', 2);
+  assert.deepEqual(st.request('P1', 'R1', 3), { ok: false, rejected: true, reason: 'exceeds its declared maximum claim (need 2)' });
+  assert.equal(st.requestAll('P1', { R1: 1, R2: 2 }).rejected, true);
+  assert.deepEqual(st.waitingRequests.R1, []);
+  assert.equal(st.getProcess('P1').state, 'ready');
+  assert.match(st.logs.at(-1), /^Rejected: P1 request 1 R1 \+ 2 R2 exceeds its declared maximum claim on R2 \(need 1\)$/);
+
+  st.request('P1', 'R1', 2);
+  assert.equal(st.getProcess('P1').state, 'blocked');
+  st.setMaxClaim('P1', 'R1', 1);
+  st.release('P2', 'R1', 2);
+  assert.deepEqual(st.waitingRequests.R1, []);
+  assert.equal(st.getProcess('P1').state, 'ready');
+  assert.ok(st.logs.includes('Dropped: P1 request 2 R1 exceeds its declared maximum claim (need 1)'));
+});
+
+test('stepForward recomputes process states from the queues', () => {
+  const st = makeState({ R1: 1 }, ['P1', 'P2']);
+  st.request('P1', 'R1');
+  st.request('P2', 'R1');
+  st.getProcess('P2').state = 'ready';
+  st.getProcess('P1').state = 'blocked';
+  st.stepForward({ autoGrant: false });
+  assert.equal(st.getProcess('P1').state, 'ready');
+  assert.equal(st.getProcess('P2').state, 'blocked');
+});
+
+test('stepForward runs one queued event per step, then auto-grants', () => {
+  const st = makeState({ R1: 1 }, ['P1', 'P2']);
+  st.enqueueEvent({ type: 'request', process: 'P1', resource: 'R1', count: 1 });
+  st.enqueueEvent({ type: 'release', process: 'P1', resource: 'R1', count: 1 });
+  st.stepForward();
+  assert.equal(st.heldBy('P1', 'R1'), 1);
+  assert.equal(st.eventQueue.length, 1);
+  st.stepForward();
+  assert.equal(st.availableOf('R1'), 1);
+  st.stepForward();
+  assert.equal(st.step, 3);
+  assert.match(st.logs.at(-1), /No-op step/);
+});
+
+test('serialize/from round-trips every field', () => {
+  const st = makeState({ R1: 2, R2: 1 }, ['P1', 'P2']);
+  st.setMaxClaim('P1', 'R1', 1);
+  st.request('P1', 'R1');
+  st.request('P2', 'R2');
+  st.request('P1', 'R2');
+  st.enqueueEvent({ type: 'release', process: 'P2', resource: 'R2', count: 1, at: 4 });
+  st.setScript('P2', [{ op: 'compute', ticks: 2 }]);
+  st.avoidance = true; st.detection = 'cycle'; st.scheduler = 'random'; st.setSeed(9);
+  st.nodePositions.P1 = { x: 10, y: 20 };
+  const data = st.serialize();
+  assert.deepEqual(st.constructor.from(data).serialize(), data);
+  assert.deepEqual(JSON.parse(JSON.stringify(data)), data);
+});
+
+test('a process granted one queued request stays blocked while it waits for another', () => {
+  const st = makeState({ R1: 1, R2: 1 }, ['P1', 'P2']);
+  st.request('P2', 'R1');
+  st.request('P2', 'R2');
+  st.request('P1', 'R1');
+  st.request('P1', 'R2');
+  st.release('P2', 'R1');
+  assert.equal(st.heldBy('P1', 'R1'), 1);
+  assert.equal(st.getProcess('P1').state, 'blocked');
+});
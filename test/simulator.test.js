@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Simulator, RAGState, ScenarioError, SAMPLE_SCENARIOS, scenarioToState, parseImport } = require('../headless.js');
+
+function loaded(id) {
+  const sim = new Simulator();
+  sim.loadState(scenarioToState(SAMPLE_SCENARIOS.find(s => s.id === id)));
+  return sim;
+}
+
+test('stepForward records a snapshot per step and stepBackward restores the previous one', () => {
+  const sim = loaded('contention');
+  const before = sim.state.serialize();
+  sim.stepForward();
+  const after = sim.state.serialize();
+  sim.stepForward();
+  assert.equal(sim.history.length, 3);
+  sim.stepBackward();
+  assert.deepEqual(sim.state.serialize(), after);
+  sim.stepBackward();
+  assert.deepEqual(sim.state.serialize(), before);
+  assert.equal(sim.canStepBack(), false);
+  sim.stepBackward();
+  assert.deepEqual(sim.state.serialize(), before);
+});
+
+test('stepBackward returns an independent copy of the snapshot', () => {
+  const sim = loaded('contention');
+  sim.stepForward();
+  sim.stepForward();
+  sim.stepBackward();
+  sim.state.logs.push('mutated');
+  sim.state.assignments.CPU.P9 = 1;
+  assert.equal(sim.history[sim.cursor].logs.includes('mutated'), false);
+  assert.equal(sim.history[sim.cursor].assignments.CPU.P9, undefined);
+});
+
+test('stepping back keeps the future on the timeline', () => {
+  const sim = loaded('contention');
+  for (let i = 0; i < 4; i++) sim.stepForward();
+  sim.stepBackward();
+  sim.stepBackward();
+  assert.equal(sim.history.length, 5);
+  assert.equal(sim.cursor, 2);
+  assert.equal(sim.canStepForward(), true);
+  sim.jumpTo(4);
+  assert.deepEqual(sim.state.serialize(), sim.history[4]);
+});
+
+test('resetToInitial returns to the baseline without dropping the run', () => {
+  const sim = loaded('two-proc-cycle');
+  const base = sim.history[0];
+  for (let i = 0; i < 4; i++) sim.stepForward();
+  sim.resetToInitial();
+  assert.deepEqual(sim.state.serialize(), base);
+  assert.equal(sim.history.length, 5);
+  assert.equal(sim.canStepBack(), false);
+});
+
+test('replaying a recorded step follows the timeline instead of forking', () => {
+  const sim = loaded('contention');
+  for (let i = 0; i < 4; i++) sim.stepForward();
+  sim.jumpTo(1);
+  sim.stepForward();
+  assert.equal(sim.cursor, 2);
+  assert.equal(sim.branches.length, 1);
+  assert.equal(sim.history.length, 5);
+});
+
+test('stepping again past an edit made between steps follows the timeline', () => {
+  const sim = loaded('contention');
+  sim.stepForward();
+  sim.state.addProcess('P9');
+  sim.commit('Added P9');
+  assert.equal(sim.state.logs.at(-1), '[commit] Added P9');
+  assert.deepEqual(sim.history[sim.cursor], sim.state.serialize());
+  for (let i = 0; i < 3; i++) sim.stepForward();
+  const length = sim.history.length;
+  sim.jumpTo(2);
+  sim.stepForward();
+  sim.stepForward();
+  assert.equal(sim.branches.length, 1);
+  assert.equal(sim.history.length, length);
+  assert.equal(sim.cursor, 4);
+});
+
+test('changing the past forks a branch and keeps the old future', () => {
+  const sim = loaded('contention');
+  for (let i = 0; i < 4; i++) sim.stepForward();
+  const original = sim.history.slice();
+  sim.jumpTo(2);
+  sim.state.release('P1', 'CPU');
+  sim.snapshot('P1 releases first');
+  assert.equal(sim.branches.length, 2);
+  assert.equal(sim.branchIndex, 1);
+  assert.equal(sim.branch.name, 'P1 releases first (from step 2)');
+  assert.equal(sim.history.length, 4);
+  assert.equal(sim.history[2], original[2]);
+  assert.deepEqual(sim.branches[0].history, original);
+
+  sim.switchBranch(0);
+  assert.equal(sim.cursor, 2);
+  assert.deepEqual(sim.state.serialize(), original[2]);
+  sim.switchBranch(1);
+  assert.equal(sim.cursor, 3);
+  assert.equal(sim.state.heldBy('P1', 'CPU'), 0);
+});
+
+test('branches can be removed, except the current one', () => {
+  const sim = loaded('contention');
+  sim.stepForward();
+  sim.stepForward();
+  sim.jumpTo(0);
+  sim.state.addProcess('P9');
+  sim.snapshot();
+  assert.equal(sim.removeBranch(1), false);
+  assert.equal(sim.removeBranch(0), true);
+  assert.equal(sim.branches.length, 1);
+  assert.equal(sim.branchIndex, 0);
+  assert.equal(sim.state.getProcess('P9').name, 'P9');
+});
+
+test('markers flag the first deadlocked snapshot, fired events and fork points', () => {
+  const sim = loaded('two-proc-cycle');
+  for (let i = 0; i < 4; i++) sim.stepForward();
+  let kinds = sim.markers().map(m => `${m.kind}@${m.index}`);
+  assert.deepEqual(kinds, ['event@1', 'deadlock@2', 'event@2']);
+  sim.jumpTo(1);
+  sim.state.release('P1', 'R1');
+  sim.snapshot();
+  kinds = sim.markers().map(m => `${m.kind}@${m.index}`);
+  assert.deepEqual(kinds, ['event@1', 'fork@1']);
+});
+
+test('history is capped at 1000 snapshots, dropping the oldest', () => {
+  const sim = loaded('two-proc-cycle');
+  for (let i = 0; i < 1005; i++) sim.stepForward({ autoGrant: false });
+  assert.equal(sim.history.length, 1000);
+  assert.equal(sim.cursor, 999);
+  assert.equal(sim.history[0].step, 6);
+  assert.equal(sim.history.at(-1).step, 1005);
+});
+
+test('loadHistory positions the simulator on the last snapshot', () => {
+  const sim = loaded('contention');
+  for (let i = 0; i < 3; i++) sim.stepForward();
+  const trace = sim.exportTrace();
+  const other = new Simulator();
+  other.loadHistory(trace);
+  assert.equal(other.state.step, 3);
+  assert.deepEqual(other.history, trace);
+});
+
+test('snapshots round-trip through JSON and RAGState.from', () => {
+  const sim = loaded('dining-philosophers');
+  sim.setScheduler('random', 5);
+  for (let i = 0; i < 12; i++) sim.stepForward();
+  for (const snap of sim.history) {
+    const copy = JSON.parse(JSON.stringify(snap));
+    assert.deepEqual(RAGState.from(copy).serialize(), snap);
+  }
+});
+
+test('trace import accepts exported traces and rejects snapshots the engine cannot read', () => {
+  const sim = loaded('dining-philosophers');
+  for (let i = 0; i < 6; i++) sim.stepForward();
+  assert.deepEqual(parseImport(JSON.stringify({ trace: sim.exportTrace() })).history, sim.history);
+  const bad = [
+    [{ processes: [null], resources: [] }, /processes\[0\] must be an object/],
+    [{ processes: [{ name: 'P1' }], resources: [{ name: 'R' }], waitingRequests: { R: [{ process: 'PX', count: 1 }] } }, /must name a process/],
+    [{ processes: [{ name: 'P1' }], resources: [{ name: 'R' }], assignments: { R: { P1: 1 }, S: {} } }, /unknown resource "S"/]
+  ];
+  for (const [snap, message] of bad) assert.throws(() => parseImport(JSON.stringify({ trace: [snap] })), err => err instanceof ScenarioError && message.test(err.message));
+});
+
+test('a seeded random schedule replays identically from any snapshot', () => {
+  const sim = loaded('dining-philosophers');
+  sim.setScheduler('random', 11);
+  for (let i = 0; i < 30; i++) sim.stepForward();
+  const replay = RAGState.from(sim.history[10]);
+  for (let i = 0; i < 20; i++) replay.stepForward();
+  assert.deepEqual(replay.serialize(), sim.history.at(-1));
+});
+
+test('round-robin dining philosophers deadlock with every fork held', () => {
+  const sim = loaded('dining-philosophers');
+  for (let i = 0; i < 20 && !sim.state.isQuiescent(); i++) sim.stepForward();
+  const dead = RAGState.findDeadlock(sim.state);
+  assert.equal(dead.hasDeadlock, true);
+  assert.equal(dead.involved.length, 5);
+  assert.equal(sim.state.resources.every(r => sim.state.availableOf(r.name) === 0), true);
+});
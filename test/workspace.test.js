@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Simulator, ScenarioError, SAMPLE_SCENARIOS, scenarioToState, ScenarioLibrary, saveSession, restoreSession, clearSession, run } = require('../headless.js');
+const { memoryStorage } = require('./helpers.js');
+
+const sample = id => scenarioToState(SAMPLE_SCENARIOS.find(s => s.id === id));
+
+test('the library saves, lists, loads, renames, duplicates and deletes by name', () => {
+  const lib = new ScenarioLibrary(memoryStorage());
+  assert.deepEqual(lib.save('Cycle', sample('two-proc-cycle')), { ok: true, name: 'Cycle' });
+  assert.equal(lib.save(' ', sample('two-proc-cycle')).ok, false);
+  assert.match(lib.save('Cycle', sample('no-deadlock')).reason, /already exists/);
+  assert.equal(lib.save('Cycle', sample('no-deadlock'), { overwrite: true }).ok, true);
+  assert.equal(lib.load('Cycle').processes.length, sample('no-deadlock').processes.length);
+
+  assert.equal(lib.duplicate('Cycle').name, 'Cycle (copy)');
+  assert.equal(lib.duplicate('Cycle').name, 'Cycle (copy) (2)');
+  assert.equal(lib.rename('Cycle (copy)', 'Alpha').ok, true);
+  assert.match(lib.rename('Alpha', 'Cycle').reason, /already exists/);
+  assert.equal(lib.remove('Cycle (copy) (2)').ok, true);
+  assert.equal(lib.remove('missing').ok, false);
+  assert.deepEqual(lib.list().map(e => e.name), ['Alpha', 'Cycle']);
+  assert.equal(lib.load('nope'), null);
+});
+
+test('a bundle carries every scenario and imports without overwriting', () => {
+  const ta = new ScenarioLibrary(memoryStorage());
+  ta.save('Q1', sample('two-proc-cycle'));
+  ta.save('Q2', sample('dining-philosophers'));
+  const bundle = JSON.parse(JSON.stringify(ta.exportBundle()));
+
+  const student = new ScenarioLibrary(memoryStorage());
+  student.save('Q1', sample('no-deadlock'));
+  assert.deepEqual(student.importBundle(bundle), ['Q1 (2)', 'Q2']);
+  assert.deepEqual(student.get('Q2').state, ta.get('Q2').state);
+  assert.equal(student.list().length, 3);
+});
+
+test('invalid bundles are rejected without touching the library', () => {
+  const lib = new ScenarioLibrary(memoryStorage());
+  lib.save('Keep', sample('two-proc-cycle'));
+  assert.throws(() => lib.importBundle({ format: 'rag-scenario' }), /Not a scenario library bundle/);
+  assert.throws(() => lib.importBundle({ format: 'rag-library', version: 9, scenarios: [] }), /Unsupported bundle version 9/);
+  assert.throws(() => lib.importBundle({ format: 'rag-library', version: 1, scenarios: [{ name: 'A', state: sample('no-deadlock').serialize() }, { name: '', state: {} }] }), err => {
+    assert.ok(err instanceof ScenarioError);
+    assert.deepEqual(err.errors, ['scenarios[1].name must be a non-empty string', 'scenarios[1].state.processes must be an array', 'scenarios[1].state.resources must be an array']);
+    return true;
+  });
+  assert.deepEqual(lib.list().map(e => e.name), ['Keep']);
+});
+
+test('an autosaved session restores the whole timeline at the same step', () => {
+  const storage = memoryStorage();
+  const sim = new Simulator();
+  sim.loadState(sample('contention'));
+  run(sim, { steps: 4 });
+  sim.stepBackward();
+  assert.equal(saveSession(storage, sim), 5);
+
+  const after = new Simulator();
+  assert.equal(restoreSession(storage, after), true);
+  assert.equal(after.cursor, 3);
+  assert.deepEqual(after.history, sim.history);
+  assert.deepEqual(after.state.serialize(), sim.state.serialize());
+  assert.equal(after.canStepForward(), true);
+
+  clearSession(storage);
+  assert.equal(restoreSession(storage, new Simulator()), false);
+  storage.setItem('rag.session.v1', '{"history": [');
+  assert.equal(restoreSession(storage, new Simulator()), false);
+});
+
+test('when storage is full the session keeps the most recent snapshots up to the cursor', () => {
+  const sim = new Simulator();
+  sim.loadState(sample('dining-philosophers'));
+  run(sim, { steps: 30 });
+  const one = JSON.stringify(sim.history[sim.cursor]).length;
+  const storage = memoryStorage(one * 6);
+  const kept = saveSession(storage, sim);
+  assert.ok(kept >= 1 && kept < sim.history.length);
+  const after = new Simulator();
+  restoreSession(storage, after);
+  assert.deepEqual(after.state.serialize(), sim.state.serialize());
+  assert.equal(saveSession(memoryStorage(10), sim), 0);
+});
+
+test('a full store refuses library writes and the autosave stays under its size limit', () => {
+  const sim = new Simulator();
+  sim.loadState(sample('dining-philosophers'));
+  run(sim, { steps: 30 });
+  const one = JSON.stringify(sim.history[sim.cursor]).length;
+  const storage = memoryStorage(one * 8);
+  const kept = saveSession(storage, sim, one * 4);
+  assert.ok(kept >= 1 && storage.getItem('rag.session.v1').length <= one * 4);
+
+  const lib = new ScenarioLibrary(storage);
+  let saved = 0;
+  while (lib.save(`S${saved}`, sim.state).ok) saved++;
+  assert.ok(saved >= 1);
+  assert.match(lib.save('More', sim.state).reason, /storage is full/);
+  assert.match(lib.duplicate('S0').reason, /storage is full/);
+  assert.throws(() => lib.importBundle(lib.exportBundle()), err => err instanceof ScenarioError && /storage is full/.test(err.message));
+  assert.equal(lib.list().length, saved);
+});
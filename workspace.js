@@ -0,0 +1,174 @@
+/* Local workspace: a library of named scenarios and an autosaved session, kept in localStorage
+   (or any object with getItem/setItem/removeItem), plus library bundles for sharing a problem set */
+
+const WORKSPACE_KEYS = { library: 'rag.library.v1', session: 'rag.session.v1' };
+const BUNDLE_FORMAT = 'rag-library';
+const BUNDLE_VERSION = 1;
+// The autosaved session is kept under this many characters, so that a long timeline never takes
+// the room the library needs (browsers allow about 5 million per site)
+const SESSION_MAX_CHARS = 2000000;
+
+// Named scenarios, each a serialized RAGState with the time it was saved. Every change is written
+// through to storage at once, so several tabs see each other's saves on their next read.
+class ScenarioLibrary {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  read() {
+    try {
+      const entries = JSON.parse(this.storage.getItem(WORKSPACE_KEYS.library) || '[]');
+      return Array.isArray(entries) ? entries : [];
+    } catch (err) {
+      return [];
+    }
+  }
+  // {ok:false, reason} when storage refuses the write because it is full; nothing is changed then
+  write(entries) {
+    try {
+      this.storage.setItem(WORKSPACE_KEYS.library, JSON.stringify(entries));
+      return { ok: true };
+    } catch (err) {
+      return { ok: false, reason: 'Browser storage is full: delete saved scenarios, or export them as a bundle first' };
+    }
+  }
+
+  // Entries sorted by name, without their states
+  list() {
+    return this.read()
+      .map(e => ({ name: e.name, savedAt: e.savedAt, step: e.state.step, processes: e.state.processes.length, resources: e.state.resources.length }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+  has(name) { return this.read().some(e => e.name === name); }
+  get(name) { return this.read().find(e => e.name === name) || null; }
+  load(name) { const e = this.get(name); return e ? RAGState.from(e.state) : null; }
+
+  // Save a state under a name; an existing entry is only replaced with overwrite
+  save(name, state, { overwrite = false } = {}) {
+    name = String(name || '').trim();
+    if (!name) return { ok: false, reason: 'Enter a name' };
+    const entries = this.read();
+    const i = entries.findIndex(e => e.name === name);
+    if (i >= 0 && !overwrite) return { ok: false, reason: `"${name}" already exists` };
+    const entry = { name, savedAt: new Date().toISOString(), state: state.serialize() };
+    if (i >= 0) entries[i] = entry; else entries.push(entry);
+    const written = this.write(entries);
+    return written.ok ? { ok: true, name } : written;
+  }
+
+  rename(from, to) {
+    to = String(to || '').trim();
+    const entries = this.read();
+    const e = entries.find(x => x.name === from);
+    if (!e) return { ok: false, reason: `No scenario named "${from}"` };
+    if (!to) return { ok: false, reason: 'Enter a name' };
+    if (to !== from && entries.some(x => x.name === to)) return { ok: false, reason: `"${to}" already exists` };
+    e.name = to;
+    const written = this.write(entries);
+    return written.ok ? { ok: true, name: to } : written;
+  }
+
+  remove(name) {
+    const entries = this.read();
+    const kept = entries.filter(e => e.name !== name);
+    if (kept.length === entries.length) return { ok: false, reason: `No scenario named "${name}"` };
+    return this.write(kept);
+  }
+
+  // Copy an entry to `to`, or to the first free "name (copy)", "name (copy 2)", …
+  duplicate(name, to) {
+    const entries = this.read();
+    const e = entries.find(x => x.name === name);
+    if (!e) return { ok: false, reason: `No scenario named "${name}"` };
+    const target = to ? String(to).trim() : freeName(entries, `${name} (copy)`);
+    if (entries.some(x => x.name === target)) return { ok: false, reason: `"${target}" already exists` };
+    entries.push({ ...deepClone(e), name: target, savedAt: new Date().toISOString() });
+    const written = this.write(entries);
+    return written.ok ? { ok: true, name: target } : written;
+  }
+
+  exportBundle() {
+    return { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, exportedAt: new Date().toISOString(), scenarios: this.read() };
+  }
+
+  // Add every scenario of a bundle. Names already in the library get a " (2)", " (3)", … suffix
+  // rather than replacing anything. Throws ScenarioError, changing nothing, when the bundle is
+  // invalid or does not fit in storage.
+  importBundle(doc) {
+    const errors = validateBundle(doc);
+    if (errors.length) throw new ScenarioError(errors);
+    const entries = this.read();
+    const added = [];
+    for (const e of doc.scenarios) {
+      const name = freeName(entries, e.name.trim());
+      entries.push({ name, savedAt: e.savedAt || new Date().toISOString(), state: RAGState.from(e.state).serialize() });
+      added.push(name);
+    }
+    const written = this.write(entries);
+    if (!written.ok) throw new ScenarioError([written.reason]);
+    return added;
+  }
+}
+
+// `base`, or `base (2)`, `base (3)`, … whichever is not taken yet
+function freeName(entries, base) {
+  const taken = new Set(entries.map(e => e.name));
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base} (${n})`)) n++;
+  return `${base} (${n})`;
+}
+
+function validateBundle(doc) {
+  if (!doc || typeof doc !== 'object' || doc.format !== BUNDLE_FORMAT) return [`Not a scenario library bundle (format must be "${BUNDLE_FORMAT}")`];
+  if (doc.version !== BUNDLE_VERSION) return [`Unsupported bundle version ${doc.version}; this page reads version ${BUNDLE_VERSION}`];
+  if (!Array.isArray(doc.scenarios)) return ['scenarios must be an array'];
+  const errors = [];
+  doc.scenarios.forEach((e, i) => {
+    const at = `scenarios[${i}]`;
+    if (!e || typeof e !== 'object') { errors.push(`${at} must be an object with name and state`); return; }
+    if (typeof e.name !== 'string' || !e.name.trim()) errors.push(`${at}.name must be a non-empty string`);
+    errors.push(...validateSnapshot(e.state, `${at}.state`));
+  });
+  return errors.slice(0, 20);
+}
+
+// Store the simulator's timeline and cursor. When it is longer than maxChars or storage is full,
+// the oldest snapshots are dropped, halving until it fits; returns the number of snapshots kept
+// (0 if nothing fitted).
+function saveSession(storage, sim, maxChars = SESSION_MAX_CHARS) {
+  let from = 0;
+  for (;;) {
+    const session = { savedAt: new Date().toISOString(), cursor: sim.cursor - from, history: sim.history.slice(from) };
+    const text = JSON.stringify(session);
+    try {
+      if (text.length <= maxChars) {
+        storage.setItem(WORKSPACE_KEYS.session, text);
+        return session.history.length;
+      }
+    } catch (err) {
+      // storage is full: drop more snapshots
+    }
+    if (from === sim.cursor) return 0;
+    from = Math.min(sim.cursor, from + Math.ceil((sim.cursor - from + 1) / 2));
+  }
+}
+
+// Put a saved session back into a simulator at its step. False (and the simulator untouched)
+// when there is none or it cannot be read.
+function restoreSession(storage, sim) {
+  let session;
+  try { session = JSON.parse(storage.getItem(WORKSPACE_KEYS.session) || 'null'); }
+  catch (err) { return false; }
+  if (!session || !Array.isArray(session.history) || !session.history.length) return false;
+  if (session.history.some(snap => validateSnapshot(snap, 'snapshot').length)) return false;
+  sim.loadHistory(session.history.map(snap => RAGState.from(snap).serialize()));
+  sim.jumpTo(Number.isInteger(session.cursor) ? session.cursor : sim.history.length - 1);
+  return true;
+}
+
+function clearSession(storage) { storage.removeItem(WORKSPACE_KEYS.session); }
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { WORKSPACE_KEYS, BUNDLE_FORMAT, BUNDLE_VERSION, SESSION_MAX_CHARS, ScenarioLibrary, validateBundle, saveSession, restoreSession, clearSession };
+}